@@ -0,0 +1,57 @@
+import React, { useState } from 'react';
+import { Box, Typography, IconButton, Collapse, Divider } from '@mui/material';
+import { ExpandMore, ExpandLess, Forum } from '@mui/icons-material';
+import { toPlainText } from './FormattedText';
+
+// Short text for one line of a chat history
+export const historyItemText = (item) => {
+  if (item.message_type === 'image') return item.content ? `[Image] ${item.content}` : '[Image]';
+  if (item.message_type === 'file') return `[File] ${item.file_name || ''}`.trim();
+  if (item.message_type === 'voice') return '[Voice message]';
+  if (item.message_type === 'location') return item.content ? `[Location] ${item.content}` : '[Location]';
+  if (item.message_type === 'contact_card') return '[Contact card]';
+  if (item.message_type === 'chat_history') return `[Chat history] ${item.content || ''}`.trim();
+  return toPlainText(item.content);
+};
+
+// Bubble body for a chat_history message: title, a few preview lines and a link to the transcript
+const ChatHistoryCard = ({ message, isMine, onOpen }) => {
+  const [expanded, setExpanded] = useState(true);
+  const history = message.chat_history || { count: 0, preview: [] };
+
+  return (
+    <Box sx={{ minWidth: 220, maxWidth: 320 }}>
+      <Box sx={{ display: 'flex', alignItems: 'center' }}>
+        <Forum fontSize="small" sx={{ mr: 1, opacity: 0.8 }} />
+        <Typography variant="body2" fontWeight="bold" sx={{ flex: 1, minWidth: 0 }} noWrap>
+          {message.content}
+        </Typography>
+        <IconButton
+          size="small"
+          color="inherit"
+          onClick={(e) => {
+            e.stopPropagation();
+            setExpanded(!expanded);
+          }}
+        >
+          {expanded ? <ExpandLess fontSize="small" /> : <ExpandMore fontSize="small" />}
+        </IconButton>
+      </Box>
+      <Collapse in={expanded}>
+        <Box onClick={onOpen} sx={{ cursor: 'pointer', py: 0.5 }}>
+          {history.preview.map((item, index) => (
+            <Typography key={index} variant="caption" display="block" noWrap sx={{ opacity: 0.85 }}>
+              {item.sender_name}: {historyItemText(item)}
+            </Typography>
+          ))}
+        </Box>
+      </Collapse>
+      <Divider sx={{ borderColor: isMine ? 'rgba(255, 255, 255, 0.3)' : 'divider' }} />
+      <Typography variant="caption" display="block" onClick={onOpen} sx={{ cursor: 'pointer', pt: 0.5, opacity: 0.85 }}>
+        Chat history · {history.count} {history.count === 1 ? 'message' : 'messages'}
+      </Typography>
+    </Box>
+  );
+};
+
+export default ChatHistoryCard;
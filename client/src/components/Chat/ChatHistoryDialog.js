@@ -0,0 +1,129 @@
+import React, { useEffect, useState } from 'react';
+import {
+  Dialog,
+  DialogTitle,
+  DialogContent,
+  DialogActions,
+  List,
+  ListItem,
+  ListItemAvatar,
+  Avatar,
+  Box,
+  Typography,
+  Button,
+  CircularProgress,
+  Alert,
+} from '@mui/material';
+import api from '../../services/api';
+import { useAuth } from '../../contexts/AuthContext';
+import MessageAttachment from './MessageAttachment';
+import VoiceMessage from './VoiceMessage';
+import LocationCard from './LocationCard';
+import ContactCard from './ContactCard';
+import { historyItemText } from './ChatHistoryCard';
+import FormattedText from './FormattedText';
+
+const formatTimestamp = (timestamp) =>
+  new Date(timestamp).toLocaleString([], {
+    month: 'short',
+    day: 'numeric',
+    hour: '2-digit',
+    minute: '2-digit',
+  });
+
+// Read-only transcript of a chat_history message
+const ChatHistoryDialog = ({ messageId, onClose }) => {
+  const { user } = useAuth();
+  const [transcript, setTranscript] = useState(null);
+  const [error, setError] = useState('');
+
+  useEffect(() => {
+    if (!messageId) return;
+
+    let cancelled = false;
+    setTranscript(null);
+    setError('');
+
+    api.get(`/messages/${messageId}/transcript`)
+      .then(res => {
+        if (!cancelled) setTranscript(res.data);
+      })
+      .catch(e => {
+        if (!cancelled) setError(e.response?.data?.error || 'Failed to load chat history');
+      });
+
+    return () => {
+      cancelled = true;
+    };
+  }, [messageId]);
+
+  return (
+    <Dialog open={Boolean(messageId)} onClose={onClose} fullWidth maxWidth="sm" scroll="paper">
+      <DialogTitle>{transcript?.title || 'Chat history'}</DialogTitle>
+      <DialogContent dividers>
+        {error && <Alert severity="error">{error}</Alert>}
+        {!error && !transcript && (
+          <Box display="flex" justifyContent="center" py={2}>
+            <CircularProgress size={24} />
+          </Box>
+        )}
+        {transcript && (
+          <List dense disablePadding>
+            {transcript.items.map(item => (
+              <ListItem key={item.id} alignItems="flex-start" disableGutters>
+                <ListItemAvatar>
+                  <Avatar src={item.sender_avatar}>{item.sender_name?.charAt(0)}</Avatar>
+                </ListItemAvatar>
+                <Box sx={{ minWidth: 0, flex: 1 }}>
+                  <Box sx={{ display: 'flex', justifyContent: 'space-between' }}>
+                    <Typography variant="caption" color="text.secondary">
+                      {item.sender_name}
+                    </Typography>
+                    <Typography variant="caption" color="text.secondary">
+                      {formatTimestamp(item.sent_at)}
+                    </Typography>
+                  </Box>
+                  {item.message_type === 'voice' && item.file_url ? (
+                    <VoiceMessage
+                      message={item}
+                      signedUrlPath={`/messages/attachments/${transcript.messageId}/items/${item.id}/url`}
+                    />
+                  ) : item.message_type === 'location' && typeof item.latitude === 'number' ? (
+                    <LocationCard message={item} />
+                  ) : item.message_type === 'contact_card' ? (
+                    <ContactCard message={item} myUserId={user?.id} />
+                  ) : (item.message_type === 'image' || item.message_type === 'file') && item.file_url ? (
+                    <>
+                      <MessageAttachment
+                        message={item}
+                        signedUrlPath={`/messages/attachments/${transcript.messageId}/items/${item.id}/url`}
+                      />
+                      {item.content && (
+                        <Typography variant="body2" whiteSpace="pre-wrap">
+                          {item.content}
+                        </Typography>
+                      )}
+                    </>
+                  ) : item.message_type === 'text' ? (
+                    <Typography variant="body2" component="div" whiteSpace="pre-wrap">
+                      <FormattedText text={item.content} />
+                    </Typography>
+                  ) : (
+                    <Typography variant="body2" whiteSpace="pre-wrap">
+                      {historyItemText(item)}
+                    </Typography>
+                  )}
+                </Box>
+              </ListItem>
+            ))}
+          </List>
+        )}
+      </DialogContent>
+      <DialogActions>
+        <Button onClick={onClose}>Close</Button>
+      </DialogActions>
+    </Dialog>
+  );
+};
+
+export default ChatHistoryDialog;
@@ -1,4 +1,4 @@
-import React, { useState, useEffect } from 'react';
+import React, { useState, useEffect, useCallback, useRef } from 'react';
 import { useNavigate } from 'react-router-dom';
 import {
   Box,
@@ -12,40 +12,67 @@ import {
   Divider,
   CircularProgress,
   Alert,
+  Menu,
+  MenuItem,
+  ListItemIcon,
+  IconButton,
 } from '@mui/material';
+import { PushPin, NotificationsOff, Notifications, Archive, Unarchive, VisibilityOff, ArrowBack, ChevronRight } from '@mui/icons-material';
 import { formatDistanceToNow } from 'date-fns';
 import api from '../../services/api';
 import { useSocket } from '../../contexts/SocketContext';
+import { useAuth } from '../../contexts/AuthContext';
+import { getDraft, saveDraft, resolveDraft } from '../../services/drafts';
+
+// Distance from the bottom of the list, in pixels, at which the next page is fetched
+const LOAD_MORE_THRESHOLD = 200;
+
+// Same order as the server: pinned first (latest pin on top), then most recently active
+const compareConversations = (a, b) => {
+  if (Boolean(a.pinned_at) !== Boolean(b.pinned_at)) return a.pinned_at ? -1 : 1;
+  if (a.pinned_at) return new Date(b.pinned_at) - new Date(a.pinned_at);
+  return new Date(b.last_activity_at) - new Date(a.last_activity_at);
+};
 
 const ChatList = () => {
   const [conversations, setConversations] = useState([]);
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState(null);
+  const [nextCursor, setNextCursor] = useState(null);
+  const [loadingMore, setLoadingMore] = useState(false);
+  // The archived view lists only archived conversations; the main list links to it
+  const [showArchived, setShowArchived] = useState(false);
+  const [archivedCount, setArchivedCount] = useState(0);
+  const [conversationMenu, setConversationMenu] = useState(null);
+  const [actionError, setActionError] = useState('');
   const navigate = useNavigate();
-  const { socket } = useSocket();
+  const { socket, trackLastMessage } = useSocket();
+  const { user } = useAuth();
+  const conversationsRef = useRef([]);
 
-  useEffect(() => {
-    fetchConversations();
-  }, []);
-
-  useEffect(() => {
-    if (socket) {
-      socket.on('new_message', handleNewMessage);
-      socket.on('messages_read', handleMessagesRead);
-
-      return () => {
-        socket.off('new_message', handleNewMessage);
-        socket.off('messages_read', handleMessagesRead);
-      };
-    }
-  }, [socket]);
+  // Unsynced text typed on this device beats an older server draft
+  const withDraft = useCallback((conv) => {
+    const draft = resolveDraft(
+      getDraft(user?.id, conv.id),
+      conv.draft ? { content: conv.draft, updated_at: conv.draft_updated_at } : null
+    );
+    saveDraft(user?.id, conv.id, draft);
+    return { ...conv, draft: draft?.content || null };
+  }, [user?.id]);
 
-  const fetchConversations = async () => {
+  // Load the first page; later pages are appended as the list is scrolled
+  const fetchConversations = useCallback(async () => {
     try {
-      const response = await api.get('/messages/conversations');
-      const data = Array.isArray(response.data) ? response.data : [];
+      const response = await api.get('/messages/conversations', {
+        params: showArchived ? { archived: true } : {},
+      });
+      const page = Array.isArray(response.data?.conversations) ? response.data.conversations : [];
+      const data = page.map(withDraft);
       setConversations(data);
-      if (!Array.isArray(response.data)) {
+      setNextCursor(response.data?.nextCursor || null);
+      if (!showArchived) setArchivedCount(response.data?.archivedCount || 0);
+      data.forEach(conv => trackLastMessage(conv.id, conv.last_message?.id));
+      if (!Array.isArray(response.data?.conversations)) {
         setError('Unexpected response when loading conversations');
       }
     } catch (error) {
@@ -55,36 +82,161 @@ const ChatList = () => {
     } finally {
       setLoading(false);
     }
+  }, [trackLastMessage, withDraft, showArchived]);
+
+  const loadMore = async () => {
+    if (!nextCursor || loadingMore) return;
+
+    try {
+      setLoadingMore(true);
+      const response = await api.get('/messages/conversations', {
+        params: showArchived ? { cursor: nextCursor, archived: true } : { cursor: nextCursor },
+      });
+      const data = response.data.conversations.map(withDraft);
+      setConversations(prev => {
+        const knownIds = new Set(prev.map(conv => conv.id));
+        return [...prev, ...data.filter(conv => !knownIds.has(conv.id))];
+      });
+      setNextCursor(response.data.nextCursor);
+      data.forEach(conv => trackLastMessage(conv.id, conv.last_message?.id));
+    } catch (error) {
+      console.error('Failed to load more conversations:', error);
+    } finally {
+      setLoadingMore(false);
+    }
+  };
+
+  const handleScroll = (e) => {
+    const { scrollTop, scrollHeight, clientHeight } = e.currentTarget;
+    if (scrollHeight - scrollTop - clientHeight < LOAD_MORE_THRESHOLD) {
+      loadMore();
+    }
   };
 
-  const handleNewMessage = (messageData) => {
+  useEffect(() => {
+    fetchConversations();
+  }, [fetchConversations]);
+
+  useEffect(() => {
+    conversationsRef.current = conversations;
+  }, [conversations]);
+
+  // Correct unread badges with the server's counts after a reconnect sync
+  const handleSyncComplete = useCallback(({ unreadCounts = {} }) => {
+    const knownIds = new Set(conversationsRef.current.map(conv => conv.id));
+
+    // Unread conversations that aren't listed (new, or on a page not loaded yet) need a reload
+    if (Object.entries(unreadCounts).some(([id, count]) => count > 0 && !knownIds.has(Number(id)))) {
+      fetchConversations();
+      return;
+    }
+
+    setConversations(prev =>
+      prev.map(conv =>
+        unreadCounts[conv.id] !== undefined
+          ? { ...conv, unread_count: unreadCounts[conv.id] }
+          : conv
+      )
+    );
+  }, [fetchConversations]);
+
+  const handleNewMessage = useCallback((messageData) => {
+    // A conversation that isn't listed yet moves to the top, so reload the first page.
+    // New messages also bring archived conversations back to the main list.
+    if (showArchived || !conversationsRef.current.some(conv => conv.id === messageData.conversationId)) {
+      fetchConversations();
+      return;
+    }
+
     setConversations(prev => {
       const updated = prev.map(conv => {
         if (conv.id === messageData.conversationId) {
           return {
             ...conv,
             last_message: {
-              content: messageData.content,
+              id: messageData.id,
+              // Previews show messages without their formatting, as the server stores them
+              content: messageData.plainContent ?? messageData.content,
+              message_type: messageData.messageType,
+              file_name: messageData.fileName,
+              sender_id: messageData.senderId,
               sender_name: messageData.sender.displayName,
+              recalled_at: null,
               created_at: messageData.createdAt,
             },
-            unread_count: conv.unread_count + 1,
+            unread_count: Number(conv.unread_count || 0) + 1,
             updated_at: messageData.createdAt,
+            last_activity_at: messageData.createdAt,
           };
         }
         return conv;
       });
 
-      // Sort by updated_at
-      return updated.sort((a, b) => new Date(b.updated_at) - new Date(a.updated_at));
+      return updated.sort(compareConversations);
     });
+  }, [fetchConversations, showArchived]);
+
+  // The socket context has already stored it; show whatever is kept locally now
+  const handleDraftUpdated = useCallback(({ conversationId }) => {
+    setConversations(prev =>
+      prev.map(conv =>
+        conv.id === conversationId
+          ? { ...conv, draft: getDraft(user?.id, conversationId)?.content || null }
+          : conv
+      )
+    );
+  }, [user?.id]);
+
+  // This user read the conversation on another device; other members' reads leave the badge alone
+  const handleConversationRead = useCallback(({ conversationId, userId }) => {
+    if (userId !== user?.id) return;
+
+    setConversations(prev =>
+      prev.map(conv =>
+        conv.id === conversationId
+          ? { ...conv, unread_count: 0, has_unread_mention: false }
+          : conv
+      )
+    );
+  }, [user?.id]);
+
+  useEffect(() => {
+    if (socket) {
+      socket.on('new_message', handleNewMessage);
+      socket.on('conversation_read', handleConversationRead);
+      socket.on('message_recalled', handleMessageRecalled);
+      socket.on('mentioned', handleMentioned);
+      socket.on('sync_complete', handleSyncComplete);
+      socket.on('draft_updated', handleDraftUpdated);
+      socket.on('conversation_settings_updated', fetchConversations);
+
+      return () => {
+        socket.off('new_message', handleNewMessage);
+        socket.off('conversation_read', handleConversationRead);
+        socket.off('message_recalled', handleMessageRecalled);
+        socket.off('mentioned', handleMentioned);
+        socket.off('sync_complete', handleSyncComplete);
+        socket.off('draft_updated', handleDraftUpdated);
+        socket.off('conversation_settings_updated', fetchConversations);
+      };
+    }
+  }, [socket, fetchConversations, handleNewMessage, handleSyncComplete, handleDraftUpdated, handleConversationRead]);
+
+  const handleMessageRecalled = ({ conversationId, messageId, recalledAt }) => {
+    setConversations(prev =>
+      prev.map(conv =>
+        conv.id === conversationId && conv.last_message?.id === messageId
+          ? { ...conv, last_message: { ...conv.last_message, content: null, recalled_at: recalledAt } }
+          : conv
+      )
+    );
   };
 
-  const handleMessagesRead = ({ conversationId }) => {
+  const handleMentioned = ({ conversationId }) => {
     setConversations(prev =>
       prev.map(conv =>
         conv.id === conversationId
-          ? { ...conv, unread_count: 0 }
+          ? { ...conv, has_unread_mention: true }
           : conv
       )
     );
@@ -94,11 +246,65 @@ const ChatList = () => {
     navigate(`/chat/${conversationId}`);
   };
 
+  const openConversationMenu = (e, conversation) => {
+    e.preventDefault();
+    setConversationMenu({ conversation, position: { top: e.clientY, left: e.clientX } });
+  };
+
+  // The list is reloaded afterwards since settings change where a conversation belongs
+  const updateSettings = async (conversation, changes) => {
+    setConversationMenu(null);
+    try {
+      setActionError('');
+      await api.put(`/messages/conversations/${conversation.id}/settings`, changes);
+      await fetchConversations();
+    } catch (error) {
+      setActionError(error.response?.data?.error || 'Failed to update conversation');
+    }
+  };
+
+  const menuConversation = conversationMenu?.conversation;
+
+  const toggleArchivedView = () => {
+    setLoading(true);
+    setConversations([]);
+    setNextCursor(null);
+    setShowArchived(!showArchived);
+  };
+
   const formatLastMessage = (message) => {
     if (!message) return 'No messages yet';
-    
-    const prefix = message.message_type === 'image' ? '[Image]' : '';
-    return prefix + message.content;
+
+    if (message.recalled_at) {
+      const who = message.sender_id === user?.id ? 'You' : message.sender_name;
+      return `${who} recalled a message`;
+    }
+
+    if (message.message_type === 'image') {
+      return message.content ? `[Image] ${message.content}` : '[Image]';
+    }
+
+    if (message.message_type === 'file') {
+      return `[File] ${message.file_name || message.content || ''}`.trim();
+    }
+
+    if (message.message_type === 'voice') {
+      return '[Voice message]';
+    }
+
+    if (message.message_type === 'location') {
+      return message.content ? `[Location] ${message.content}` : '[Location]';
+    }
+
+    if (message.message_type === 'contact_card') {
+      return '[Contact card]';
+    }
+
+    if (message.message_type === 'chat_history') {
+      return '[Chat history]';
+    }
+
+    return message.content;
   };
 
   const formatTime = (timestamp) => {
@@ -135,7 +341,7 @@ const ChatList = () => {
     );
   }
 
-  if (!Array.isArray(conversations) || conversations.length === 0) {
+  if (!showArchived && archivedCount === 0 && (!Array.isArray(conversations) || conversations.length === 0)) {
     return (
       <Box 
         display="flex" 
@@ -157,16 +363,48 @@ const ChatList = () => {
   }
 
   return (
-    <Box sx={{ height: '100%', overflow: 'auto' }}>
+    <Box sx={{ height: '100%', overflow: 'auto' }} onScroll={handleScroll}>
+      {actionError && (
+        <Alert severity="error" onClose={() => setActionError('')} sx={{ m: 1 }}>
+          {actionError}
+        </Alert>
+      )}
+      {showArchived && (
+        <Box sx={{ display: 'flex', alignItems: 'center', px: 1, py: 0.5, borderBottom: '1px solid', borderColor: 'divider' }}>
+          <IconButton onClick={toggleArchivedView}>
+            <ArrowBack />
+          </IconButton>
+          <Typography variant="subtitle1">Archived chats</Typography>
+        </Box>
+      )}
+      {showArchived && conversations.length === 0 && (
+        <Typography color="text.secondary" textAlign="center" sx={{ mt: 4 }}>
+          No archived chats
+        </Typography>
+      )}
       <List sx={{ p: 0 }}>
+        {!showArchived && archivedCount > 0 && (
+          <>
+            <ListItem button onClick={toggleArchivedView} sx={{ py: 1.5, px: 3 }}>
+              <ListItemIcon>
+                <Archive />
+              </ListItemIcon>
+              <ListItemText primary={`Archived chats (${archivedCount})`} />
+              <ChevronRight color="action" />
+            </ListItem>
+            <Divider component="li" />
+          </>
+        )}
         {conversations.map((conversation, index) => (
           <React.Fragment key={conversation.id}>
             <ListItem
               button
               onClick={() => handleConversationClick(conversation.id)}
+              onContextMenu={(e) => openConversationMenu(e, conversation)}
               sx={{
                 py: 2,
                 px: 3,
+                bgcolor: conversation.pinned ? 'action.selected' : undefined,
                 '&:hover': {
                   bgcolor: 'action.hover',
                 },
@@ -175,7 +413,7 @@ const ChatList = () => {
               <ListItemAvatar>
                 <Badge 
                   badgeContent={conversation.unread_count || 0} 
-                  color="error"
+                  color={conversation.muted ? 'default' : 'error'}
                   max={99}
                 >
                   <Avatar 
@@ -204,7 +442,19 @@ const ChatList = () => {
                       maxWidth: '200px',
                     }}
                   >
-                    {formatLastMessage(conversation.last_message)}
+                    {conversation.has_unread_mention && (
+                      <Box component="span" sx={{ color: 'error.main', mr: 0.5 }}>
+                        [@me]
+                      </Box>
+                    )}
+                    {conversation.draft ? (
+                      <>
+                        <Box component="span" sx={{ color: 'error.main', mr: 0.5 }}>
+                          [Draft]
+                        </Box>
+                        {conversation.draft}
+                      </>
+                    ) : formatLastMessage(conversation.last_message)}
                   </Typography>
                 }
                 sx={{ mr: 1 }}
@@ -214,6 +464,10 @@ const ChatList = () => {
                 <Typography variant="caption" color="text.secondary">
                   {formatTime(conversation.last_message?.created_at)}
                 </Typography>
+                <Box sx={{ color: 'text.disabled', mt: 0.5 }}>
+                  {conversation.muted && <NotificationsOff sx={{ fontSize: 16 }} />}
+                  {conversation.pinned && <PushPin sx={{ fontSize: 16, ml: 0.5 }} />}
+                </Box>
               </Box>
             </ListItem>
             
@@ -223,6 +477,47 @@ const ChatList = () => {
           </React.Fragment>
         ))}
       </List>
+      {loadingMore && (
+        <Box display="flex" justifyContent="center" py={2}>
+          <CircularProgress size={24} />
+        </Box>
+      )}
+
+      <Menu
+        open={Boolean(conversationMenu)}
+        onClose={() => setConversationMenu(null)}
+        anchorReference="anchorPosition"
+        anchorPosition={conversationMenu?.position}
+      >
+        {menuConversation && !menuConversation.archived && (
+          <MenuItem onClick={() => updateSettings(menuConversation, { pinned: !menuConversation.pinned })}>
+            <ListItemIcon><PushPin fontSize="small" /></ListItemIcon>
+            {menuConversation.pinned ? 'Unpin' : 'Pin to top'}
+          </MenuItem>
+        )}
+        {menuConversation && (
+          <MenuItem onClick={() => updateSettings(menuConversation, { muted: !menuConversation.muted })}>
+            <ListItemIcon>
+              {menuConversation.muted ? <Notifications fontSize="small" /> : <NotificationsOff fontSize="small" />}
+            </ListItemIcon>
+            {menuConversation.muted ? 'Unmute' : 'Mute notifications'}
+          </MenuItem>
+        )}
+        {menuConversation && (
+          <MenuItem onClick={() => updateSettings(menuConversation, { archived: !menuConversation.archived })}>
+            <ListItemIcon>
+              {menuConversation.archived ? <Unarchive fontSize="small" /> : <Archive fontSize="small" />}
+            </ListItemIcon>
+            {menuConversation.archived ? 'Unarchive' : 'Archive'}
+          </MenuItem>
+        )}
+        {menuConversation && (
+          <MenuItem onClick={() => updateSettings(menuConversation, { hidden: true })}>
+            <ListItemIcon><VisibilityOff fontSize="small" /></ListItemIcon>
+            Hide chat
+          </MenuItem>
+        )}
+      </Menu>
     </Box>
   );
 };
@@ -1,5 +1,5 @@
-import React, { useCallback, useEffect, useMemo, useRef, useState } from 'react';
-import { useParams } from 'react-router-dom';
+import React, { useCallback, useEffect, useLayoutEffect, useMemo, useRef, useState } from 'react';
+import { useParams, useSearchParams } from 'react-router-dom';
 import {
   Box,
   Typography,
@@ -7,23 +7,310 @@ import {
   TextField,
   IconButton,
   CircularProgress,
+  LinearProgress,
   Alert,
+  Menu,
+  MenuItem,
+  Chip,
+  Checkbox,
+  Button,
 } from '@mui/material';
-import { Send } from '@mui/icons-material';
-import { useSocket } from '../../contexts/SocketContext';
+import { Send, Close, Edit, AttachFile, Done, DoneAll, Reply, KeyboardArrowDown, Place, ContactPage } from '@mui/icons-material';
+import { useSocket, SEND_TIMEOUT } from '../../contexts/SocketContext';
 import { useAuth } from '../../contexts/AuthContext';
 import api from '../../services/api';
+import { getDraft, saveDraft, resolveDraft } from '../../services/drafts';
+import MessageHistoryDialog from './MessageHistoryDialog';
+import MessageAttachment from './MessageAttachment';
+import MessageReceiptsDialog from './MessageReceiptsDialog';
+import ReactionPicker from './ReactionPicker';
+import MentionSuggestions from './MentionSuggestions';
+import PinnedBanner from './PinnedBanner';
+import ForwardDialog from './ForwardDialog';
+import ChatHistoryCard from './ChatHistoryCard';
+import ChatHistoryDialog from './ChatHistoryDialog';
+import VoiceMessage, { formatDuration } from './VoiceMessage';
+import VoiceRecorder from './VoiceRecorder';
+import LocationCard from './LocationCard';
+import LocationDialog from './LocationDialog';
+import ContactCard from './ContactCard';
+import ShareContactDialog from './ShareContactDialog';
+import LinkPreviewCard from './LinkPreviewCard';
+import FormattedText, { toPlainText } from './FormattedText';
+import FormattingToolbar, { applyFormat } from './FormattingToolbar';
+
+// Matches the server's limit on message text
+const MAX_MESSAGE_LENGTH = 5000;
+
+// Edits can arrive twice (live and again in a reconnect sync)
+const hasEdit = (message, editedAt) =>
+  (message.edit_history || []).some(version => new Date(version.edited_at).getTime() === new Date(editedAt).getTime());
+
+// Update the quote shown in replies to a message
+const updateQuotes = (m, messageId, changes) =>
+  (m.reply_message?.id === messageId ? { ...m, reply_message: { ...m.reply_message, ...changes } } : m);
+
+// Apply a message_edited payload to the loaded message list
+const applyEdit = (messages, edit) =>
+  messages.map(m => (
+    m.id === edit.messageId && !hasEdit(m, edit.editedAt)
+      ? {
+          ...m,
+          content: edit.content,
+          edited_at: edit.editedAt,
+          edit_history: [...(m.edit_history || []), { content: edit.previousContent, edited_at: edit.editedAt }],
+        }
+      : updateQuotes(m, edit.messageId, { content: edit.content })
+  ));
+
+// Apply a message_recalled payload, turning the message into a tombstone
+const applyRecall = (messages, recall) =>
+  messages.map(m => (
+    m.id === recall.messageId
+      ? {
+          ...m,
+          content: null,
+          file_url: null,
+          file_name: null,
+          file_size: null,
+          duration_ms: null,
+          waveform: null,
+          latitude: null,
+          longitude: null,
+          contact_card: null,
+          link_preview: null,
+          recalled_at: recall.recalledAt,
+          edit_history: [],
+          reactions: [],
+        }
+      : updateQuotes(m, recall.messageId, { content: null, recalled_at: recall.recalledAt })
+  ));
+
+// Short text for a quoted message
+const quoteText = (reply) => {
+  if (reply.recalled_at) return 'Message recalled';
+  if (reply.message_type === 'image') return reply.content ? `[Image] ${reply.content}` : '[Image]';
+  if (reply.message_type === 'file') return `[File] ${reply.file_name || ''}`.trim();
+  if (reply.message_type === 'voice') return '[Voice message]';
+  if (reply.message_type === 'location') return reply.content ? `[Location] ${reply.content}` : '[Location]';
+  if (reply.message_type === 'contact_card') return '[Contact card]';
+  if (reply.message_type === 'chat_history') return `[Chat history] ${reply.content || ''}`.trim();
+  return toPlainText(reply.content);
+};
+
+// Add a member to the receipt lists of our own messages (a read also counts as a delivery)
+const applyReceipt = (messages, { userId, messageIds }, isRead) => {
+  const ids = new Set(messageIds);
+  return messages.map(m => {
+    if (!ids.has(m.id) || !m.delivered_to) return m;
+    return {
+      ...m,
+      delivered_to: m.delivered_to.includes(userId) ? m.delivered_to : [...m.delivered_to, userId],
+      read_by: isRead && !m.read_by.includes(userId) ? [...m.read_by, userId] : m.read_by,
+    };
+  });
+};
+
+// One tick once stored, two once every recipient has it, highlighted once all have read it
+const ReceiptTicks = ({ message, recipientCount }) => {
+  const delivered = recipientCount > 0 && message.delivered_to.length >= recipientCount;
+  const read = recipientCount > 0 && message.read_by.length >= recipientCount;
+  const Icon = delivered ? DoneAll : Done;
+  return <Icon sx={{ fontSize: 14, ml: 0.5, verticalAlign: 'middle', color: read ? '#4fc3f7' : 'inherit' }} />;
+};
+
+const PAGE_SIZE = 50;
+
+// Idempotency key so a retried send is stored only once
+const createClientMessageId = () =>
+  (window.crypto?.randomUUID
+    ? window.crypto.randomUUID()
+    : `${Date.now()}-${Math.random().toString(36).slice(2)}`);
+
+// Convert a message_pinned payload into the shape returned by the pins API
+const fromPinEvent = (pin) => ({
+  id: pin.messageId,
+  conversation_id: pin.conversationId,
+  content: pin.content,
+  message_type: pin.messageType,
+  file_name: pin.fileName,
+  sender_name: pin.senderName,
+  created_at: pin.createdAt,
+  pinned_by: pin.pinnedBy,
+  pinned_by_name: pin.pinnedByName,
+  pinned_at: pin.pinnedAt,
+});
+
+// Add a pin to the list unless it is already there (the API and the broadcast both report it)
+const addPin = (pins, pin) => (pins.some(p => p.id === pin.id) ? pins : [pin, ...pins]);
+
+// An @ at the start of a word, up to the caret, opens member suggestions
+const MENTION_QUERY_PATTERN = /(^|\s)@([^\s@]*)$/;
+
+// Pause in typing before a draft is uploaded
+const DRAFT_SAVE_DELAY = 1000;
+
+// Messages loaded on each side of a message the conversation is opened at
+const CONTEXT_SIZE = 25;
+
+// Insert a page of newer messages after the loaded window, ahead of anything
+// appended past it (our own sends and pending messages)
+const insertNewer = (prev, newer, windowEndId) => {
+  const newerIds = new Set(newer.map(m => m.id));
+  const windowMessages = prev.filter(m => !m.status && m.id <= windowEndId);
+  const tail = prev.filter(m => (m.status || m.id > windowEndId) && !newerIds.has(m.id));
+  return [...windowMessages, ...newer.filter(m => !windowMessages.some(w => w.id === m.id)), ...tail];
+};
+
+// Local stand-in for a message the server hasn't stored yet
+const toPendingMessage = ({
+  clientMessageId, content, createdAt, status, replyMessage = null, messageType = 'text', location = null,
+  contactCard = null,
+}, user) => ({
+  id: `local-${clientMessageId}`,
+  client_message_id: clientMessageId,
+  status,
+  content,
+  reply_to: replyMessage?.id || null,
+  reply_message: replyMessage,
+  message_type: messageType,
+  latitude: location?.latitude ?? null,
+  longitude: location?.longitude ?? null,
+  contact_card: contactCard,
+  created_at: createdAt,
+  sender_id: user?.id,
+  sender_username: user?.username,
+  sender_name: user?.displayName,
+  sender_avatar: user?.avatarUrl,
+  is_read: true,
+  edited_at: null,
+  recalled_at: null,
+  edit_history: [],
+  reactions: [],
+  delivered_to: [],
+  read_by: [],
+});
+
+// The send_message location for a pending location message; its label travels as the content
+const toLocation = (m) => (
+  m.message_type === 'location'
+    ? { latitude: m.latitude, longitude: m.longitude, label: m.content }
+    : undefined
+);
+
+// Convert a socket link preview into the shape returned by the messages API
+const toLinkPreview = (preview) => (preview ? {
+  url: preview.url,
+  title: preview.title,
+  description: preview.description,
+  image_url: preview.imageUrl,
+  site_name: preview.siteName,
+} : null);
+
+// Convert a new_message payload into the shape returned by the messages API
+const toMessage = (messageData, myUserId) => ({
+  id: messageData.id,
+  content: messageData.content,
+  message_type: messageData.messageType || 'text',
+  file_url: messageData.fileUrl,
+  file_name: messageData.fileName,
+  file_size: messageData.fileSize,
+  duration_ms: messageData.durationMs || null,
+  waveform: messageData.waveform || null,
+  played_at: null,
+  latitude: messageData.latitude ?? null,
+  longitude: messageData.longitude ?? null,
+  // Live cards leave out our relationship with the user; ContactCard looks it up
+  contact_card: messageData.contactCard ? {
+    id: messageData.contactCard.userId,
+    username: messageData.contactCard.username,
+    display_name: messageData.contactCard.displayName,
+    avatar_url: messageData.contactCard.avatarUrl,
+    contact_status: messageData.contactCard.contactStatus,
+  } : null,
+  link_preview: toLinkPreview(messageData.linkPreview),
+  reply_to: messageData.replyTo || null,
+  reply_message: messageData.replyMessage ? {
+    id: messageData.replyMessage.id,
+    content: messageData.replyMessage.content,
+    message_type: messageData.replyMessage.messageType,
+    file_name: messageData.replyMessage.fileName,
+    recalled_at: messageData.replyMessage.recalledAt,
+    sender_name: messageData.replyMessage.senderName,
+  } : null,
+  client_message_id: messageData.clientMessageId || null,
+  forwarded_from_user_id: messageData.forwardedFrom?.userId || null,
+  forwarded_from_name: messageData.forwardedFrom?.displayName || null,
+  chat_history: messageData.chatHistory ? {
+    count: messageData.chatHistory.count,
+    preview: messageData.chatHistory.preview.map(item => ({
+      sender_name: item.senderName,
+      content: item.content,
+      message_type: item.messageType,
+      file_name: item.fileName,
+    })),
+  } : null,
+  created_at: messageData.createdAt,
+  sender_id: messageData.senderId,
+  sender_username: messageData.sender?.username,
+  sender_name: messageData.sender?.displayName,
+  sender_avatar: messageData.sender?.avatarUrl,
+  is_read: messageData.senderId === myUserId,
+  edited_at: messageData.editedAt || null,
+  recalled_at: messageData.recalledAt || null,
+  edit_history: messageData.editHistory || [],
+  reactions: [],
+  ...(messageData.senderId === myUserId ? { delivered_to: [], read_by: [] } : {}),
+});
 
 const ChatRoom = () => {
   const { conversationId } = useParams();
-  const { socket } = useSocket();
+  // ?messageId= opens the conversation at that message instead of the newest page
+  const [searchParams, setSearchParams] = useSearchParams();
+  const targetMessageId = Number(searchParams.get('messageId')) || null;
+  const { socket, connected, trackLastMessage, outbox, enqueueMessage, cancelQueuedMessage } = useSocket();
   const { user } = useAuth();
 
   const [messages, setMessages] = useState([]);
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState('');
   const [input, setInput] = useState('');
+  const [notice, setNotice] = useState('');
+  const [editing, setEditing] = useState(null);
+  const [replyingTo, setReplyingTo] = useState(null);
+  const [highlightedId, setHighlightedId] = useState(null);
+  const [messageMenu, setMessageMenu] = useState(null);
+  const [historyMessageId, setHistoryMessageId] = useState(null);
+  const [reactionPicker, setReactionPicker] = useState(null);
+  const [receiptsMessageId, setReceiptsMessageId] = useState(null);
+  const [recipientCount, setRecipientCount] = useState(0);
+  const [groupId, setGroupId] = useState(null);
+  const [group, setGroup] = useState(null);
+  const [mention, setMention] = useState(null);
+  const [mentionIndex, setMentionIndex] = useState(0);
+  const [pins, setPins] = useState([]);
+  const [selectedIds, setSelectedIds] = useState(null);
+  const [forwarding, setForwarding] = useState(false);
+  const [transcriptMessageId, setTranscriptMessageId] = useState(null);
+  const [canPin, setCanPin] = useState(false);
+  const [uploading, setUploading] = useState(false);
+  // Elapsed milliseconds while a voice message is being recorded
+  const [recordingMs, setRecordingMs] = useState(null);
+  const [sharingLocation, setSharingLocation] = useState(false);
+  const [sharingContact, setSharingContact] = useState(false);
+  const [hasMore, setHasMore] = useState(false);
+  const [hasNewer, setHasNewer] = useState(false);
+  const [loadingNewer, setLoadingNewer] = useState(false);
+  const [loadingOlder, setLoadingOlder] = useState(false);
   const listRef = useRef(null);
+  const fileInputRef = useRef(null);
+  const inputRef = useRef(null);
+  const scrollAnchorRef = useRef(null);
+  // Newest message of the contiguous window loaded from the server, while newer ones are still unloaded
+  const windowEndRef = useRef(null);
+  const hasNewerRef = useRef(false);
+  const draftTimerRef = useRef(null);
+  const pendingDraftRef = useRef(null);
 
   const myUserId = user?.id;
   const convId = useMemo(() => Number(conversationId), [conversationId]);
@@ -36,52 +323,240 @@ const ChatRoom = () => {
     });
   }, []);
 
+  const markRead = useCallback((list) => {
+    const unreadIds = list
+      .filter(m => m.sender_id !== myUserId && !m.is_read)
+      .map(m => m.id);
+    if (socket && unreadIds.length > 0) {
+      socket.emit('mark_messages_read', { conversationId: convId, messageIds: unreadIds });
+    }
+  }, [convId, myUserId, socket]);
+
   const loadMessages = useCallback(async () => {
+    let found = false;
     try {
       setLoading(true);
       setError('');
-      const res = await api.get(`/messages/conversations/${convId}/messages?limit=50`);
-      setMessages(res.data);
-      // Mark unread as read
-      const unreadIds = res.data
-        .filter(m => m.sender_id !== myUserId && !m.is_read)
-        .map(m => m.id);
-      if (socket && unreadIds.length > 0) {
-        socket.emit('mark_messages_read', { conversationId: convId, messageIds: unreadIds });
+
+      let data = null;
+      if (targetMessageId) {
+        try {
+          const res = await api.get(
+            `/messages/conversations/${convId}/messages/${targetMessageId}/context?limit=${CONTEXT_SIZE}`
+          );
+          data = res.data;
+          found = true;
+        } catch (e) {
+          if (e.response?.status !== 404) throw e;
+          setNotice('The original message is no longer available');
+        }
+      }
+
+      if (!data) {
+        const res = await api.get(`/messages/conversations/${convId}/messages?limit=${PAGE_SIZE}`);
+        data = res.data;
+      }
+
+      setMessages(data.messages);
+      setHasMore(data.hasMore);
+      setHasNewer(Boolean(data.hasNewer));
+      hasNewerRef.current = Boolean(data.hasNewer);
+      windowEndRef.current = data.messages[data.messages.length - 1]?.id || null;
+      setRecipientCount(data.recipientCount || 0);
+      setGroupId(data.groupId || null);
+      markRead(data.messages);
+      if (data.messages.length > 0) {
+        trackLastMessage(convId, data.messages[data.messages.length - 1].id);
       }
     } catch (e) {
       setError(e.response?.data?.error || 'Failed to load messages');
     } finally {
       setLoading(false);
-      scrollToBottom();
+      if (found) {
+        setHighlightedId(targetMessageId);
+      } else {
+        scrollToBottom();
+      }
     }
-  }, [convId, myUserId, socket, scrollToBottom]);
+  }, [convId, targetMessageId, markRead, scrollToBottom, trackLastMessage]);
 
   useEffect(() => {
     loadMessages();
   }, [loadMessages]);
 
+  // Upload a draft; once the server has it the local copy is marked synced
+  const uploadDraft = useCallback(async ({ conversationId, content }) => {
+    try {
+      const res = await api.put(`/messages/conversations/${conversationId}/draft`, { content });
+      if (getDraft(myUserId, conversationId)?.content === content) {
+        saveDraft(myUserId, conversationId, { content, updatedAt: res.data.updatedAt, synced: true });
+      }
+    } catch (e) {
+      console.error('Failed to save draft:', e);
+    }
+  }, [myUserId]);
+
+  const flushDraft = useCallback(() => {
+    clearTimeout(draftTimerRef.current);
+    const pending = pendingDraftRef.current;
+    pendingDraftRef.current = null;
+    if (pending) uploadDraft(pending);
+  }, [uploadDraft]);
+
+  // Keep composer text as this conversation's draft: stored locally at once, uploaded after a pause
+  const storeDraft = useCallback((content) => {
+    saveDraft(myUserId, convId, { content, updatedAt: new Date().toISOString(), synced: false });
+    clearTimeout(draftTimerRef.current);
+    pendingDraftRef.current = { conversationId: convId, content };
+    draftTimerRef.current = setTimeout(flushDraft, DRAFT_SAVE_DELAY);
+  }, [myUserId, convId, flushDraft]);
+
+  // Restore the draft when a conversation opens; upload any pending one when it closes
+  useEffect(() => {
+    if (!convId || !myUserId) return;
+
+    let cancelled = false;
+    const local = getDraft(myUserId, convId);
+    setEditing(null);
+    setReplyingTo(null);
+    setInput(local?.content || '');
+
+    api.get(`/messages/conversations/${convId}/draft`)
+      .then(res => {
+        if (cancelled) return;
+        const draft = resolveDraft(getDraft(myUserId, convId), res.data.draft);
+        saveDraft(myUserId, convId, draft);
+        if (draft && !draft.synced) {
+          uploadDraft({ conversationId: convId, content: draft.content });
+        }
+        // Leave anything typed while the request was out alone
+        setInput(prev => (prev === (local?.content || '') ? draft?.content || '' : prev));
+      })
+      .catch(e => console.error('Failed to load draft:', e));
+
+    return () => {
+      cancelled = true;
+      flushDraft();
+    };
+  }, [convId, myUserId, flushDraft, uploadDraft]);
+
+  // A draft changed on another device; follow it unless we're typing or editing here
+  useEffect(() => {
+    if (!socket) return;
+
+    const handleDraftUpdated = ({ conversationId }) => {
+      if (conversationId !== convId || editing || pendingDraftRef.current) return;
+      setInput(getDraft(myUserId, convId)?.content || '');
+    };
+
+    socket.on('draft_updated', handleDraftUpdated);
+    return () => {
+      socket.off('draft_updated', handleDraftUpdated);
+    };
+  }, [socket, convId, editing, myUserId]);
+
+  const loadPins = useCallback(async () => {
+    try {
+      const res = await api.get(`/messages/conversations/${convId}/pins`);
+      setPins(res.data.pins);
+      setCanPin(res.data.canPin);
+    } catch (e) {
+      console.error('Failed to load pinned messages:', e);
+    }
+  }, [convId]);
+
+  useEffect(() => {
+    setPins([]);
+    loadPins();
+  }, [loadPins]);
+
+  const loadOlder = useCallback(async () => {
+    if (loadingOlder || !hasMore || messages.length === 0) return;
+
+    try {
+      setLoadingOlder(true);
+      const res = await api.get(
+        `/messages/conversations/${convId}/messages?before=${messages[0].id}&limit=${PAGE_SIZE}`
+      );
+      // Remember where we were so prepending doesn't move the visible messages
+      const list = listRef.current;
+      scrollAnchorRef.current = list ? { height: list.scrollHeight, top: list.scrollTop } : null;
+      setMessages(prev => [...res.data.messages, ...prev]);
+      setHasMore(res.data.hasMore);
+      markRead(res.data.messages);
+    } catch (e) {
+      setNotice(e.response?.data?.error || 'Failed to load older messages');
+    } finally {
+      setLoadingOlder(false);
+    }
+  }, [convId, hasMore, loadingOlder, messages, markRead]);
+
+  useLayoutEffect(() => {
+    const anchor = scrollAnchorRef.current;
+    if (anchor && listRef.current) {
+      listRef.current.scrollTop = listRef.current.scrollHeight - anchor.height + anchor.top;
+      scrollAnchorRef.current = null;
+    }
+  }, [messages]);
+
+  const loadNewer = useCallback(async () => {
+    if (loadingNewer || !hasNewer || !windowEndRef.current) return;
+
+    try {
+      setLoadingNewer(true);
+      const windowEndId = windowEndRef.current;
+      const res = await api.get(
+        `/messages/conversations/${convId}/messages?after=${windowEndId}&limit=${PAGE_SIZE}`
+      );
+      const newer = res.data.messages;
+      setMessages(prev => insertNewer(prev, newer, windowEndId));
+      setHasNewer(res.data.hasMore);
+      hasNewerRef.current = res.data.hasMore;
+      if (newer.length > 0) {
+        windowEndRef.current = newer[newer.length - 1].id;
+      }
+      markRead(newer);
+    } catch (e) {
+      setNotice(e.response?.data?.error || 'Failed to load newer messages');
+    } finally {
+      setLoadingNewer(false);
+    }
+  }, [convId, hasNewer, loadingNewer, markRead]);
+
+  // Leave a message window and go back to the newest page
+  const showLatest = () => {
+    if (targetMessageId) {
+      setSearchParams({}, { replace: true });
+    } else {
+      loadMessages();
+    }
+  };
+
+  const handleScroll = (e) => {
+    const { scrollTop, scrollHeight, clientHeight } = e.currentTarget;
+    if (scrollTop < 80) {
+      loadOlder();
+    } else if (scrollHeight - scrollTop - clientHeight < 80) {
+      loadNewer();
+    }
+  };
+
   useEffect(() => {
     if (!socket || !convId) return;
 
     const handleNewMessage = (messageData) => {
       if (messageData.conversationId !== convId) return;
+      // Viewing an older window: others' messages arrive when paging forward
+      if (hasNewerRef.current && messageData.senderId !== myUserId) return;
       setMessages(prev => {
-        const next = [
-          ...prev,
-          {
-            id: messageData.id,
-            content: messageData.content,
-            message_type: messageData.messageType || 'text',
-            created_at: messageData.createdAt,
-            sender_id: messageData.senderId,
-            sender_username: messageData.sender?.username,
-            sender_name: messageData.sender?.displayName,
-            sender_avatar: messageData.sender?.avatarUrl,
-            is_read: messageData.senderId === myUserId,
-          },
-        ];
-        return next;
+        // Replayed messages from a reconnect sync may already be here
+        if (prev.some(m => m.id === messageData.id)) return prev;
+        const incoming = toMessage(messageData, myUserId);
+        // Our own optimistic copy is replaced in place
+        if (messageData.clientMessageId && prev.some(m => m.client_message_id === messageData.clientMessageId)) {
+          return prev.map(m => (m.client_message_id === messageData.clientMessageId ? incoming : m));
+        }
+        return [...prev, incoming];
       });
       // If it's from others, mark read immediately (since we're viewing)
       if (messageData.senderId !== myUserId) {
@@ -90,29 +565,577 @@ const ChatRoom = () => {
       scrollToBottom();
     };
 
+    const handleMessageEdited = (edit) => {
+      if (edit.conversationId !== convId) return;
+      setMessages(prev => applyEdit(prev, edit));
+      setPins(prev => prev.map(p => (p.id === edit.messageId ? { ...p, content: edit.content } : p)));
+    };
+
+    const handleMessageRecalled = (recall) => {
+      if (recall.conversationId !== convId) return;
+      setMessages(prev => applyRecall(prev, recall));
+      setEditing(prev => (prev?.id === recall.messageId ? null : prev));
+      setPins(prev => prev.filter(p => p.id !== recall.messageId));
+    };
+
+    const handleMessagePinned = (pin) => {
+      if (pin.conversationId !== convId) return;
+      setPins(prev => addPin(prev, fromPinEvent(pin)));
+    };
+
+    // Played on another of our devices
+    const handleVoicePlayed = ({ conversationId, messageId, playedAt }) => {
+      if (conversationId !== convId) return;
+      setMessages(prev => prev.map(m => (m.id === messageId ? { ...m, played_at: playedAt } : m)));
+    };
+
+    // Previews are unfurled after the message is sent, and again after an edit
+    const handleLinkPreview = ({ conversationId, messageId, linkPreview }) => {
+      if (conversationId !== convId) return;
+      setMessages(prev => prev.map(m => (m.id === messageId ? { ...m, link_preview: toLinkPreview(linkPreview) } : m)));
+    };
+
+    const handleMessageUnpinned = ({ conversationId, messageId }) => {
+      if (conversationId !== convId) return;
+      setPins(prev => prev.filter(p => p.id !== messageId));
+    };
+
+    const handleMessagesDelivered = (receipt) => {
+      if (receipt.conversationId !== convId) return;
+      setMessages(prev => applyReceipt(prev, receipt, false));
+    };
+
+    const handleMessagesRead = (receipt) => {
+      if (receipt.conversationId !== convId) return;
+      setMessages(prev => applyReceipt(prev, receipt, true));
+    };
+
+    const handleReactionUpdate = (update) => {
+      if (update.conversationId !== convId) return;
+      setMessages(prev => prev.map(m => (m.id === update.messageId ? { ...m, reactions: update.reactions } : m)));
+    };
+
+    const handleSyncComplete = ({ truncated = [] }) => {
+      // Too much was missed to replay; reload the newest page instead
+      if (truncated.includes(convId)) {
+        loadMessages();
+      }
+      // Pins aren't replayed; refresh them in case they changed while we were away
+      loadPins();
+    };
+
+    const handleError = (err) => {
+      setNotice(err?.message || 'Something went wrong');
+    };
+
     socket.emit('join_conversation', convId);
     socket.on('new_message', handleNewMessage);
+    socket.on('message_edited', handleMessageEdited);
+    socket.on('message_recalled', handleMessageRecalled);
+    socket.on('messages_delivered', handleMessagesDelivered);
+    socket.on('messages_read', handleMessagesRead);
+    socket.on('reaction_added', handleReactionUpdate);
+    socket.on('reaction_removed', handleReactionUpdate);
+    socket.on('message_pinned', handleMessagePinned);
+    socket.on('voice_played', handleVoicePlayed);
+    socket.on('link_preview', handleLinkPreview);
+    socket.on('message_unpinned', handleMessageUnpinned);
+    socket.on('sync_complete', handleSyncComplete);
+    socket.on('error', handleError);
 
     return () => {
       socket.emit('leave_conversation', convId);
       socket.off('new_message', handleNewMessage);
+      socket.off('message_edited', handleMessageEdited);
+      socket.off('message_recalled', handleMessageRecalled);
+      socket.off('messages_delivered', handleMessagesDelivered);
+      socket.off('messages_read', handleMessagesRead);
+      socket.off('reaction_added', handleReactionUpdate);
+      socket.off('reaction_removed', handleReactionUpdate);
+      socket.off('message_pinned', handleMessagePinned);
+      socket.off('voice_played', handleVoicePlayed);
+      socket.off('link_preview', handleLinkPreview);
+      socket.off('message_unpinned', handleMessageUnpinned);
+      socket.off('sync_complete', handleSyncComplete);
+      socket.off('error', handleError);
     };
-  }, [socket, convId, myUserId, scrollToBottom]);
+  }, [socket, convId, myUserId, scrollToBottom, loadMessages, loadPins]);
+
+  const submitEdit = useCallback(async (content) => {
+    const target = editing;
+    setEditing(null);
+    setInput(getDraft(myUserId, convId)?.content || '');
+    if (content === target.content) return;
+
+    if (socket && connected) {
+      socket.emit('edit_message', { messageId: target.id, content });
+      return;
+    }
+
+    // Fall back to REST while the socket is down
+    try {
+      const res = await api.put(`/messages/${target.id}`, { content });
+      setMessages(prev => applyEdit(prev, res.data));
+    } catch (e) {
+      setNotice(e.response?.data?.error || 'Failed to edit message');
+    }
+  }, [editing, socket, connected, myUserId, convId]);
+
+  const setMessageStatus = useCallback((clientMessageId, status) => {
+    setMessages(prev => prev.map(m => (
+      m.client_message_id === clientMessageId && m.status ? { ...m, status } : m
+    )));
+  }, []);
+
+  const deliverMessage = useCallback((pending) => {
+    if (!socket || !connected) {
+      setMessageStatus(pending.client_message_id, 'failed');
+      return;
+    }
+
+    socket.timeout(SEND_TIMEOUT).emit('send_message', {
+      conversationId: convId,
+      content: pending.content,
+      messageType: pending.message_type,
+      location: toLocation(pending),
+      contactUserId: pending.contact_card?.id,
+      replyTo: pending.reply_to,
+      clientMessageId: pending.client_message_id,
+    }, (err, res) => {
+      if (err || !res?.ok) {
+        setMessageStatus(pending.client_message_id, 'failed');
+        if (res?.error) setNotice(res.error);
+        return;
+      }
+      // The new_message broadcast may already have replaced the optimistic copy
+      setMessages(prev => prev.map(m => (
+        m.client_message_id === res.clientMessageId && m.status
+          ? { ...m, id: res.id, created_at: res.createdAt, status: 'sent' }
+          : m
+      )));
+    });
+  }, [socket, connected, convId, setMessageStatus]);
+
+  // Hand a message to the outbox to be sent once the connection is back
+  const queueMessage = useCallback((m) => {
+    enqueueMessage({
+      clientMessageId: m.client_message_id,
+      conversationId: convId,
+      content: m.content,
+      messageType: m.message_type,
+      location: toLocation(m),
+      contactCard: m.contact_card,
+      replyTo: m.reply_to,
+      replyMessage: m.reply_message,
+    });
+  }, [enqueueMessage, convId]);
+
+  const retryMessage = (m) => {
+    if (!socket || !connected) {
+      setMessages(prev => prev.filter(item => item.client_message_id !== m.client_message_id));
+      queueMessage(m);
+      return;
+    }
+    setMessageStatus(m.client_message_id, 'sending');
+    deliverMessage(m);
+  };
 
   const sendMessage = useCallback(() => {
     const content = input.trim();
-    if (!content || !socket || !convId) return;
+    if (!content || !convId) return;
 
-    socket.emit('send_message', {
-      conversationId: convId,
+    if (editing) {
+      submitEdit(content);
+      return;
+    }
+
+    const pending = toPendingMessage({
+      clientMessageId: createClientMessageId(),
       content,
-      messageType: 'text',
-    });
+      createdAt: new Date().toISOString(),
+      status: 'sending',
+      replyMessage: replyingTo,
+    }, user);
 
     setInput('');
-  }, [input, socket, convId]);
+    setReplyingTo(null);
+    setMention(null);
+    scrollToBottom();
+
+    // The server drops its copy of the draft when the message arrives
+    clearTimeout(draftTimerRef.current);
+    pendingDraftRef.current = null;
+    saveDraft(myUserId, convId, null);
+
+    // Hold it in the outbox until the connection comes back
+    if (!socket || !connected) {
+      queueMessage(pending);
+      return;
+    }
+
+    setMessages(prev => [...prev, pending]);
+    deliverMessage(pending);
+  }, [input, convId, editing, replyingTo, submitEdit, socket, connected, user, myUserId, scrollToBottom, deliverMessage, queueMessage]);
+
+  // Location messages go through the same optimistic send and outbox as text
+  const sendLocation = ({ latitude, longitude, label }) => {
+    setSharingLocation(false);
+    if (!convId) return;
+
+    const pending = toPendingMessage({
+      clientMessageId: createClientMessageId(),
+      content: label || null,
+      createdAt: new Date().toISOString(),
+      status: 'sending',
+      replyMessage: replyingTo,
+      messageType: 'location',
+      location: { latitude, longitude },
+    }, user);
+
+    setReplyingTo(null);
+    scrollToBottom();
+
+    if (!socket || !connected) {
+      queueMessage(pending);
+      return;
+    }
+
+    setMessages(prev => [...prev, pending]);
+    deliverMessage(pending);
+  };
+
+  // Contact cards are sent the same way; only contacts are offered, so the card starts out as a friend's
+  const sendContactCard = (contact) => {
+    setSharingContact(false);
+    if (!convId) return;
+
+    const pending = toPendingMessage({
+      clientMessageId: createClientMessageId(),
+      content: null,
+      createdAt: new Date().toISOString(),
+      status: 'sending',
+      replyMessage: replyingTo,
+      messageType: 'contact_card',
+      contactCard: {
+        id: contact.user_id,
+        username: contact.username,
+        display_name: contact.display_name,
+        avatar_url: contact.avatar_url,
+        contact_status: 'accepted',
+      },
+    }, user);
+
+    setReplyingTo(null);
+    scrollToBottom();
+
+    if (!socket || !connected) {
+      queueMessage(pending);
+      return;
+    }
+
+    setMessages(prev => [...prev, pending]);
+    deliverMessage(pending);
+  };
+
+  // Outbox entries for this conversation that haven't come back from the server yet
+  const queuedMessages = useMemo(() => (
+    outbox
+      .filter(item => item.conversationId === convId)
+      .filter(item => !messages.some(m => m.client_message_id === item.clientMessageId))
+      .map(item => ({
+        ...toPendingMessage({
+          clientMessageId: item.clientMessageId,
+          content: item.content,
+          createdAt: new Date(item.queuedAt).toISOString(),
+          status: item.status,
+          replyMessage: item.replyMessage,
+          messageType: item.messageType,
+          location: item.location,
+          contactCard: item.contactCard,
+        }, user),
+        queued: true,
+        error: item.error,
+      }))
+  ), [outbox, convId, messages, user]);
+
+  const uploadAttachment = async (e) => {
+    const file = e.target.files?.[0];
+    e.target.value = '';
+    if (!file || !convId) return;
+
+    const formData = new FormData();
+    formData.append('file', file);
+    if (replyingTo) {
+      formData.append('replyTo', replyingTo.id);
+      setReplyingTo(null);
+    }
+
+    try {
+      setUploading(true);
+      // The server broadcasts the new message, which adds it to the list
+      await api.post(`/messages/conversations/${convId}/attachments`, formData, { timeout: 120000 });
+    } catch (err) {
+      setNotice(err.response?.data?.error || 'Failed to send attachment');
+    } finally {
+      setUploading(false);
+    }
+  };
+
+  const sendVoice = async ({ blob, waveform }) => {
+    if (!convId) return;
+
+    const extension = blob.type.includes('ogg') ? 'ogg' : blob.type.includes('mp4') ? 'm4a' : 'webm';
+    const formData = new FormData();
+    formData.append('file', blob, `voice.${extension}`);
+    formData.append('waveform', JSON.stringify(waveform));
+    if (replyingTo) {
+      formData.append('replyTo', replyingTo.id);
+      setReplyingTo(null);
+    }
+
+    try {
+      setUploading(true);
+      await api.post(`/messages/conversations/${convId}/voice`, formData, { timeout: 120000 });
+    } catch (err) {
+      setNotice(err.response?.data?.error || 'Failed to send voice message');
+    } finally {
+      setUploading(false);
+    }
+  };
+
+  // First play of someone else's voice message clears its unplayed dot
+  const markVoicePlayed = async (m) => {
+    setMessages(prev => prev.map(x => (x.id === m.id ? { ...x, played_at: new Date().toISOString() } : x)));
+    try {
+      await api.post(`/messages/${m.id}/played`);
+    } catch (err) {
+      console.error('Failed to mark voice message played:', err);
+    }
+  };
+
+  const startReply = (m) => {
+    setMessageMenu(null);
+    if (editing) cancelEditing();
+    setReplyingTo({
+      id: m.id,
+      content: m.content,
+      message_type: m.message_type,
+      file_name: m.file_name,
+      recalled_at: m.recalled_at,
+      sender_name: m.sender_id === myUserId ? 'You' : (m.sender_name || m.sender_username),
+    });
+  };
+
+  // Scroll to a message, reopening the conversation around it if it isn't loaded
+  const jumpToMessage = (messageId) => {
+    if (messages.some(m => m.id === messageId)) {
+      setHighlightedId(messageId);
+      return;
+    }
+    setSearchParams({ messageId: String(messageId) }, { replace: true });
+  };
+
+  // Bring the highlighted message into view once it has rendered, then fade the highlight
+  useEffect(() => {
+    if (!highlightedId) return;
+    document.getElementById(`message-${highlightedId}`)?.scrollIntoView({ block: 'center' });
+    const timer = setTimeout(() => setHighlightedId(null), 2000);
+    return () => clearTimeout(timer);
+  }, [highlightedId]);
+
+  const startEditing = (m) => {
+    setMessageMenu(null);
+    setReplyingTo(null);
+    setEditing(m);
+    setInput(m.content);
+  };
+
+  const cancelEditing = () => {
+    setEditing(null);
+    setInput(getDraft(myUserId, convId)?.content || '');
+  };
+
+  const recallMessage = async (m) => {
+    setMessageMenu(null);
+
+    if (socket && connected) {
+      socket.emit('recall_message', { messageId: m.id });
+      return;
+    }
+
+    try {
+      const res = await api.post(`/messages/${m.id}/recall`);
+      setMessages(prev => applyRecall(prev, res.data));
+    } catch (e) {
+      setNotice(e.response?.data?.error || 'Failed to recall message');
+    }
+  };
+
+  // The user's own reaction to a message, if any
+  const myReaction = (m) => m?.reactions?.find(reaction => reaction.user_ids.includes(myUserId))?.emoji;
+
+  // Reacting with the emoji already chosen takes the reaction back
+  const toggleReaction = (m, emoji) => {
+    setReactionPicker(null);
+    if (!socket || !connected) {
+      setNotice('Reactions need a connection to the server');
+      return;
+    }
+
+    if (myReaction(m) === emoji) {
+      socket.emit('remove_reaction', { messageId: m.id });
+    } else {
+      socket.emit('add_reaction', { messageId: m.id, emoji });
+    }
+  };
+
+  const togglePin = async (m) => {
+    setMessageMenu(null);
+    try {
+      if (pins.some(p => p.id === m.id)) {
+        await api.delete(`/messages/${m.id}/pin`);
+        setPins(prev => prev.filter(p => p.id !== m.id));
+      } else {
+        const res = await api.post(`/messages/${m.id}/pin`);
+        setPins(prev => addPin(prev, fromPinEvent(res.data)));
+      }
+    } catch (e) {
+      setNotice(e.response?.data?.error || 'Failed to update pin');
+    }
+  };
+
+  const deleteForMe = async (m) => {
+    setMessageMenu(null);
+    try {
+      await api.delete(`/messages/${m.id}`);
+      setMessages(prev => prev.filter(item => item.id !== m.id));
+    } catch (e) {
+      setNotice(e.response?.data?.error || 'Failed to delete message');
+    }
+  };
+
+  // Multi-select mode for forwarding; null when not selecting
+  const startSelecting = (m) => {
+    setMessageMenu(null);
+    setSelectedIds([m.id]);
+  };
+
+  const toggleSelected = (m) => {
+    if (m.recalled_at || (m.status && m.status !== 'sent')) return;
+    setSelectedIds(prev => (prev.includes(m.id) ? prev.filter(id => id !== m.id) : [...prev, m.id]));
+  };
+
+  const finishForwarding = () => {
+    setForwarding(false);
+    setSelectedIds(null);
+  };
+
+  const openMessageMenu = (e, m) => {
+    e.preventDefault();
+    if (selectedIds) return;
+    // Messages still on their way have no server id to act on yet
+    if (m.status && m.status !== 'sent') return;
+    setMessageMenu({ message: m, position: { top: e.clientY, left: e.clientX } });
+  };
+
+  // Group members for @mention suggestions
+  useEffect(() => {
+    setGroup(null);
+    if (!groupId) return;
+
+    let cancelled = false;
+    api.get(`/groups/${groupId}`)
+      .then(res => {
+        if (!cancelled) setGroup(res.data);
+      })
+      .catch(e => console.error('Failed to load group members:', e));
+
+    return () => {
+      cancelled = true;
+    };
+  }, [groupId]);
+
+  // Members matching the @query being typed; admins can also address everyone
+  const mentionOptions = useMemo(() => {
+    if (!mention || !group) return [];
+
+    const query = mention.query.toLowerCase();
+    const options = group.members
+      .filter(member => member.id !== myUserId)
+      .filter(member =>
+        member.username.toLowerCase().startsWith(query) ||
+        member.display_name?.toLowerCase().includes(query)
+      )
+      .map(member => ({
+        key: member.id,
+        username: member.username,
+        label: member.display_name,
+        avatar: member.avatar_url,
+      }));
+
+    if (group.userRole === 'admin' && 'all'.startsWith(query)) {
+      options.unshift({ key: 'all', username: 'all', label: 'Everyone' });
+    }
+
+    return options.slice(0, 8);
+  }, [mention, group, myUserId]);
+
+  const handleInputChange = (e) => {
+    const value = e.target.value;
+    setInput(value);
+    if (!editing) storeDraft(value);
+
+    const caret = e.target.selectionStart ?? value.length;
+    const match = MENTION_QUERY_PATTERN.exec(value.slice(0, caret));
+    setMention(match ? { start: caret - match[2].length - 1, end: caret, query: match[2] } : null);
+    setMentionIndex(0);
+  };
+
+  const insertMention = (option) => {
+    const value = `${input.slice(0, mention.start)}@${option.username} ${input.slice(mention.end)}`;
+    setInput(value);
+    if (!editing) storeDraft(value);
+    setMention(null);
+  };
+
+  // Wrap the composer's selection in formatting markers, keeping the same text selected
+  const formatInput = (format) => {
+    const field = inputRef.current;
+    const next = applyFormat(input, field?.selectionStart ?? input.length, field?.selectionEnd ?? input.length, format);
+    setInput(next.value);
+    if (!editing) storeDraft(next.value);
+
+    requestAnimationFrame(() => {
+      field?.focus();
+      field?.setSelectionRange(next.selectionStart, next.selectionEnd);
+    });
+  };
 
   const handleKeyDown = (e) => {
+    if ((e.ctrlKey || e.metaKey) && (e.key === 'b' || e.key === 'i')) {
+      e.preventDefault();
+      formatInput(e.key === 'b' ? 'bold' : 'italic');
+      return;
+    }
+
+    if (mentionOptions.length > 0) {
+      if (e.key === 'ArrowDown' || e.key === 'ArrowUp') {
+        e.preventDefault();
+        const step = e.key === 'ArrowDown' ? 1 : -1;
+        setMentionIndex((mentionIndex + step + mentionOptions.length) % mentionOptions.length);
+        return;
+      }
+      if (e.key === 'Enter' || e.key === 'Tab') {
+        e.preventDefault();
+        insertMention(mentionOptions[mentionIndex] || mentionOptions[0]);
+        return;
+      }
+      if (e.key === 'Escape') {
+        setMention(null);
+        return;
+      }
+    }
+
     if (e.key === 'Enter' && !e.shiftKey) {
       e.preventDefault();
       sendMessage();
@@ -121,33 +1144,175 @@ const ChatRoom = () => {
 
   const renderMessage = (m) => {
     const isMine = m.sender_id === myUserId;
+
+    if (m.recalled_at) {
+      return (
+        <Box key={m.id} textAlign="center" my={1} px={2} onContextMenu={(e) => openMessageMenu(e, m)}>
+          <Typography variant="caption" color="text.secondary">
+            {isMine ? 'You' : (m.sender_name || m.sender_username)} recalled a message
+          </Typography>
+        </Box>
+      );
+    }
+
     return (
-      <Box key={m.id} display="flex" justifyContent={isMine ? 'flex-end' : 'flex-start'} my={1} px={2}>
+      <Box
+        key={m.id}
+        id={`message-${m.id}`}
+        display="flex"
+        justifyContent={isMine ? 'flex-end' : 'flex-start'}
+        my={1}
+        px={2}
+        onContextMenu={(e) => openMessageMenu(e, m)}
+        onClick={selectedIds ? () => toggleSelected(m) : undefined}
+        sx={{
+          bgcolor: highlightedId === m.id || selectedIds?.includes(m.id) ? 'action.selected' : 'transparent',
+          transition: 'background-color 0.5s',
+          cursor: selectedIds ? 'pointer' : 'default',
+        }}
+      >
+        {selectedIds && (
+          <Checkbox size="small" checked={selectedIds.includes(m.id)} sx={{ p: 0.5, mr: 'auto', alignSelf: 'center' }} />
+        )}
         {!isMine && (
           <Avatar src={m.sender_avatar} sx={{ width: 28, height: 28, mr: 1 }}>
             {m.sender_name?.[0] || m.sender_username?.[0] || '?'}
           </Avatar>
         )}
-        <Box
-          sx={{
-            maxWidth: '70%',
-            bgcolor: isMine ? 'primary.main' : 'background.paper',
-            color: isMine ? 'primary.contrastText' : 'text.primary',
-            borderRadius: 2,
-            p: 1.2,
-          }}
-        >
-          {!isMine && (
-            <Typography variant="caption" color="text.secondary">
-              {m.sender_name || m.sender_username}
+        <Box sx={{ maxWidth: '70%', display: 'flex', flexDirection: 'column', alignItems: isMine ? 'flex-end' : 'flex-start' }}>
+          <Box
+            sx={{
+              maxWidth: '100%',
+              bgcolor: isMine ? 'primary.main' : 'background.paper',
+              color: isMine ? 'primary.contrastText' : 'text.primary',
+              borderRadius: 2,
+              p: 1.2,
+            }}
+          >
+            {!isMine && (
+              <Typography variant="caption" color="text.secondary">
+                {m.sender_name || m.sender_username}
+              </Typography>
+            )}
+            {m.forwarded_from_user_id && (
+              <Typography variant="caption" display="block" sx={{ fontStyle: 'italic', opacity: 0.8 }}>
+                Forwarded from {m.forwarded_from_name || 'a deleted user'}
+              </Typography>
+            )}
+            {m.reply_message && (
+              <Box
+                onClick={() => jumpToMessage(m.reply_message.id)}
+                sx={{
+                  borderLeft: '3px solid',
+                  borderColor: isMine ? 'primary.contrastText' : 'primary.main',
+                  bgcolor: 'action.hover',
+                  borderRadius: 1,
+                  px: 1,
+                  py: 0.5,
+                  mb: 0.5,
+                  cursor: 'pointer',
+                  opacity: 0.85,
+                }}
+              >
+                <Typography variant="caption" fontWeight="bold" display="block">
+                  {m.reply_message.sender_name}
+                </Typography>
+                <Typography variant="caption" display="block" noWrap>
+                  {quoteText(m.reply_message)}
+                </Typography>
+              </Box>
+            )}
+            {(m.message_type === 'image' || m.message_type === 'file') && m.file_url && (
+              <MessageAttachment message={m} isMine={isMine} />
+            )}
+            {m.message_type === 'voice' && m.file_url && (
+              <VoiceMessage message={m} isMine={isMine} onPlayed={markVoicePlayed} />
+            )}
+            {m.message_type === 'location' && typeof m.latitude === 'number' && (
+              <LocationCard message={m} />
+            )}
+            {m.message_type === 'contact_card' && !m.recalled_at && (
+              <ContactCard message={m} myUserId={myUserId} />
+            )}
+            {m.message_type === 'chat_history' ? (
+              <ChatHistoryCard message={m} isMine={isMine} onOpen={() => setTranscriptMessageId(m.id)} />
+            ) : m.message_type !== 'location' && m.content && (
+              <Typography variant="body2" component="div" whiteSpace="pre-wrap">
+                <FormattedText text={m.content} />
+              </Typography>
+            )}
+            {m.link_preview && !m.recalled_at && <LinkPreviewCard preview={m.link_preview} />}
+            <Typography variant="caption" color={isMine ? 'primary.contrastText' : 'text.secondary'} display="block" textAlign={isMine ? 'right' : 'left'}>
+              {m.edited_at && (
+                <Box
+                  component="span"
+                  onClick={() => setHistoryMessageId(m.id)}
+                  sx={{ mr: 0.5, cursor: 'pointer', textDecoration: 'underline' }}
+                >
+                  edited
+                </Box>
+              )}
+              {new Date(m.created_at).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' })}
+              {isMine && m.delivered_to && (!m.status || m.status === 'sent') && (
+                <>
+                  <ReceiptTicks message={m} recipientCount={recipientCount} />
+                  {recipientCount > 1 && (
+                    <Box
+                      component="span"
+                      onClick={() => setReceiptsMessageId(m.id)}
+                      sx={{ ml: 0.5, cursor: 'pointer', textDecoration: 'underline' }}
+                    >
+                      {m.read_by.length}/{recipientCount} read
+                    </Box>
+                  )}
+                </>
+              )}
+              {m.status === 'sending' && ' · Sending…'}
+              {m.status === 'queued' && ' · Waiting for connection'}
             </Typography>
+            {m.queued && m.status !== 'sending' && (
+              <Typography
+                variant="caption"
+                display="block"
+                textAlign="right"
+                sx={{ color: m.status === 'failed' ? 'error.light' : 'primary.contrastText' }}
+              >
+                {m.status === 'failed' && `${m.error} · `}
+                <Box
+                  component="span"
+                  onClick={() => cancelQueuedMessage(m.client_message_id)}
+                  sx={{ cursor: 'pointer', textDecoration: 'underline' }}
+                >
+                  Cancel
+                </Box>
+              </Typography>
+            )}
+            {!m.queued && m.status === 'failed' && (
+              <Typography
+                variant="caption"
+                display="block"
+                textAlign="right"
+                onClick={() => retryMessage(m)}
+                sx={{ color: 'error.light', cursor: 'pointer', fontWeight: 'bold' }}
+              >
+                Failed to send · tap to retry
+              </Typography>
+            )}
+          </Box>
+          {m.reactions?.length > 0 && (
+            <Box sx={{ display: 'flex', flexWrap: 'wrap', gap: 0.5, mt: 0.5 }}>
+              {m.reactions.map(reaction => (
+                <Chip
+                  key={reaction.emoji}
+                  size="small"
+                  label={`${reaction.emoji} ${reaction.count}`}
+                  color={reaction.user_ids.includes(myUserId) ? 'primary' : 'default'}
+                  variant={reaction.user_ids.includes(myUserId) ? 'filled' : 'outlined'}
+                  onClick={() => toggleReaction(m, reaction.emoji)}
+                />
+              ))}
+            </Box>
           )}
-          <Typography variant="body2" whiteSpace="pre-wrap">
-            {m.message_type === 'image' ? '[Image]' : m.content}
-          </Typography>
-          <Typography variant="caption" color={isMine ? 'primary.contrastText' : 'text.secondary'} display="block" textAlign={isMine ? 'right' : 'left'}>
-            {new Date(m.created_at).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' })}
-          </Typography>
         </Box>
       </Box>
     );
@@ -171,25 +1336,188 @@ const ChatRoom = () => {
 
   return (
     <Box sx={{ height: '100%', display: 'flex', flexDirection: 'column' }}>
-      <Box ref={listRef} sx={{ flex: 1, overflow: 'auto', py: 1 }}>
+      <PinnedBanner pins={pins} canPin={canPin} onJump={jumpToMessage} onUnpin={togglePin} />
+      {loadingOlder && <LinearProgress />}
+      <Box ref={listRef} onScroll={handleScroll} sx={{ flex: 1, overflow: 'auto', py: 1 }}>
         {messages.map(renderMessage)}
+        {queuedMessages.map(renderMessage)}
+        {loadingNewer && <LinearProgress />}
       </Box>
 
-      <Box sx={{ display: 'flex', alignItems: 'center', p: 1, borderTop: '1px solid', borderColor: 'divider' }}>
-        <TextField
-          value={input}
-          onChange={(e) => setInput(e.target.value)}
-          onKeyDown={handleKeyDown}
-          placeholder="Type a message"
-          fullWidth
-          size="small"
-          multiline
-          maxRows={4}
-        />
-        <IconButton color="primary" onClick={sendMessage} sx={{ ml: 1 }} disabled={!input.trim()}>
-          <Send />
-        </IconButton>
+      {hasNewer && (
+        <Box sx={{ display: 'flex', justifyContent: 'center', py: 0.5 }}>
+          <Button size="small" startIcon={<KeyboardArrowDown />} onClick={showLatest}>
+            Jump to latest
+          </Button>
+        </Box>
+      )}
+
+      {notice && (
+        <Alert severity="warning" onClose={() => setNotice('')} sx={{ mx: 1, mb: 1 }}>
+          {notice}
+        </Alert>
+      )}
+
+      {editing && (
+        <Box sx={{ display: 'flex', alignItems: 'center', px: 2, py: 0.5, borderTop: '1px solid', borderColor: 'divider' }}>
+          <Edit fontSize="small" color="primary" sx={{ mr: 1 }} />
+          <Typography variant="caption" color="text.secondary" noWrap sx={{ flex: 1 }}>
+            Editing: {editing.content}
+          </Typography>
+          <IconButton size="small" onClick={cancelEditing}>
+            <Close fontSize="small" />
+          </IconButton>
+        </Box>
+      )}
+
+      {replyingTo && (
+        <Box sx={{ display: 'flex', alignItems: 'center', px: 2, py: 0.5, borderTop: '1px solid', borderColor: 'divider' }}>
+          <Reply fontSize="small" color="primary" sx={{ mr: 1 }} />
+          <Typography variant="caption" color="text.secondary" noWrap sx={{ flex: 1 }}>
+            Replying to {replyingTo.sender_name}: {quoteText(replyingTo)}
+          </Typography>
+          <IconButton size="small" onClick={() => setReplyingTo(null)}>
+            <Close fontSize="small" />
+          </IconButton>
+        </Box>
+      )}
+
+      <MentionSuggestions options={mentionOptions} selectedIndex={mentionIndex} onSelect={insertMention} />
+
+      {selectedIds ? (
+        <Box sx={{ display: 'flex', alignItems: 'center', p: 1, borderTop: '1px solid', borderColor: 'divider' }}>
+          <Typography variant="body2" sx={{ flex: 1, ml: 1 }}>
+            {selectedIds.length} selected
+          </Typography>
+          <Button onClick={() => setSelectedIds(null)} sx={{ mr: 1 }}>Cancel</Button>
+          <Button variant="contained" onClick={() => setForwarding(true)} disabled={selectedIds.length === 0}>
+            Forward
+          </Button>
+        </Box>
+      ) : (
+      <Box sx={{ borderTop: '1px solid', borderColor: 'divider' }}>
+        <FormattingToolbar disabled={recordingMs !== null} onFormat={formatInput} />
+        <Box sx={{ display: 'flex', alignItems: 'center', p: 1 }}>
+          <input ref={fileInputRef} type="file" hidden onChange={uploadAttachment} />
+          <IconButton onClick={() => fileInputRef.current?.click()} sx={{ mr: 1 }} disabled={uploading || Boolean(editing)}>
+            {uploading ? <CircularProgress size={24} /> : <AttachFile />}
+          </IconButton>
+          <IconButton onClick={() => setSharingLocation(true)} sx={{ mr: 1 }} disabled={Boolean(editing)}>
+            <Place />
+          </IconButton>
+          <IconButton onClick={() => setSharingContact(true)} sx={{ mr: 1 }} disabled={Boolean(editing)}>
+            <ContactPage />
+          </IconButton>
+          <VoiceRecorder
+            disabled={uploading || Boolean(editing)}
+            onRecorded={sendVoice}
+            onProgress={setRecordingMs}
+            onError={setNotice}
+          />
+          {recordingMs !== null ? (
+            <Typography variant="body2" color="error" sx={{ flex: 1, py: 1 }}>
+              Recording {formatDuration(recordingMs)} · release to send, move away to cancel
+            </Typography>
+          ) : (
+            <TextField
+              value={input}
+              onChange={handleInputChange}
+              onBlur={() => setMention(null)}
+              onKeyDown={handleKeyDown}
+              placeholder="Type a message"
+              inputRef={inputRef}
+              fullWidth
+              size="small"
+              multiline
+              maxRows={4}
+              inputProps={{ maxLength: MAX_MESSAGE_LENGTH }}
+            />
+          )}
+          <IconButton color="primary" onClick={sendMessage} sx={{ ml: 1 }} disabled={!input.trim()}>
+            <Send />
+          </IconButton>
+        </Box>
       </Box>
+      )}
+
+      <Menu
+        open={Boolean(messageMenu)}
+        onClose={() => setMessageMenu(null)}
+        anchorReference="anchorPosition"
+        anchorPosition={messageMenu?.position}
+      >
+        {messageMenu && !messageMenu.message.recalled_at && (
+          <MenuItem onClick={() => startReply(messageMenu.message)}>Reply</MenuItem>
+        )}
+        {messageMenu && !messageMenu.message.recalled_at && (
+          <MenuItem onClick={() => { setReactionPicker(messageMenu); setMessageMenu(null); }}>React</MenuItem>
+        )}
+        {messageMenu && !messageMenu.message.recalled_at && (
+          <MenuItem onClick={() => startSelecting(messageMenu.message)}>Forward…</MenuItem>
+        )}
+        {messageMenu && messageMenu.message.sender_id === myUserId && messageMenu.message.message_type === 'text' && !messageMenu.message.recalled_at && !messageMenu.message.forwarded_from_user_id && (
+          <MenuItem onClick={() => startEditing(messageMenu.message)}>Edit</MenuItem>
+        )}
+        {messageMenu?.message.edited_at && (
+          <MenuItem onClick={() => { setHistoryMessageId(messageMenu.message.id); setMessageMenu(null); }}>
+            View edit history
+          </MenuItem>
+        )}
+        {messageMenu && canPin && !messageMenu.message.recalled_at && (
+          <MenuItem onClick={() => togglePin(messageMenu.message)}>
+            {pins.some(p => p.id === messageMenu.message.id) ? 'Unpin' : 'Pin'}
+          </MenuItem>
+        )}
+        {messageMenu && messageMenu.message.sender_id === myUserId && (
+          <MenuItem onClick={() => { setReceiptsMessageId(messageMenu.message.id); setMessageMenu(null); }}>
+            Message info
+          </MenuItem>
+        )}
+        {messageMenu && messageMenu.message.sender_id === myUserId && !messageMenu.message.recalled_at && (
+          <MenuItem onClick={() => recallMessage(messageMenu.message)}>Recall</MenuItem>
+        )}
+        {messageMenu && (
+          <MenuItem onClick={() => deleteForMe(messageMenu.message)}>Delete for me</MenuItem>
+        )}
+      </Menu>
+
+      <MessageHistoryDialog
+        message={messages.find(m => m.id === historyMessageId)}
+        onClose={() => setHistoryMessageId(null)}
+      />
+
+      <ReactionPicker
+        anchorPosition={reactionPicker?.position}
+        selected={myReaction(reactionPicker?.message)}
+        onSelect={(emoji) => toggleReaction(reactionPicker.message, emoji)}
+        onClose={() => setReactionPicker(null)}
+      />
+
+      <ChatHistoryDialog messageId={transcriptMessageId} onClose={() => setTranscriptMessageId(null)} />
+
+      <LocationDialog
+        open={sharingLocation}
+        onClose={() => setSharingLocation(false)}
+        onSend={sendLocation}
+      />
+
+      <ShareContactDialog
+        open={sharingContact}
+        onClose={() => setSharingContact(false)}
+        onSelect={sendContactCard}
+      />
+
+      <ForwardDialog
+        open={forwarding}
+        messageIds={selectedIds || []}
+        onClose={() => setForwarding(false)}
+        onForwarded={finishForwarding}
+      />
+
+      <MessageReceiptsDialog
+        messageId={receiptsMessageId}
+        onClose={() => setReceiptsMessageId(null)}
+      />
     </Box>
   );
 };
@@ -0,0 +1,107 @@
+import React, { useEffect, useState } from 'react';
+import { Box, Avatar, Typography, Button, Divider } from '@mui/material';
+import { PersonAdd } from '@mui/icons-material';
+import api from '../../services/api';
+
+// What the card says in place of "Add friend" for each relationship
+const STATUS_LABELS = {
+  accepted: 'Already friends',
+  pending: 'Request pending',
+};
+
+// Bubble body for a contact_card message: the shared user's avatar and name, with a
+// one-tap friend request. Cards that arrived live don't carry our relationship with
+// the user, so it is looked up once.
+const ContactCard = ({ message, myUserId }) => {
+  const card = message.contact_card;
+  const [contactStatus, setContactStatus] = useState(card?.contact_status);
+  const [sending, setSending] = useState(false);
+  const [error, setError] = useState('');
+
+  useEffect(() => {
+    if (!card || card.id === myUserId || card.contact_status !== undefined) return;
+
+    let cancelled = false;
+    api.get(`/users/${card.id}`)
+      .then(res => {
+        if (!cancelled) setContactStatus(res.data.contact_status);
+      })
+      .catch(() => {});
+
+    return () => {
+      cancelled = true;
+    };
+  }, [card, myUserId]);
+
+  if (!card) {
+    return (
+      <Typography variant="body2" fontStyle="italic" sx={{ opacity: 0.8 }}>
+        This contact is no longer available
+      </Typography>
+    );
+  }
+
+  const addFriend = async (e) => {
+    e.stopPropagation();
+    try {
+      setSending(true);
+      setError('');
+      await api.post('/contacts/request', { contactId: card.id });
+      setContactStatus('pending');
+    } catch (err) {
+      setError(err.response?.data?.error || 'Failed to send friend request');
+    } finally {
+      setSending(false);
+    }
+  };
+
+  const isSelf = card.id === myUserId;
+
+  return (
+    <Box sx={{ width: 220, maxWidth: '100%' }}>
+      <Box sx={{ display: 'flex', alignItems: 'center', gap: 1 }}>
+        <Avatar src={card.avatar_url}>
+          {card.display_name?.[0] || card.username?.[0] || '?'}
+        </Avatar>
+        <Box sx={{ minWidth: 0 }}>
+          <Typography variant="body2" fontWeight="medium" noWrap>
+            {card.display_name || card.username}
+          </Typography>
+          <Typography variant="caption" display="block" noWrap sx={{ opacity: 0.8 }}>
+            @{card.username}
+          </Typography>
+        </Box>
+      </Box>
+      <Divider sx={{ my: 0.75, borderColor: 'currentColor', opacity: 0.2 }} />
+      <Typography variant="caption" display="block" sx={{ opacity: 0.8 }}>
+        Contact card
+      </Typography>
+      {!isSelf && contactStatus !== 'blocked' && contactStatus !== undefined && (
+        STATUS_LABELS[contactStatus] ? (
+          <Typography variant="caption" display="block" sx={{ mt: 0.5 }}>
+            {STATUS_LABELS[contactStatus]}
+          </Typography>
+        ) : (
+          <Button
+            size="small"
+            color="inherit"
+            variant="outlined"
+            startIcon={<PersonAdd fontSize="small" />}
+            onClick={addFriend}
+            disabled={sending}
+            sx={{ mt: 0.5 }}
+          >
+            Add friend
+          </Button>
+        )
+      )}
+      {error && (
+        <Typography variant="caption" color="error" display="block" sx={{ mt: 0.5 }}>
+          {error}
+        </Typography>
+      )}
+    </Box>
+  );
+};
+
+export default ContactCard;
@@ -0,0 +1,286 @@
+import React from 'react';
+import { Box, Link } from '@mui/material';
+
+// Formatting chat text may use:
+//   **bold**  _italic_  ~~strikethrough~~  `code`  ```code block```
+// Links and @mentions are picked out without markers. The server derives plain text
+// from the same syntax (server/services/formattingService.js); keep the two in step.
+// Everything is built as React elements from the text, never as HTML, so nothing a
+// message contains can turn into markup.
+//
+// Both parse in a single pass over the text: a message is untrusted input, and
+// backtracking over unmatched markers would take time quadratic in its length.
+
+const CODE_FENCE = '```';
+
+// Emphasis markers and the token each one opens
+const EMPHASIS_MARKERS = [['**', 'bold'], ['~~', 'strike'], ['_', 'italic']];
+
+// Characters that end a link
+const LINK_END = /[\s<>"']/;
+
+// Punctuation after a link or mention usually ends the sentence
+const TRAILING_LINK_PUNCTUATION = '.,;:!?\'"';
+const TRAILING_MENTION_PUNCTUATION = '.,!?;:)]';
+
+// Helper: whether a character is a letter or digit, so snake_case isn't read as italics
+const isWordChar = (char) => Boolean(char) && /[\p{L}\p{N}]/u.test(char);
+
+// Helper: whether a character exists and isn't whitespace
+const isVisible = (char) => Boolean(char) && /\S/.test(char);
+
+// Helper: drop any of `characters` from the end of a value
+const trimTrailing = (value, characters) => {
+  let end = value.length;
+  while (end > 0 && characters.includes(value[end - 1])) end--;
+  return value.slice(0, end);
+};
+
+// Helper: split a link from punctuation that follows it
+const splitLink = (link) => {
+  let url = trimTrailing(link, TRAILING_LINK_PUNCTUATION);
+  if (url.endsWith(')') && !url.includes('(')) url = url.slice(0, -1);
+  return [url, link.slice(url.length)];
+};
+
+// Helper: the emphasis marker starting at `index`, as [marker, type], if any
+const emphasisAt = (text, index) => EMPHASIS_MARKERS.find(([marker]) => text.startsWith(marker, index));
+
+// Helper: length of the link starting at `index`, or 0
+const linkLength = (text, index) => {
+  const scheme = text.startsWith('https://', index) ? 8 : text.startsWith('http://', index) ? 7 : 0;
+  if (!scheme) return 0;
+
+  let end = index + scheme;
+  while (end < text.length && !LINK_END.test(text[end])) end++;
+  return end > index + scheme ? end - index : 0;
+};
+
+// Helper: split text outside code blocks into inline tokens ({ type, text, children }).
+// `type` is text, code, link, mention, bold, strike or italic. Open emphasis markers wait
+// on a stack; a closing marker ends the nearest open one of its kind, and markers that
+// never close are put back as text.
+const parseInline = (text) => {
+  const root = { tokens: [] };
+  const stack = [root];
+  const openCounts = { bold: 0, strike: 0, italic: 0 };
+  let noClosingBacktick = false;
+  let plainStart = 0;
+  let index = 0;
+
+  const pushToken = (frame, token) => {
+    const previous = frame.tokens[frame.tokens.length - 1];
+    if (token.type === 'text' && previous && previous.type === 'text') {
+      previous.text += token.text;
+    } else {
+      frame.tokens.push(token);
+    }
+  };
+
+  const pushText = (frame, value) => {
+    if (value) pushToken(frame, { type: 'text', text: value });
+  };
+
+  // Emit the plain text read since the last token
+  const flush = () => {
+    pushText(stack[stack.length - 1], text.slice(plainStart, index));
+  };
+
+  // Fold every frame above stack[depth] back into it as text plus its tokens
+  const unwind = (depth) => {
+    const target = stack[depth];
+    stack.splice(depth + 1).forEach(frame => {
+      openCounts[frame.type]--;
+      pushText(target, frame.marker);
+      frame.tokens.forEach(token => pushToken(target, token));
+    });
+  };
+
+  // A link or mention inside emphasis gives up the closing markers it ran into
+  const giveUpMarkers = (end) => {
+    for (const [marker, type] of EMPHASIS_MARKERS) {
+      while (openCounts[type] && end - marker.length > index && text.startsWith(marker, end - marker.length)) {
+        end -= marker.length;
+      }
+    }
+    return end;
+  };
+
+  // Helper: consume `length` characters as a finished token
+  const emit = (token, length) => {
+    flush();
+    pushToken(stack[stack.length - 1], token);
+    index += length;
+    plainStart = index;
+  };
+
+  while (index < text.length) {
+    const char = text[index];
+
+    // Code spans stay on one line and keep their content as typed
+    if (char === '`' && !noClosingBacktick) {
+      const close = text.indexOf('`', index + 1);
+      if (close === -1) {
+        noClosingBacktick = true;
+      } else if (close > index + 1 && !text.slice(index + 1, close).includes('\n')) {
+        emit({ type: 'code', text: text.slice(index + 1, close) }, close - index + 1);
+        continue;
+      }
+    }
+
+    const link = char === 'h' ? giveUpMarkers(index + linkLength(text, index)) - index : 0;
+    if (link > 0) {
+      const [url, rest] = splitLink(text.slice(index, index + link));
+      emit({ type: 'link', text: url }, url.length);
+      pushText(stack[stack.length - 1], rest);
+      index += rest.length;
+      plainStart = index;
+      continue;
+    }
+
+    // Mentions need a space (or nothing) before them
+    if (char === '@' && (index === 0 || /\s/.test(text[index - 1]))) {
+      let end = index + 1;
+      while (end < text.length && text[end] !== '@' && /\S/.test(text[end])) end++;
+      end = giveUpMarkers(end);
+      const name = trimTrailing(text.slice(index + 1, end), TRAILING_MENTION_PUNCTUATION);
+      if (name) {
+        emit({ type: 'mention', text: `@${name}` }, name.length + 1);
+        continue;
+      }
+    }
+
+    const emphasis = emphasisAt(text, index);
+    if (emphasis) {
+      const [marker, type] = emphasis;
+      const before = text[index - 1];
+      const after = text[index + marker.length];
+
+      // Emphasis hugs its content; italics also need a word boundary outside the markers
+      let depth = -1;
+      if (openCounts[type] && isVisible(before) && (type !== 'italic' || !isWordChar(after))) {
+        depth = stack.length - 1;
+        while (stack[depth].type !== type) depth--;
+        if (stack[depth].start === index) depth = -1;
+      }
+
+      if (depth !== -1) {
+        flush();
+        unwind(depth);
+        const frame = stack.pop();
+        openCounts[type]--;
+        pushToken(stack[stack.length - 1], { type, children: frame.tokens });
+        index += marker.length;
+        plainStart = index;
+        continue;
+      }
+
+      if (isVisible(after) && (type !== 'italic' || !isWordChar(before))) {
+        flush();
+        stack.push({ type, marker, start: index + marker.length, tokens: [] });
+        openCounts[type]++;
+        index += marker.length;
+        plainStart = index;
+        continue;
+      }
+    }
+
+    index++;
+  }
+
+  flush();
+  unwind(0);
+  return root.tokens;
+};
+
+// Helper: split text into code blocks ({ type: 'codeBlock', text }) and inline tokens
+const parseBlocks = (text) => {
+  const blocks = [];
+  let last = 0;
+
+  while (last < text.length) {
+    const open = text.indexOf(CODE_FENCE, last);
+    const close = open === -1 ? -1 : text.indexOf(CODE_FENCE, open + CODE_FENCE.length);
+    if (close === -1) break;
+
+    // A newline just inside either fence belongs to the fence
+    let content = text.slice(open + CODE_FENCE.length, close);
+    if (content.startsWith('\n')) content = content.slice(1);
+    if (content.endsWith('\n')) content = content.slice(0, -1);
+
+    blocks.push(...parseInline(text.slice(last, open)));
+    blocks.push({ type: 'codeBlock', text: content });
+    last = close + CODE_FENCE.length;
+  }
+
+  blocks.push(...parseInline(text.slice(last)));
+  return blocks;
+};
+
+// Plain-text projection of formatted text, for quotes and other one-line previews
+export const toPlainText = (text) => {
+  if (typeof text !== 'string') return text;
+
+  const flatten = (tokens) => tokens
+    .map(token => (token.children ? flatten(token.children) : token.text))
+    .join('');
+  return flatten(parseBlocks(text));
+};
+
+const codeSx = {
+  fontFamily: 'monospace',
+  fontSize: '0.85em',
+  bgcolor: 'rgba(0, 0, 0, 0.08)',
+  borderRadius: 0.5,
+};
+
+// Helper: render tokens as React elements
+const renderTokens = (tokens) => tokens.map((token, index) => {
+  switch (token.type) {
+    case 'codeBlock':
+      return (
+        <Box
+          key={index}
+          component="pre"
+          sx={{ ...codeSx, display: 'block', m: 0, my: 0.5, p: 1, overflowX: 'auto', whiteSpace: 'pre' }}
+        >
+          {token.text}
+        </Box>
+      );
+    case 'code':
+      return <Box key={index} component="code" sx={{ ...codeSx, px: 0.5 }}>{token.text}</Box>;
+    case 'link':
+      return (
+        <Link
+          key={index}
+          href={token.text}
+          target="_blank"
+          rel="noopener noreferrer"
+          color="inherit"
+          underline="always"
+          onClick={(e) => e.stopPropagation()}
+          sx={{ overflowWrap: 'anywhere' }}
+        >
+          {token.text}
+        </Link>
+      );
+    case 'mention':
+      return <Box key={index} component="span" sx={{ fontWeight: 'bold' }}>{token.text}</Box>;
+    case 'bold':
+      return <strong key={index}>{renderTokens(token.children)}</strong>;
+    case 'italic':
+      return <em key={index}>{renderTokens(token.children)}</em>;
+    case 'strike':
+      return <s key={index}>{renderTokens(token.children)}</s>;
+    default:
+      return <React.Fragment key={index}>{token.text}</React.Fragment>;
+  }
+});
+
+// Message text with its formatting applied; line breaks are kept by the surrounding pre-wrap
+const FormattedText = ({ text }) => {
+  if (!text) return null;
+  return <>{renderTokens(parseBlocks(text))}</>;
+};
+
+export default FormattedText;
@@ -0,0 +1,53 @@
+import React from 'react';
+import { Box, IconButton, Tooltip } from '@mui/material';
+import { FormatBold, FormatItalic, StrikethroughS, Code, DataObject } from '@mui/icons-material';
+
+// Markers each button wraps the selection in; `block` puts them on lines of their own
+export const FORMATS = {
+  bold: { marker: '**', label: 'Bold (Ctrl+B)', Icon: FormatBold },
+  italic: { marker: '_', label: 'Italic (Ctrl+I)', Icon: FormatItalic },
+  strike: { marker: '~~', label: 'Strikethrough', Icon: StrikethroughS },
+  code: { marker: '`', label: 'Code', Icon: Code },
+  codeBlock: { marker: '```', label: 'Code block', Icon: DataObject, block: true },
+};
+
+// Wrap the selected part of `value` in a format's markers.
+// Returns the new value and the selection to restore, which covers the same text as before.
+export const applyFormat = (value, selectionStart, selectionEnd, format) => {
+  const { marker, block } = FORMATS[format];
+  const before = value.slice(0, selectionStart);
+  const selected = value.slice(selectionStart, selectionEnd);
+  const after = value.slice(selectionEnd);
+
+  const open = block ? `${before && !before.endsWith('\n') ? '\n' : ''}${marker}\n` : marker;
+  const close = block ? `\n${marker}${after && !after.startsWith('\n') ? '\n' : ''}` : marker;
+
+  return {
+    value: `${before}${open}${selected}${close}${after}`,
+    selectionStart: selectionStart + open.length,
+    selectionEnd: selectionEnd + open.length,
+  };
+};
+
+// Buttons above the composer for the formatting chat messages support.
+// The input keeps its focus, so the selection being formatted isn't lost on click.
+const FormattingToolbar = ({ disabled, onFormat }) => (
+  <Box sx={{ display: 'flex', px: 1, pt: 0.5 }}>
+    {Object.entries(FORMATS).map(([format, { label, Icon }]) => (
+      <Tooltip key={format} title={label}>
+        <span>
+          <IconButton
+            size="small"
+            disabled={disabled}
+            onMouseDown={(e) => e.preventDefault()}
+            onClick={() => onFormat(format)}
+          >
+            <Icon fontSize="small" />
+          </IconButton>
+        </span>
+      </Tooltip>
+    ))}
+  </Box>
+);
+
+export default FormattingToolbar;
@@ -0,0 +1,131 @@
+import React, { useEffect, useState } from 'react';
+import {
+  Dialog,
+  DialogTitle,
+  DialogContent,
+  DialogActions,
+  List,
+  ListItemButton,
+  ListItemAvatar,
+  ListItemText,
+  Avatar,
+  Checkbox,
+  Button,
+  CircularProgress,
+  Alert,
+  Box,
+  ToggleButtonGroup,
+  ToggleButton,
+} from '@mui/material';
+import api from '../../services/api';
+import { fetchAllConversations } from '../../services/conversations';
+
+// Matches the server's per-request limit
+const MAX_TARGETS = 10;
+
+const ForwardDialog = ({ open, messageIds, onClose, onForwarded }) => {
+  const [conversations, setConversations] = useState(null);
+  const [selected, setSelected] = useState([]);
+  const [error, setError] = useState('');
+  const [sending, setSending] = useState(false);
+  // 'merge' sends one chat history card instead of a copy of each message
+  const [mode, setMode] = useState('separate');
+
+  useEffect(() => {
+    if (!open) return;
+
+    let cancelled = false;
+    setConversations(null);
+    setSelected([]);
+    setError('');
+    setMode('separate');
+
+    fetchAllConversations()
+      .then(list => {
+        if (!cancelled) setConversations(list);
+      })
+      .catch(e => {
+        if (!cancelled) setError(e.response?.data?.error || 'Failed to load conversations');
+      });
+
+    return () => {
+      cancelled = true;
+    };
+  }, [open]);
+
+  const toggle = (conversationId) => {
+    setSelected(prev => (
+      prev.includes(conversationId)
+        ? prev.filter(id => id !== conversationId)
+        : prev.length < MAX_TARGETS ? [...prev, conversationId] : prev
+    ));
+  };
+
+  const forward = async () => {
+    try {
+      setSending(true);
+      setError('');
+      await api.post('/messages/forward', {
+        messageIds,
+        conversationIds: selected,
+        merge: mode === 'merge' && messageIds.length > 1,
+      });
+      onForwarded(selected);
+    } catch (e) {
+      setError(e.response?.data?.error || 'Failed to forward messages');
+    } finally {
+      setSending(false);
+    }
+  };
+
+  return (
+    <Dialog open={open} onClose={onClose} fullWidth maxWidth="xs">
+      <DialogTitle>
+        Forward {messageIds.length === 1 ? 'message' : `${messageIds.length} messages`} to…
+      </DialogTitle>
+      <DialogContent dividers sx={{ p: 0 }}>
+        {messageIds.length > 1 && (
+          <Box sx={{ p: 1 }}>
+            <ToggleButtonGroup
+              exclusive
+              fullWidth
+              size="small"
+              value={mode}
+              onChange={(e, value) => value && setMode(value)}
+            >
+              <ToggleButton value="separate">One by one</ToggleButton>
+              <ToggleButton value="merge">As chat history</ToggleButton>
+            </ToggleButtonGroup>
+          </Box>
+        )}
+        {error && <Alert severity="error" sx={{ m: 1 }}>{error}</Alert>}
+        {!conversations && !error && (
+          <Box display="flex" justifyContent="center" py={2}>
+            <CircularProgress size={24} />
+          </Box>
+        )}
+        {conversations && (
+          <List dense>
+            {conversations.map(conversation => (
+              <ListItemButton key={conversation.id} onClick={() => toggle(conversation.id)}>
+                <Checkbox edge="start" checked={selected.includes(conversation.id)} tabIndex={-1} disableRipple />
+                <ListItemAvatar>
+                  <Avatar src={conversation.avatar_url}>{conversation.name?.charAt(0) || '?'}</Avatar>
+                </ListItemAvatar>
+                <ListItemText primary={conversation.name || 'Unknown'} />
+              </ListItemButton>
+            ))}
+          </List>
+        )}
+      </DialogContent>
+      <DialogActions>
+        <Button onClick={onClose}>Cancel</Button>
+        <Button variant="contained" onClick={forward} disabled={selected.length === 0 || sending}>
+          Send{selected.length > 0 ? ` (${selected.length})` : ''}
+        </Button>
+      </DialogActions>
+    </Dialog>
+  );
+};
+
+export default ForwardDialog;
@@ -0,0 +1,69 @@
+import React, { useState } from 'react';
+import { Box, Typography } from '@mui/material';
+
+// Card under a message for the first link in it: site, title, description and image.
+// The image is loaded straight from the site, without sending which chat it came from.
+const LinkPreviewCard = ({ preview }) => {
+  const [imageFailed, setImageFailed] = useState(false);
+
+  return (
+    <Box
+      component="a"
+      href={preview.url}
+      target="_blank"
+      rel="noopener noreferrer"
+      onClick={(e) => e.stopPropagation()}
+      sx={{
+        display: 'block',
+        mt: 0.5,
+        width: 260,
+        maxWidth: '100%',
+        overflow: 'hidden',
+        borderRadius: 1,
+        borderLeft: '3px solid',
+        borderColor: 'currentColor',
+        bgcolor: 'rgba(0, 0, 0, 0.06)',
+        color: 'inherit',
+        textDecoration: 'none',
+      }}
+    >
+      {preview.image_url && !imageFailed && (
+        <Box
+          component="img"
+          src={preview.image_url}
+          alt=""
+          referrerPolicy="no-referrer"
+          loading="lazy"
+          onError={() => setImageFailed(true)}
+          sx={{ display: 'block', width: '100%', maxHeight: 140, objectFit: 'cover' }}
+        />
+      )}
+      <Box sx={{ px: 1, py: 0.75 }}>
+        {preview.site_name && (
+          <Typography variant="caption" display="block" noWrap sx={{ opacity: 0.7 }}>
+            {preview.site_name}
+          </Typography>
+        )}
+        <Typography variant="body2" fontWeight="medium" sx={{ overflowWrap: 'anywhere' }}>
+          {preview.title}
+        </Typography>
+        {preview.description && (
+          <Typography
+            variant="caption"
+            sx={{
+              display: '-webkit-box',
+              WebkitLineClamp: 2,
+              WebkitBoxOrient: 'vertical',
+              overflow: 'hidden',
+              opacity: 0.8,
+            }}
+          >
+            {preview.description}
+          </Typography>
+        )}
+      </Box>
+    </Box>
+  );
+};
+
+export default LinkPreviewCard;
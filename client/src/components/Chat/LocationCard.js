@@ -0,0 +1,78 @@
+import React, { useState } from 'react';
+import { Box, Typography, Button } from '@mui/material';
+import { Place, ContentCopy, OpenInNew } from '@mui/icons-material';
+
+// "31.230416, 121.473701"; six decimals is about 10cm, more than any phone reports
+export const formatCoordinates = (latitude, longitude) =>
+  `${Number(latitude).toFixed(6)}, ${Number(longitude).toFixed(6)}`;
+
+const mapsUrl = (latitude, longitude) =>
+  `https://www.openstreetmap.org/?mlat=${latitude}&mlon=${longitude}#map=16/${latitude}/${longitude}`;
+
+// Bubble body for a location message. The preview is drawn locally rather than loading
+// map tiles, so it looks the same offline; "Open in maps" goes to a real map.
+const LocationCard = ({ message }) => {
+  const [copied, setCopied] = useState(false);
+  const coordinates = formatCoordinates(message.latitude, message.longitude);
+
+  const copyCoordinates = async (e) => {
+    e.stopPropagation();
+    try {
+      await navigator.clipboard.writeText(coordinates);
+      setCopied(true);
+      setTimeout(() => setCopied(false), 2000);
+    } catch (err) {
+      console.error('Failed to copy coordinates:', err);
+    }
+  };
+
+  return (
+    <Box sx={{ width: 240, maxWidth: '100%' }}>
+      <Box
+        sx={{
+          position: 'relative',
+          height: 110,
+          borderRadius: 1,
+          bgcolor: '#e8eef3',
+          backgroundImage:
+            'linear-gradient(#d0dae3 1px, transparent 1px), linear-gradient(90deg, #d0dae3 1px, transparent 1px)',
+          backgroundSize: '22px 22px',
+          display: 'flex',
+          alignItems: 'center',
+          justifyContent: 'center',
+        }}
+      >
+        <Place sx={{ fontSize: 40, color: 'error.main' }} />
+      </Box>
+      <Typography variant="body2" fontWeight="medium" sx={{ mt: 0.5 }} noWrap>
+        {message.content || 'Shared location'}
+      </Typography>
+      <Typography variant="caption" display="block" sx={{ opacity: 0.8 }}>
+        {coordinates}
+      </Typography>
+      <Box sx={{ display: 'flex', gap: 0.5, mt: 0.5 }}>
+        <Button
+          size="small"
+          color="inherit"
+          startIcon={<ContentCopy fontSize="small" />}
+          onClick={copyCoordinates}
+        >
+          {copied ? 'Copied' : 'Copy'}
+        </Button>
+        <Button
+          size="small"
+          color="inherit"
+          startIcon={<OpenInNew fontSize="small" />}
+          href={mapsUrl(message.latitude, message.longitude)}
+          target="_blank"
+          rel="noopener noreferrer"
+          onClick={(e) => e.stopPropagation()}
+        >
+          Open in maps
+        </Button>
+      </Box>
+    </Box>
+  );
+};
+
+export default LocationCard;
@@ -0,0 +1,138 @@
+import React, { useEffect, useState } from 'react';
+import {
+  Dialog,
+  DialogTitle,
+  DialogContent,
+  DialogActions,
+  Button,
+  TextField,
+  Alert,
+  Box,
+  CircularProgress,
+} from '@mui/material';
+import { MyLocation } from '@mui/icons-material';
+
+// Matches the server's limit
+const MAX_LABEL_LENGTH = 200;
+
+// Give up on a position fix after this long
+const GEOLOCATION_TIMEOUT = 10000;
+
+// Helper: parse a coordinate field, or null if it isn't a number within [min, max]
+const parseCoordinate = (value, min, max) => {
+  if (String(value).trim() === '') return null;
+  const number = Number(value);
+  return Number.isFinite(number) && number >= min && number <= max ? number : null;
+};
+
+// Pick a place to share: the device's current position, or coordinates typed in by hand
+const LocationDialog = ({ open, onClose, onSend }) => {
+  const [latitude, setLatitude] = useState('');
+  const [longitude, setLongitude] = useState('');
+  const [label, setLabel] = useState('');
+  const [error, setError] = useState('');
+  const [locating, setLocating] = useState(false);
+
+  useEffect(() => {
+    if (!open) return;
+    setLatitude('');
+    setLongitude('');
+    setLabel('');
+    setError('');
+    setLocating(false);
+  }, [open]);
+
+  const fillCurrentLocation = () => {
+    if (!navigator.geolocation) {
+      setError('Location is not available in this browser');
+      return;
+    }
+
+    setLocating(true);
+    setError('');
+    navigator.geolocation.getCurrentPosition(
+      (position) => {
+        setLatitude(position.coords.latitude.toFixed(6));
+        setLongitude(position.coords.longitude.toFixed(6));
+        setLocating(false);
+      },
+      (err) => {
+        setError(err.code === err.PERMISSION_DENIED
+          ? 'Location access was denied'
+          : 'Could not determine your location');
+        setLocating(false);
+      },
+      { enableHighAccuracy: true, timeout: GEOLOCATION_TIMEOUT }
+    );
+  };
+
+  const lat = parseCoordinate(latitude, -90, 90);
+  const lng = parseCoordinate(longitude, -180, 180);
+  const latitudeInvalid = latitude !== '' && lat === null;
+  const longitudeInvalid = longitude !== '' && lng === null;
+
+  const handleSend = () => {
+    if (lat === null || lng === null) {
+      setError('Enter a latitude between -90 and 90 and a longitude between -180 and 180');
+      return;
+    }
+    onSend({ latitude: lat, longitude: lng, label: label.trim() });
+  };
+
+  return (
+    <Dialog open={open} onClose={onClose} maxWidth="xs" fullWidth>
+      <DialogTitle>Share location</DialogTitle>
+      <DialogContent>
+        {error && <Alert severity="error" sx={{ mb: 2 }}>{error}</Alert>}
+        <Button
+          variant="outlined"
+          fullWidth
+          startIcon={locating ? <CircularProgress size={18} /> : <MyLocation />}
+          onClick={fillCurrentLocation}
+          disabled={locating}
+          sx={{ mb: 2 }}
+        >
+          Use current location
+        </Button>
+        <Box sx={{ display: 'flex', gap: 1 }}>
+          <TextField
+            label="Latitude"
+            value={latitude}
+            onChange={(e) => setLatitude(e.target.value)}
+            error={latitudeInvalid}
+            helperText={latitudeInvalid ? '-90 to 90' : ' '}
+            inputProps={{ inputMode: 'decimal' }}
+            size="small"
+            fullWidth
+          />
+          <TextField
+            label="Longitude"
+            value={longitude}
+            onChange={(e) => setLongitude(e.target.value)}
+            error={longitudeInvalid}
+            helperText={longitudeInvalid ? '-180 to 180' : ' '}
+            inputProps={{ inputMode: 'decimal' }}
+            size="small"
+            fullWidth
+          />
+        </Box>
+        <TextField
+          label="Place name (optional)"
+          value={label}
+          onChange={(e) => setLabel(e.target.value)}
+          inputProps={{ maxLength: MAX_LABEL_LENGTH }}
+          size="small"
+          fullWidth
+        />
+      </DialogContent>
+      <DialogActions>
+        <Button onClick={onClose}>Cancel</Button>
+        <Button variant="contained" onClick={handleSend} disabled={lat === null || lng === null}>
+          Send
+        </Button>
+      </DialogActions>
+    </Dialog>
+  );
+};
+
+export default LocationDialog;
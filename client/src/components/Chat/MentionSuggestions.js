@@ -0,0 +1,41 @@
+import React from 'react';
+import {
+  Paper,
+  List,
+  ListItemButton,
+  ListItemAvatar,
+  ListItemText,
+  Avatar,
+} from '@mui/material';
+import { Groups } from '@mui/icons-material';
+
+const MentionSuggestions = ({ options, selectedIndex, onSelect }) => {
+  if (options.length === 0) return null;
+
+  return (
+    <Paper elevation={3} sx={{ mx: 1, mb: 0.5, maxHeight: 240, overflow: 'auto' }}>
+      <List dense disablePadding>
+        {options.map((option, index) => (
+          <ListItemButton
+            key={option.key}
+            selected={index === selectedIndex}
+            // Keep focus in the composer while picking
+            onMouseDown={(e) => {
+              e.preventDefault();
+              onSelect(option);
+            }}
+          >
+            <ListItemAvatar>
+              <Avatar src={option.avatar} sx={{ width: 28, height: 28 }}>
+                {option.key === 'all' ? <Groups fontSize="small" /> : option.label?.charAt(0)}
+              </Avatar>
+            </ListItemAvatar>
+            <ListItemText primary={option.label} secondary={`@${option.username}`} />
+          </ListItemButton>
+        ))}
+      </List>
+    </Paper>
+  );
+};
+
+export default MentionSuggestions;
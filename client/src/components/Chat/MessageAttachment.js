@@ -0,0 +1,101 @@
+import React, { useEffect, useState } from 'react';
+import { Box, Typography } from '@mui/material';
+import { InsertDriveFile } from '@mui/icons-material';
+import api, { getFileUrl } from '../../services/api';
+
+export const formatFileSize = (bytes) => {
+  if (!bytes && bytes !== 0) return '';
+  if (bytes < 1024) return `${bytes} B`;
+  if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(1)} KB`;
+  return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+};
+
+// Attachment links are short-lived signed URLs; ask the server for a fresh one
+export const fetchSignedUrl = async (urlPath) => {
+  const res = await api.get(urlPath);
+  return getFileUrl(res.data.url);
+};
+
+// `signedUrlPath` overrides where fresh links come from (e.g. files inside a chat history transcript)
+const MessageAttachment = ({ message, isMine, signedUrlPath }) => {
+  const urlPath = signedUrlPath || `/messages/attachments/${message.id}/url`;
+  const [url, setUrl] = useState(() => getFileUrl(message.file_url));
+  const [refreshed, setRefreshed] = useState(false);
+
+  useEffect(() => {
+    setUrl(getFileUrl(message.file_url));
+    setRefreshed(false);
+  }, [message.file_url]);
+
+  // The signed URL may have expired while the chat was open; retry once
+  const handleImageError = async () => {
+    if (refreshed) return;
+    setRefreshed(true);
+    try {
+      setUrl(await fetchSignedUrl(urlPath));
+    } catch (e) {
+      console.error('Failed to refresh attachment link:', e);
+    }
+  };
+
+  const handleDownload = async (e) => {
+    e.preventDefault();
+    try {
+      window.location.href = await fetchSignedUrl(urlPath);
+    } catch (err) {
+      console.error('Failed to download attachment:', err);
+    }
+  };
+
+  if (message.message_type === 'image') {
+    return (
+      <Box
+        component="a"
+        href={url}
+        target="_blank"
+        rel="noopener noreferrer"
+        sx={{ display: 'block', mb: message.content ? 0.5 : 0 }}
+      >
+        <Box
+          component="img"
+          src={url}
+          alt={message.file_name || 'Image'}
+          loading="lazy"
+          onError={handleImageError}
+          sx={{ display: 'block', maxWidth: '100%', maxHeight: 280, borderRadius: 1 }}
+        />
+      </Box>
+    );
+  }
+
+  return (
+    <Box
+      component="a"
+      href={url}
+      onClick={handleDownload}
+      sx={{
+        display: 'flex',
+        alignItems: 'center',
+        minWidth: 180,
+        p: 1,
+        mb: message.content ? 0.5 : 0,
+        borderRadius: 1,
+        bgcolor: isMine ? 'rgba(255, 255, 255, 0.15)' : 'action.hover',
+        color: 'inherit',
+        textDecoration: 'none',
+      }}
+    >
+      <InsertDriveFile sx={{ mr: 1 }} />
+      <Box sx={{ minWidth: 0 }}>
+        <Typography variant="body2" noWrap>
+          {message.file_name || 'File'}
+        </Typography>
+        <Typography variant="caption" color={isMine ? 'inherit' : 'text.secondary'}>
+          {formatFileSize(message.file_size)}
+        </Typography>
+      </Box>
+    </Box>
+  );
+};
+
+export default MessageAttachment;
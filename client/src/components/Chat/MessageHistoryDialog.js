@@ -0,0 +1,57 @@
+import React from 'react';
+import {
+  Dialog,
+  DialogTitle,
+  DialogContent,
+  DialogActions,
+  List,
+  ListItem,
+  ListItemText,
+  Button,
+} from '@mui/material';
+import FormattedText from './FormattedText';
+
+const formatTimestamp = (timestamp) =>
+  new Date(timestamp).toLocaleString([], {
+    month: 'short',
+    day: 'numeric',
+    hour: '2-digit',
+    minute: '2-digit',
+  });
+
+const MessageHistoryDialog = ({ message, onClose }) => {
+  const history = message?.edit_history || [];
+
+  return (
+    <Dialog open={Boolean(message)} onClose={onClose} fullWidth maxWidth="xs">
+      <DialogTitle>Edit history</DialogTitle>
+      <DialogContent dividers>
+        <List dense>
+          {message && (
+            <ListItem>
+              <ListItemText
+                primary={<FormattedText text={message.content} />}
+                secondary={`Current · edited ${formatTimestamp(message.edited_at)}`}
+                primaryTypographyProps={{ whiteSpace: 'pre-wrap', component: 'div' }}
+              />
+            </ListItem>
+          )}
+          {[...history].reverse().map((version, index) => (
+            <ListItem key={index}>
+              <ListItemText
+                primary={<FormattedText text={version.content} />}
+                secondary={`Replaced ${formatTimestamp(version.edited_at)}`}
+                primaryTypographyProps={{ whiteSpace: 'pre-wrap', color: 'text.secondary', component: 'div' }}
+              />
+            </ListItem>
+          ))}
+        </List>
+      </DialogContent>
+      <DialogActions>
+        <Button onClick={onClose}>Close</Button>
+      </DialogActions>
+    </Dialog>
+  );
+};
+
+export default MessageHistoryDialog;
@@ -0,0 +1,88 @@
+import React, { useEffect, useState } from 'react';
+import {
+  Dialog,
+  DialogTitle,
+  DialogContent,
+  DialogActions,
+  List,
+  ListItem,
+  ListItemAvatar,
+  ListItemText,
+  ListSubheader,
+  Avatar,
+  Button,
+  CircularProgress,
+  Alert,
+  Box,
+} from '@mui/material';
+import api from '../../services/api';
+
+const formatTimestamp = (timestamp) =>
+  new Date(timestamp).toLocaleString([], {
+    month: 'short',
+    day: 'numeric',
+    hour: '2-digit',
+    minute: '2-digit',
+  });
+
+const SECTIONS = [
+  { key: 'read', title: 'Read', time: member => `Read ${formatTimestamp(member.read_at)}` },
+  { key: 'delivered', title: 'Delivered', time: member => `Delivered ${formatTimestamp(member.delivered_at)}` },
+  { key: 'pending', title: 'Not delivered yet', time: () => null },
+];
+
+const MessageReceiptsDialog = ({ messageId, onClose }) => {
+  const [receipts, setReceipts] = useState(null);
+  const [error, setError] = useState('');
+
+  useEffect(() => {
+    if (!messageId) return;
+
+    let cancelled = false;
+    setReceipts(null);
+    setError('');
+
+    api.get(`/messages/${messageId}/receipts`)
+      .then(res => {
+        if (!cancelled) setReceipts(res.data);
+      })
+      .catch(e => {
+        if (!cancelled) setError(e.response?.data?.error || 'Failed to load receipts');
+      });
+
+    return () => {
+      cancelled = true;
+    };
+  }, [messageId]);
+
+  return (
+    <Dialog open={Boolean(messageId)} onClose={onClose} fullWidth maxWidth="xs">
+      <DialogTitle>Message info</DialogTitle>
+      <DialogContent dividers>
+        {error && <Alert severity="error">{error}</Alert>}
+        {!error && !receipts && (
+          <Box display="flex" justifyContent="center" py={2}>
+            <CircularProgress size={24} />
+          </Box>
+        )}
+        {receipts && SECTIONS.filter(section => receipts[section.key].length > 0).map(section => (
+          <List dense key={section.key} subheader={<ListSubheader disableGutters>{section.title}</ListSubheader>}>
+            {receipts[section.key].map(member => (
+              <ListItem key={member.user_id} disableGutters>
+                <ListItemAvatar>
+                  <Avatar src={member.avatar_url}>{member.display_name?.charAt(0)}</Avatar>
+                </ListItemAvatar>
+                <ListItemText primary={member.display_name || member.username} secondary={section.time(member)} />
+              </ListItem>
+            ))}
+          </List>
+        ))}
+      </DialogContent>
+      <DialogActions>
+        <Button onClick={onClose}>Close</Button>
+      </DialogActions>
+    </Dialog>
+  );
+};
+
+export default MessageReceiptsDialog;
@@ -0,0 +1,210 @@
+import React, { useCallback, useEffect, useRef, useState } from 'react';
+import { useNavigate } from 'react-router-dom';
+import {
+  Box,
+  TextField,
+  InputAdornment,
+  MenuItem,
+  List,
+  ListItemButton,
+  ListItemAvatar,
+  ListItemText,
+  Avatar,
+  Typography,
+  Button,
+  CircularProgress,
+  Alert,
+} from '@mui/material';
+import { Search } from '@mui/icons-material';
+import api from '../../services/api';
+import { fetchAllConversations } from '../../services/conversations';
+
+// Wait for typing to pause before searching
+const SEARCH_DELAY = 300;
+
+// Matches are wrapped in these control characters by the search API
+const HIGHLIGHT_START = '\u0002';
+const HIGHLIGHT_END = '\u0003';
+
+const TYPE_OPTIONS = [
+  { value: '', label: 'All types' },
+  { value: 'text', label: 'Text' },
+  { value: 'image', label: 'Images' },
+  { value: 'file', label: 'Files' },
+  { value: 'chat_history', label: 'Chat history' },
+];
+
+// Render a snippet with its matches highlighted. Every chunk after a start marker
+// is "match<end marker>rest"; the text is never parsed as HTML.
+const Snippet = ({ text }) => (
+  <>
+    {(text || '').split(HIGHLIGHT_START).map((chunk, index) => {
+      if (index === 0) return <React.Fragment key={index}>{chunk}</React.Fragment>;
+      const [match, ...rest] = chunk.split(HIGHLIGHT_END);
+      return (
+        <React.Fragment key={index}>
+          <Box component="mark" sx={{ bgcolor: 'warning.light', color: 'inherit', px: 0.25 }}>{match}</Box>
+          {rest.join('')}
+        </React.Fragment>
+      );
+    })}
+  </>
+);
+
+const formatDate = (timestamp) =>
+  new Date(timestamp).toLocaleDateString([], { year: 'numeric', month: 'short', day: 'numeric' });
+
+const MessageSearch = () => {
+  const navigate = useNavigate();
+  const [query, setQuery] = useState('');
+  const [filters, setFilters] = useState({ type: '', conversationId: '', senderId: '', from: '', to: '', sort: 'relevance' });
+  const [conversations, setConversations] = useState([]);
+  const [contacts, setContacts] = useState([]);
+  const [results, setResults] = useState([]);
+  const [nextCursor, setNextCursor] = useState(null);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState('');
+  // Only the latest request may update the results
+  const requestRef = useRef(0);
+
+  // Options for the conversation and sender filters
+  useEffect(() => {
+    fetchAllConversations()
+      .then(setConversations)
+      .catch(e => console.error('Failed to load conversations:', e));
+    api.get('/contacts')
+      .then(res => setContacts(Array.isArray(res.data) ? res.data : []))
+      .catch(e => console.error('Failed to load contacts:', e));
+  }, []);
+
+  const search = useCallback(async (cursor = null) => {
+    const params = { query: query.trim(), sort: filters.sort };
+    ['type', 'conversationId', 'senderId', 'from', 'to'].forEach(key => {
+      if (filters[key]) params[key] = filters[key];
+    });
+    if (cursor) params.cursor = cursor;
+
+    const requestId = ++requestRef.current;
+    try {
+      setLoading(true);
+      setError('');
+      const res = await api.get('/messages/search', { params });
+      if (requestId !== requestRef.current) return;
+      setResults(prev => (cursor ? [...prev, ...res.data.results] : res.data.results));
+      setNextCursor(res.data.nextCursor);
+    } catch (e) {
+      if (requestId === requestRef.current) setError(e.response?.data?.error || 'Search failed');
+    } finally {
+      if (requestId === requestRef.current) setLoading(false);
+    }
+  }, [query, filters]);
+
+  useEffect(() => {
+    if (!query.trim()) {
+      requestRef.current++;
+      setResults([]);
+      setNextCursor(null);
+      return;
+    }
+
+    const timer = setTimeout(() => search(), SEARCH_DELAY);
+    return () => clearTimeout(timer);
+  }, [query, search]);
+
+  const setFilter = (key) => (e) => setFilters(prev => ({ ...prev, [key]: e.target.value }));
+
+  const openResult = (result) => {
+    navigate(`/chat/${result.conversation_id}?messageId=${result.id}`);
+  };
+
+  return (
+    <Box sx={{ height: '100%', display: 'flex', flexDirection: 'column' }}>
+      <Box sx={{ p: 1, borderBottom: '1px solid', borderColor: 'divider' }}>
+        <TextField
+          fullWidth
+          size="small"
+          autoFocus
+          placeholder="Search messages"
+          value={query}
+          onChange={(e) => setQuery(e.target.value)}
+          InputProps={{
+            startAdornment: (
+              <InputAdornment position="start">
+                <Search />
+              </InputAdornment>
+            ),
+          }}
+        />
+        <Box sx={{ display: 'flex', flexWrap: 'wrap', gap: 1, mt: 1 }}>
+          <TextField select size="small" label="Chat" value={filters.conversationId} onChange={setFilter('conversationId')} sx={{ minWidth: 140 }}>
+            <MenuItem value="">All chats</MenuItem>
+            {conversations.map(conversation => (
+              <MenuItem key={conversation.id} value={conversation.id}>{conversation.name || 'Unknown'}</MenuItem>
+            ))}
+          </TextField>
+          <TextField select size="small" label="From" value={filters.senderId} onChange={setFilter('senderId')} sx={{ minWidth: 140 }}>
+            <MenuItem value="">Anyone</MenuItem>
+            {contacts.map(contact => (
+              <MenuItem key={contact.user_id} value={contact.user_id}>{contact.display_name}</MenuItem>
+            ))}
+          </TextField>
+          <TextField select size="small" label="Type" value={filters.type} onChange={setFilter('type')} sx={{ minWidth: 120 }}>
+            {TYPE_OPTIONS.map(option => (
+              <MenuItem key={option.value} value={option.value}>{option.label}</MenuItem>
+            ))}
+          </TextField>
+          <TextField type="date" size="small" label="After" value={filters.from} onChange={setFilter('from')} InputLabelProps={{ shrink: true }} />
+          <TextField type="date" size="small" label="Before" value={filters.to} onChange={setFilter('to')} InputLabelProps={{ shrink: true }} />
+          <TextField select size="small" label="Sort" value={filters.sort} onChange={setFilter('sort')} sx={{ minWidth: 120 }}>
+            <MenuItem value="relevance">Best match</MenuItem>
+            <MenuItem value="date">Newest</MenuItem>
+          </TextField>
+        </Box>
+      </Box>
+
+      <Box sx={{ flex: 1, overflow: 'auto' }}>
+        {error && <Alert severity="error" sx={{ m: 1 }}>{error}</Alert>}
+        {!loading && !error && query.trim() && results.length === 0 && (
+          <Typography color="text.secondary" textAlign="center" sx={{ mt: 4 }}>
+            No messages found
+          </Typography>
+        )}
+        <List>
+          {results.map(result => (
+            <ListItemButton key={result.id} alignItems="flex-start" onClick={() => openResult(result)}>
+              <ListItemAvatar>
+                <Avatar src={result.sender_avatar}>{result.sender_name?.charAt(0)}</Avatar>
+              </ListItemAvatar>
+              <ListItemText
+                primary={
+                  <Box sx={{ display: 'flex', justifyContent: 'space-between' }}>
+                    <Typography variant="subtitle2" noWrap>
+                      {result.sender_name}
+                      {result.conversation_type === 'group' && ` · ${result.conversation_name}`}
+                    </Typography>
+                    <Typography variant="caption" color="text.secondary" sx={{ ml: 1, flexShrink: 0 }}>
+                      {formatDate(result.created_at)}
+                    </Typography>
+                  </Box>
+                }
+                secondary={<Snippet text={result.snippet} />}
+              />
+            </ListItemButton>
+          ))}
+        </List>
+        {loading && (
+          <Box display="flex" justifyContent="center" py={2}>
+            <CircularProgress size={24} />
+          </Box>
+        )}
+        {!loading && nextCursor && (
+          <Box display="flex" justifyContent="center" pb={2}>
+            <Button onClick={() => search(nextCursor)}>Load more</Button>
+          </Box>
+        )}
+      </Box>
+    </Box>
+  );
+};
+
+export default MessageSearch;
@@ -0,0 +1,63 @@
+import React, { useEffect, useState } from 'react';
+import { Box, Typography, IconButton } from '@mui/material';
+import { PushPin, Close } from '@mui/icons-material';
+
+// Short text for a pinned message
+const pinText = (pin) => {
+  if (pin.message_type === 'image') return pin.content ? `[Image] ${pin.content}` : '[Image]';
+  if (pin.message_type === 'file') return `[File] ${pin.file_name || ''}`.trim();
+  if (pin.message_type === 'voice') return '[Voice message]';
+  if (pin.message_type === 'location') return pin.content ? `[Location] ${pin.content}` : '[Location]';
+  if (pin.message_type === 'contact_card') return '[Contact card]';
+  if (pin.message_type === 'chat_history') return `[Chat history] ${pin.content || ''}`.trim();
+  return pin.content;
+};
+
+// Shows one pin at a time; each click jumps to it and moves on to the next
+const PinnedBanner = ({ pins, canPin, onJump, onUnpin }) => {
+  const [index, setIndex] = useState(0);
+
+  useEffect(() => {
+    if (index >= pins.length) setIndex(0);
+  }, [pins.length, index]);
+
+  if (pins.length === 0) return null;
+
+  const pin = pins[Math.min(index, pins.length - 1)];
+
+  const handleClick = () => {
+    onJump(pin.id);
+    setIndex((index + 1) % pins.length);
+  };
+
+  return (
+    <Box
+      sx={{
+        display: 'flex',
+        alignItems: 'center',
+        px: 2,
+        py: 0.5,
+        borderBottom: '1px solid',
+        borderColor: 'divider',
+        bgcolor: 'background.paper',
+      }}
+    >
+      <PushPin fontSize="small" color="primary" sx={{ mr: 1 }} />
+      <Box onClick={handleClick} sx={{ flex: 1, minWidth: 0, cursor: 'pointer' }}>
+        <Typography variant="caption" color="primary" display="block">
+          Pinned message{pins.length > 1 ? ` ${index + 1}/${pins.length}` : ''}
+        </Typography>
+        <Typography variant="body2" noWrap>
+          {pin.sender_name}: {pinText(pin)}
+        </Typography>
+      </Box>
+      {canPin && (
+        <IconButton size="small" onClick={() => onUnpin(pin)}>
+          <Close fontSize="small" />
+        </IconButton>
+      )}
+    </Box>
+  );
+};
+
+export default PinnedBanner;
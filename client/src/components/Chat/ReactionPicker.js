@@ -0,0 +1,45 @@
+import React, { useEffect, useState } from 'react';
+import { Popover, Box, IconButton } from '@mui/material';
+import { Add } from '@mui/icons-material';
+import EmojiPicker from 'emoji-picker-react';
+
+const QUICK_REACTIONS = ['👍', '❤️', '😂', '😮', '😢', '🙏'];
+
+const ReactionPicker = ({ anchorPosition, selected, onSelect, onClose }) => {
+  const [showAll, setShowAll] = useState(false);
+
+  // Start from the short list each time the picker opens
+  useEffect(() => {
+    if (anchorPosition) setShowAll(false);
+  }, [anchorPosition]);
+
+  return (
+    <Popover
+      open={Boolean(anchorPosition)}
+      onClose={onClose}
+      anchorReference="anchorPosition"
+      anchorPosition={anchorPosition}
+    >
+      {showAll ? (
+        <EmojiPicker onEmojiClick={(emojiData) => onSelect(emojiData.emoji)} lazyLoadEmojis />
+      ) : (
+        <Box sx={{ display: 'flex', alignItems: 'center', p: 0.5 }}>
+          {QUICK_REACTIONS.map(emoji => (
+            <IconButton
+              key={emoji}
+              onClick={() => onSelect(emoji)}
+              sx={{ fontSize: 22, width: 40, height: 40, bgcolor: emoji === selected ? 'action.selected' : 'transparent' }}
+            >
+              {emoji}
+            </IconButton>
+          ))}
+          <IconButton onClick={() => setShowAll(true)} sx={{ width: 40, height: 40 }}>
+            <Add />
+          </IconButton>
+        </Box>
+      )}
+    </Popover>
+  );
+};
+
+export default ReactionPicker;
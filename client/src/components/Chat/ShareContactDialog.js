@@ -0,0 +1,122 @@
+import React, { useEffect, useMemo, useState } from 'react';
+import {
+  Dialog,
+  DialogTitle,
+  DialogContent,
+  DialogActions,
+  List,
+  ListItemButton,
+  ListItemAvatar,
+  ListItemText,
+  Avatar,
+  TextField,
+  InputAdornment,
+  Button,
+  CircularProgress,
+  Alert,
+  Box,
+} from '@mui/material';
+import { Search } from '@mui/icons-material';
+import api from '../../services/api';
+
+// Pick one of your contacts to send as a contact card
+const ShareContactDialog = ({ open, onClose, onSelect }) => {
+  const [contacts, setContacts] = useState([]);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState('');
+  const [query, setQuery] = useState('');
+
+  useEffect(() => {
+    if (!open) return;
+
+    let cancelled = false;
+    setQuery('');
+    setError('');
+    setLoading(true);
+
+    api.get('/contacts')
+      .then(res => {
+        if (!cancelled) setContacts(res.data.filter(c => c.contact_status === 'accepted'));
+      })
+      .catch(() => {
+        if (!cancelled) setError('Failed to load contacts');
+      })
+      .finally(() => {
+        if (!cancelled) setLoading(false);
+      });
+
+    return () => {
+      cancelled = true;
+    };
+  }, [open]);
+
+  const filtered = useMemo(() => {
+    if (!query) return contacts;
+    const q = query.toLowerCase();
+    return contacts.filter(c =>
+      c.display_name?.toLowerCase().includes(q) ||
+      c.username?.toLowerCase().includes(q)
+    );
+  }, [contacts, query]);
+
+  return (
+    <Dialog open={open} onClose={onClose} fullWidth maxWidth="sm">
+      <DialogTitle>Share a contact</DialogTitle>
+      <DialogContent dividers>
+        <TextField
+          value={query}
+          onChange={(e) => setQuery(e.target.value)}
+          placeholder="Search contacts"
+          fullWidth
+          size="small"
+          margin="dense"
+          InputProps={{
+            startAdornment: (
+              <InputAdornment position="start">
+                <Search />
+              </InputAdornment>
+            )
+          }}
+        />
+
+        {error && (
+          <Box mt={1}>
+            <Alert severity="error">{error}</Alert>
+          </Box>
+        )}
+
+        {loading ? (
+          <Box display="flex" justifyContent="center" py={4}>
+            <CircularProgress />
+          </Box>
+        ) : (
+          <List sx={{ maxHeight: 360, overflow: 'auto' }}>
+            {filtered.map((c) => (
+              <ListItemButton key={c.user_id} onClick={() => onSelect(c)}>
+                <ListItemAvatar>
+                  <Avatar src={c.avatar_url}>
+                    {c.display_name?.[0] || c.username?.[0] || '?'}
+                  </Avatar>
+                </ListItemAvatar>
+                <ListItemText
+                  primary={c.display_name || c.username}
+                  secondary={`@${c.username}`}
+                />
+              </ListItemButton>
+            ))}
+            {filtered.length === 0 && (
+              <Box textAlign="center" color="text.secondary" py={4}>
+                No contacts found
+              </Box>
+            )}
+          </List>
+        )}
+      </DialogContent>
+      <DialogActions>
+        <Button onClick={onClose}>Cancel</Button>
+      </DialogActions>
+    </Dialog>
+  );
+};
+
+export default ShareContactDialog;
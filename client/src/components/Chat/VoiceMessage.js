@@ -0,0 +1,118 @@
+import React, { useEffect, useRef, useState } from 'react';
+import { Box, IconButton, Typography } from '@mui/material';
+import { PlayArrow, Pause } from '@mui/icons-material';
+import { getFileUrl } from '../../services/api';
+import { fetchSignedUrl } from './MessageAttachment';
+
+// Bars drawn for a recording sent without a waveform
+const FLAT_WAVEFORM = Array(32).fill(30);
+
+// "0:07" for a duration in milliseconds
+export const formatDuration = (ms) => {
+  const seconds = Math.round((ms || 0) / 1000);
+  return `${Math.floor(seconds / 60)}:${String(seconds % 60).padStart(2, '0')}`;
+};
+
+// Bubble body for a voice message: play button, waveform that fills in as it plays, and length.
+// Recipients see a dot until they first play it; `onPlayed` reports that first play. Without
+// `onPlayed` (e.g. in a chat history transcript) plays aren't tracked and there is no dot.
+// `signedUrlPath` overrides where a fresh link comes from, as for MessageAttachment.
+const VoiceMessage = ({ message, isMine, onPlayed, signedUrlPath }) => {
+  const audioRef = useRef(null);
+  const [url, setUrl] = useState(() => getFileUrl(message.file_url));
+  const [refreshed, setRefreshed] = useState(false);
+  const [playing, setPlaying] = useState(false);
+  const [progress, setProgress] = useState(0);
+
+  const samples = message.waveform?.length ? message.waveform : FLAT_WAVEFORM;
+  const unplayed = Boolean(onPlayed) && !isMine && !message.played_at;
+
+  useEffect(() => {
+    setUrl(getFileUrl(message.file_url));
+    setRefreshed(false);
+  }, [message.file_url]);
+
+  const togglePlay = async (e) => {
+    e.stopPropagation();
+    const audio = audioRef.current;
+    if (!audio) return;
+
+    if (playing) {
+      audio.pause();
+      return;
+    }
+
+    try {
+      await audio.play();
+      if (unplayed) onPlayed(message);
+    } catch (err) {
+      console.error('Failed to play voice message:', err);
+    }
+  };
+
+  // The signed URL may have expired while the chat was open; fetch a fresh one once
+  const handleError = async () => {
+    if (refreshed) return;
+    setRefreshed(true);
+    try {
+      setUrl(await fetchSignedUrl(signedUrlPath || `/messages/attachments/${message.id}/url`));
+    } catch (err) {
+      console.error('Failed to refresh voice message link:', err);
+    }
+  };
+
+  const handleTimeUpdate = () => {
+    const audio = audioRef.current;
+    if (audio && message.duration_ms) {
+      setProgress(Math.min((audio.currentTime * 1000) / message.duration_ms, 1));
+    }
+  };
+
+  return (
+    <Box
+      sx={{
+        display: 'flex',
+        alignItems: 'center',
+        // Longer recordings get wider bubbles, up to a point
+        width: Math.min(140 + (message.duration_ms || 0) / 300, 260),
+        maxWidth: '100%',
+      }}
+    >
+      <audio
+        ref={audioRef}
+        src={url}
+        preload="none"
+        onPlay={() => setPlaying(true)}
+        onPause={() => setPlaying(false)}
+        onEnded={() => { setPlaying(false); setProgress(0); }}
+        onTimeUpdate={handleTimeUpdate}
+        onError={handleError}
+      />
+      <IconButton size="small" color="inherit" onClick={togglePlay} sx={{ mr: 0.5 }}>
+        {playing ? <Pause /> : <PlayArrow />}
+      </IconButton>
+      <Box sx={{ display: 'flex', alignItems: 'center', flex: 1, height: 24, gap: '2px', minWidth: 0 }}>
+        {samples.map((sample, index) => (
+          <Box
+            key={index}
+            sx={{
+              flex: 1,
+              height: `${Math.max(sample, 10)}%`,
+              borderRadius: 1,
+              bgcolor: 'currentColor',
+              opacity: index / samples.length < progress ? 1 : 0.4,
+            }}
+          />
+        ))}
+      </Box>
+      <Typography variant="caption" sx={{ ml: 1, flexShrink: 0 }}>
+        {formatDuration(message.duration_ms)}
+      </Typography>
+      {unplayed && (
+        <Box sx={{ width: 8, height: 8, borderRadius: '50%', bgcolor: 'error.main', ml: 0.75, flexShrink: 0 }} />
+      )}
+    </Box>
+  );
+};
+
+export default VoiceMessage;
@@ -0,0 +1,152 @@
+import React, { useEffect, useRef } from 'react';
+import { IconButton } from '@mui/material';
+import { Mic } from '@mui/icons-material';
+
+// Recordings shorter than this are treated as an accidental tap
+const MIN_DURATION_MS = 1000;
+
+// Matches the server's default limit; recording stops and sends on its own at this length
+const MAX_DURATION_MS = 60000;
+
+// How often the microphone level is sampled for the waveform
+const LEVEL_INTERVAL = 100;
+const WAVEFORM_SAMPLES = 48;
+
+// Formats to record in, best first; browsers support different ones
+const MIME_TYPES = ['audio/webm;codecs=opus', 'audio/ogg;codecs=opus', 'audio/mp4'];
+
+// Helper: average level readings (0-1) into at most `count` bars from 0 to 100, loudest at 100
+const toWaveform = (levels, count) => {
+  if (levels.length === 0) return [];
+
+  const bucketSize = Math.max(levels.length / count, 1);
+  const buckets = [];
+  for (let start = 0; start < levels.length; start += bucketSize) {
+    const bucket = levels.slice(Math.floor(start), Math.floor(start + bucketSize));
+    buckets.push(bucket.reduce((sum, level) => sum + level, 0) / bucket.length);
+  }
+
+  const loudest = Math.max(...buckets) || 1;
+  return buckets.slice(0, count).map(level => Math.round((level / loudest) * 100));
+};
+
+// Hold-to-talk button: press to record, release to send, move off the button to cancel.
+// `onProgress` gets the elapsed milliseconds while recording and null when it ends;
+// `onRecorded` gets { blob, durationMs, waveform }.
+const VoiceRecorder = ({ disabled, onRecorded, onProgress, onError }) => {
+  const sessionRef = useRef(null);
+  // Set on release, which can happen before the microphone permission prompt resolves
+  const releasedRef = useRef(true);
+  const callbacksRef = useRef({});
+  callbacksRef.current = { onRecorded, onProgress, onError };
+
+  const finish = (session) => {
+    session.stream.getTracks().forEach(track => track.stop());
+    session.audioContext.close();
+
+    if (session.cancelled) return;
+    if (session.durationMs < MIN_DURATION_MS) {
+      callbacksRef.current.onError('Hold the button to record a voice message');
+      return;
+    }
+
+    callbacksRef.current.onRecorded({
+      blob: new Blob(session.chunks, { type: session.recorder.mimeType || 'audio/webm' }),
+      durationMs: session.durationMs,
+      waveform: toWaveform(session.levels, WAVEFORM_SAMPLES),
+    });
+  };
+
+  const stop = (cancel) => {
+    releasedRef.current = true;
+    const session = sessionRef.current;
+    if (!session) return;
+
+    sessionRef.current = null;
+    session.cancelled = cancel;
+    session.durationMs = Math.min(Date.now() - session.startedAt, MAX_DURATION_MS);
+    clearInterval(session.timer);
+    session.recorder.stop();
+    callbacksRef.current.onProgress(null);
+  };
+
+  const start = async () => {
+    if (disabled || sessionRef.current) return;
+    releasedRef.current = false;
+
+    if (!navigator.mediaDevices?.getUserMedia || !window.MediaRecorder) {
+      callbacksRef.current.onError('Voice messages are not supported in this browser');
+      return;
+    }
+
+    let stream;
+    try {
+      stream = await navigator.mediaDevices.getUserMedia({ audio: true });
+    } catch (err) {
+      callbacksRef.current.onError('Microphone access is needed to record voice messages');
+      return;
+    }
+
+    if (releasedRef.current) {
+      stream.getTracks().forEach(track => track.stop());
+      return;
+    }
+
+    const mimeType = MIME_TYPES.find(type => window.MediaRecorder.isTypeSupported(type));
+    const recorder = new MediaRecorder(stream, mimeType ? { mimeType } : undefined);
+
+    // An analyser on the live stream gives the loudness readings for the waveform
+    const audioContext = new (window.AudioContext || window.webkitAudioContext)();
+    const analyser = audioContext.createAnalyser();
+    analyser.fftSize = 256;
+    audioContext.createMediaStreamSource(stream).connect(analyser);
+    const buffer = new Uint8Array(analyser.fftSize);
+
+    const session = { stream, recorder, audioContext, chunks: [], levels: [], startedAt: Date.now(), cancelled: false };
+
+    session.timer = setInterval(() => {
+      analyser.getByteTimeDomainData(buffer);
+      const power = buffer.reduce((sum, value) => sum + ((value - 128) / 128) ** 2, 0) / buffer.length;
+      session.levels.push(Math.sqrt(power));
+
+      const elapsed = Date.now() - session.startedAt;
+      callbacksRef.current.onProgress(elapsed);
+      if (elapsed >= MAX_DURATION_MS) stop(false);
+    }, LEVEL_INTERVAL);
+
+    recorder.ondataavailable = (e) => {
+      if (e.data.size > 0) session.chunks.push(e.data);
+    };
+    recorder.onstop = () => finish(session);
+
+    sessionRef.current = session;
+    recorder.start();
+    callbacksRef.current.onProgress(0);
+  };
+
+  // Leaving the chat mid-recording throws the recording away
+  useEffect(() => () => {
+    releasedRef.current = true;
+    const session = sessionRef.current;
+    if (session) {
+      session.cancelled = true;
+      clearInterval(session.timer);
+      session.recorder.stop();
+    }
+  }, []);
+
+  return (
+    <IconButton
+      onPointerDown={start}
+      onPointerUp={() => stop(false)}
+      onPointerLeave={() => stop(true)}
+      onContextMenu={(e) => e.preventDefault()}
+      disabled={disabled}
+      sx={{ mr: 1, touchAction: 'none' }}
+    >
+      <Mic />
+    </IconButton>
+  );
+};
+
+export default VoiceRecorder;
@@ -29,6 +29,7 @@ import ChatRoom from '../Chat/ChatRoom';
 import ContactList from '../Contacts/ContactList';
 import MomentsFeed from '../Moments/MomentsFeed';
 import StartChatDialog from '../Chat/StartChatDialog';
+import MessageSearch from '../Chat/MessageSearch';
 
 const MainApp = () => {
   const location = useLocation();
@@ -77,6 +78,7 @@ const MainApp = () => {
   const getTitle = () => {
     const path = location.pathname;
     if (path.startsWith('/chat/')) return 'Chat';
+    if (path.startsWith('/search')) return 'Search';
     switch (currentTab) {
       case 0:
         return 'WeChat';
@@ -89,7 +91,7 @@ const MainApp = () => {
     }
   };
 
-  const showBackButton = location.pathname.startsWith('/chat/');
+  const showBackButton = location.pathname.startsWith('/chat/') || location.pathname.startsWith('/search');
 
   const handleStartChat = (conversationId) => {
     setStartChatOpen(false);
@@ -120,7 +122,7 @@ const MainApp = () => {
 
           {!showBackButton && (
             <>
-              <IconButton color="inherit" sx={{ mr: 1 }}>
+              <IconButton color="inherit" sx={{ mr: 1 }} onClick={() => navigate('/search')}>
                 <Search />
               </IconButton>
               
@@ -169,6 +171,7 @@ const MainApp = () => {
         <Routes>
           <Route path="/" element={<ChatList />} />
           <Route path="/chat/:conversationId" element={<ChatRoom />} />
+          <Route path="/search" element={<MessageSearch />} />
           <Route path="/contacts/*" element={<ContactList />} />
           <Route path="/moments/*" element={<MomentsFeed />} />
           <Route path="*" element={<Navigate to="/" replace />} />
@@ -1,9 +1,17 @@
-import React, { createContext, useContext, useEffect, useState, useRef } from 'react';
+import React, { createContext, useCallback, useContext, useEffect, useState, useRef } from 'react';
 import { io } from 'socket.io-client';
 import { useAuth } from './AuthContext';
+import { getOutbox, putOutboxItem, removeOutboxItem } from '../services/outbox';
+import { applyServerDraft } from '../services/drafts';
 
 const SocketContext = createContext();
 
+// How long to wait for the server to acknowledge a sent message
+export const SEND_TIMEOUT = 10000;
+
+// Delivery receipts are collected briefly so a burst of messages is confirmed together
+const DELIVERY_BATCH_DELAY = 500;
+
 export const SocketProvider = ({ children }) => {
   const [socket, setSocket] = useState(null);
   const [connected, setConnected] = useState(false);
@@ -11,6 +19,22 @@ export const SocketProvider = ({ children }) => {
   const socketRef = useRef(null);
   const connectionAttemptRef = useRef(false);
   const mountedRef = useRef(true);
+  // Newest message id seen per conversation, reported to the server on (re)connect
+  const lastMessageIdsRef = useRef({});
+  const lastSyncedAtRef = useRef(null);
+  // Messages composed while disconnected, oldest first
+  const [outbox, setOutbox] = useState([]);
+  const outboxRef = useRef([]);
+  const flushingRef = useRef(false);
+  const userId = user?.id;
+
+  const trackLastMessage = useCallback((conversationId, messageId) => {
+    if (!conversationId || !messageId) return;
+    const current = lastMessageIdsRef.current[conversationId] || 0;
+    if (messageId > current) {
+      lastMessageIdsRef.current[conversationId] = messageId;
+    }
+  }, []);
 
   useEffect(() => {
     return () => {
@@ -18,6 +42,113 @@ export const SocketProvider = ({ children }) => {
     };
   }, []);
 
+  // Keep the ref in step so a running flush sees cancellations immediately
+  const updateOutbox = useCallback((update) => {
+    outboxRef.current = update(outboxRef.current);
+    setOutbox(outboxRef.current);
+  }, []);
+
+  const updateOutboxItem = useCallback((clientMessageId, changes) => {
+    updateOutbox(items => items.map(item => (
+      item.clientMessageId === clientMessageId ? { ...item, ...changes } : item
+    )));
+  }, [updateOutbox]);
+
+  // Restore messages queued before the page was reloaded
+  useEffect(() => {
+    updateOutbox(() => []);
+    if (!userId) return;
+
+    let cancelled = false;
+    getOutbox(userId)
+      .then(items => {
+        if (!cancelled) updateOutbox(() => items);
+      })
+      .catch(error => console.error('Failed to load outbox:', error));
+
+    return () => {
+      cancelled = true;
+    };
+  }, [userId, updateOutbox]);
+
+  // Send one queued message; resolves to false if the server never acknowledged it
+  const sendQueuedItem = useCallback(async (activeSocket, item) => {
+    updateOutboxItem(item.clientMessageId, { status: 'sending' });
+
+    let response;
+    try {
+      response = await activeSocket.timeout(SEND_TIMEOUT).emitWithAck('send_message', {
+        conversationId: item.conversationId,
+        content: item.content,
+        messageType: item.messageType,
+        location: item.location,
+        contactUserId: item.contactCard?.id,
+        replyTo: item.replyTo,
+        clientMessageId: item.clientMessageId,
+      });
+    } catch (error) {
+      updateOutboxItem(item.clientMessageId, { status: 'queued' });
+      return false;
+    }
+
+    if (response?.ok) {
+      updateOutbox(items => items.filter(queued => queued.clientMessageId !== item.clientMessageId));
+      await removeOutboxItem(item.clientMessageId).catch(() => {});
+    } else {
+      // Rejected by the server; keep it so the user can see why and cancel it
+      const failed = { ...item, status: 'failed', error: response?.error || 'Failed to send message' };
+      updateOutboxItem(item.clientMessageId, failed);
+      await putOutboxItem(failed).catch(() => {});
+    }
+    return true;
+  }, [updateOutbox, updateOutboxItem]);
+
+  // Send queued messages in order, stopping at the first one that goes unacknowledged
+  const flushOutbox = useCallback(async () => {
+    const activeSocket = socketRef.current;
+    if (flushingRef.current || !activeSocket?.connected) return;
+    flushingRef.current = true;
+
+    try {
+      // Re-read each time so cancellations and newly queued messages are picked up
+      let item;
+      while ((item = outboxRef.current.find(queued => queued.status === 'queued'))) {
+        if (!(await sendQueuedItem(activeSocket, item))) break;
+      }
+    } finally {
+      flushingRef.current = false;
+    }
+  }, [sendQueuedItem]);
+
+  const enqueueMessage = useCallback(async (message) => {
+    const item = { ...message, userId, status: 'queued', queuedAt: Date.now() };
+    updateOutbox(items => [...items, item]);
+
+    try {
+      await putOutboxItem(item);
+    } catch (error) {
+      // Still sent on reconnect, just not kept across a reload
+      console.error('Failed to save queued message:', error);
+    }
+
+    flushOutbox();
+  }, [userId, updateOutbox, flushOutbox]);
+
+  const cancelQueuedMessage = useCallback(async (clientMessageId) => {
+    updateOutbox(items => items.filter(item => item.clientMessageId !== clientMessageId));
+    try {
+      await removeOutboxItem(clientMessageId);
+    } catch (error) {
+      console.error('Failed to remove queued message:', error);
+    }
+  }, [updateOutbox]);
+
+  useEffect(() => {
+    if (connected) {
+      flushOutbox();
+    }
+  }, [connected, flushOutbox]);
+
   useEffect(() => {
     // Only connect if fully authenticated and initialized
     if (isAuthenticated && isInitialized && token && user && !connectionAttemptRef.current) {
@@ -64,6 +195,45 @@ export const SocketProvider = ({ children }) => {
           setConnected(true);
           connectionAttemptRef.current = false;
         }
+        // Ask the server to replay anything broadcast while we were away
+        newSocket.emit('sync', {
+          lastMessageIds: lastMessageIdsRef.current,
+          since: lastSyncedAtRef.current,
+        });
+      });
+
+      // Confirm delivery of messages from others, batched per conversation
+      const pendingDeliveries = new Map();
+      let deliveryTimer = null;
+
+      const flushDeliveries = () => {
+        deliveryTimer = null;
+        pendingDeliveries.forEach((messageIds, conversationId) => {
+          newSocket.emit('mark_messages_delivered', { conversationId, messageIds: [...messageIds] });
+        });
+        pendingDeliveries.clear();
+      };
+
+      newSocket.on('new_message', (messageData) => {
+        trackLastMessage(messageData.conversationId, messageData.id);
+
+        if (messageData.senderId === user.id) return;
+        if (!pendingDeliveries.has(messageData.conversationId)) {
+          pendingDeliveries.set(messageData.conversationId, new Set());
+        }
+        pendingDeliveries.get(messageData.conversationId).add(messageData.id);
+        if (!deliveryTimer) {
+          deliveryTimer = setTimeout(flushDeliveries, DELIVERY_BATCH_DELAY);
+        }
+      });
+
+      // Drafts saved or cleared on another device (or by sending from this one)
+      newSocket.on('draft_updated', (draft) => {
+        applyServerDraft(user.id, draft);
+      });
+
+      newSocket.on('sync_complete', ({ syncedAt }) => {
+        lastSyncedAtRef.current = syncedAt;
       });
 
       newSocket.on('disconnect', (reason) => {
@@ -87,6 +257,7 @@ export const SocketProvider = ({ children }) => {
 
       return () => {
         connectionAttemptRef.current = false;
+        clearTimeout(deliveryTimer);
         if (socketRef.current) {
           socketRef.current.disconnect();
           socketRef.current = null;
@@ -108,11 +279,15 @@ export const SocketProvider = ({ children }) => {
         setConnected(false);
       }
     }
-  }, [token, user, isAuthenticated, isInitialized]);
+  }, [token, user, isAuthenticated, isInitialized, trackLastMessage]);
 
   const value = {
     socket,
     connected,
+    trackLastMessage,
+    outbox,
+    enqueueMessage,
+    cancelQueuedMessage,
   };
 
   return (
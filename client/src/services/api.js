@@ -47,4 +47,10 @@ api.interceptors.response.use(
   }
 );
 
+// Resolve a server-relative path (e.g. /uploads/...) against the backend URL
+export const getFileUrl = (url) => {
+  if (!url || !url.startsWith('/')) return url;
+  return `${API_URL}${url}`;
+};
+
 export default api;
\ No newline at end of file
@@ -0,0 +1,22 @@
+import api from './api';
+
+// The server's largest conversation list page
+const PAGE_SIZE = 100;
+
+// Every conversation of the user, archived ones included, for pickers that
+// need the whole list rather than the paged chat list
+export const fetchAllConversations = async () => {
+  const conversations = [];
+  for (const archived of [false, true]) {
+    let cursor = null;
+    do {
+      const params = { limit: PAGE_SIZE };
+      if (archived) params.archived = true;
+      if (cursor) params.cursor = cursor;
+      const res = await api.get('/messages/conversations', { params });
+      if (Array.isArray(res.data.conversations)) conversations.push(...res.data.conversations);
+      cursor = res.data.nextCursor || null;
+    } while (cursor);
+  }
+  return conversations;
+};
@@ -0,0 +1,52 @@
+// Per-conversation composer drafts, kept in localStorage so they are there
+// immediately on the next visit. The server copy follows the user to other devices.
+// Each local draft is { content, updatedAt, synced }; `synced` means the server has it.
+
+const storageKey = (userId) => `drafts:${userId}`;
+
+// All drafts of a user, keyed by conversation id
+export const getDrafts = (userId) => {
+  if (!userId) return {};
+  try {
+    return JSON.parse(localStorage.getItem(storageKey(userId))) || {};
+  } catch (e) {
+    return {};
+  }
+};
+
+export const getDraft = (userId, conversationId) => getDrafts(userId)[conversationId] || null;
+
+// Store a draft; null or blank content removes it
+export const saveDraft = (userId, conversationId, draft) => {
+  if (!userId) return;
+  const drafts = getDrafts(userId);
+  if (draft && draft.content && draft.content.trim()) {
+    drafts[conversationId] = draft;
+  } else {
+    delete drafts[conversationId];
+  }
+  try {
+    localStorage.setItem(storageKey(userId), JSON.stringify(drafts));
+  } catch (e) {
+    console.error('Failed to store draft:', e);
+  }
+};
+
+// Combine the local draft with the server's ({ content, updated_at } or null).
+// A synced local draft the server no longer has was sent or cleared on another device.
+export const resolveDraft = (local, server) => {
+  if (server && (!local || new Date(server.updated_at) >= new Date(local.updatedAt))) {
+    return { content: server.content, updatedAt: server.updated_at, synced: true };
+  }
+  if (!server && local?.synced) return null;
+  return local;
+};
+
+// Apply a draft_updated event from the server, unless this device has typed past it
+export const applyServerDraft = (userId, { conversationId, content, updatedAt }) => {
+  const local = getDraft(userId, conversationId);
+  if (local && !local.synced && local.content !== content && new Date(local.updatedAt) > new Date(updatedAt)) {
+    return;
+  }
+  saveDraft(userId, conversationId, content ? { content, updatedAt, synced: true } : null);
+};
@@ -0,0 +1,59 @@
+// Persistent queue for messages composed while the socket is disconnected.
+// Items are kept in IndexedDB so they survive a page reload.
+
+const DB_NAME = 'wechat-outbox';
+const DB_VERSION = 1;
+const STORE = 'messages';
+
+let dbPromise = null;
+
+const openDb = () => {
+  if (dbPromise) return dbPromise;
+
+  dbPromise = new Promise((resolve, reject) => {
+    if (!window.indexedDB) {
+      reject(new Error('IndexedDB is not available'));
+      return;
+    }
+
+    const request = window.indexedDB.open(DB_NAME, DB_VERSION);
+
+    request.onupgradeneeded = () => {
+      const store = request.result.createObjectStore(STORE, { keyPath: 'clientMessageId' });
+      store.createIndex('userId', 'userId');
+    };
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+
+  // Allow a later call to try again
+  dbPromise.catch(() => {
+    dbPromise = null;
+  });
+
+  return dbPromise;
+};
+
+const withStore = async (mode, action) => {
+  const db = await openDb();
+
+  return new Promise((resolve, reject) => {
+    const tx = db.transaction(STORE, mode);
+    const request = action(tx.objectStore(STORE));
+    tx.oncomplete = () => resolve(request?.result);
+    tx.onerror = () => reject(tx.error);
+    tx.onabort = () => reject(tx.error);
+  });
+};
+
+// Queued messages for a user, oldest first
+export const getOutbox = async (userId) => {
+  const items = await withStore('readonly', store => store.index('userId').getAll(userId));
+  return (items || []).sort((a, b) => a.queuedAt - b.queuedAt);
+};
+
+export const putOutboxItem = (item) =>
+  withStore('readwrite', store => store.put(item));
+
+export const removeOutboxItem = (clientMessageId) =>
+  withStore('readwrite', store => store.delete(clientMessageId));
@@ -1,5 +1,8 @@
 -- WeChat-like Database Schema
 
+-- Trigram matching for message search in scripts without word boundaries (CJK)
+CREATE EXTENSION IF NOT EXISTS pg_trgm;
+
 -- Users table for authentication and profiles
 CREATE TABLE users (
     id SERIAL PRIMARY KEY,
@@ -62,21 +65,73 @@ CREATE TABLE conversation_participants (
     UNIQUE(conversation_id, user_id)
 );
 
+-- Unfurled link metadata, shared by every message linking to the same page
+CREATE TABLE link_previews (
+    id SERIAL PRIMARY KEY,
+    url TEXT NOT NULL UNIQUE,
+    title VARCHAR(300),
+    description VARCHAR(1000),
+    image_url TEXT,
+    site_name VARCHAR(200),
+    failed BOOLEAN NOT NULL DEFAULT false, -- the page had no preview; tried again once the entry expires
+    fetched_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP
+);
+
 -- Messages table
 CREATE TABLE messages (
     id SERIAL PRIMARY KEY,
     conversation_id INTEGER REFERENCES conversations(id) ON DELETE CASCADE,
     sender_id INTEGER REFERENCES users(id) ON DELETE CASCADE,
-    content TEXT,
-    message_type VARCHAR(20) DEFAULT 'text', -- text, image, file, location
+    content TEXT, -- as typed, with any formatting markers
+    plain_content TEXT, -- content without formatting, for search and previews
+    message_type VARCHAR(20) DEFAULT 'text', -- text, image, file, voice, location, contact_card, chat_history
     file_url VARCHAR(255),
     file_name VARCHAR(255),
     file_size INTEGER,
+    duration_ms INTEGER, -- length of a voice message
+    waveform SMALLINT[], -- loudness samples (0-100) drawn in a voice message bubble
+    latitude DOUBLE PRECISION, -- shared location; content holds the optional place label
+    longitude DOUBLE PRECISION,
+    card_user_id INTEGER REFERENCES users(id) ON DELETE SET NULL, -- user shared in a contact card
+    link_preview_id INTEGER REFERENCES link_previews(id) ON DELETE SET NULL, -- preview of the first link in the text
     reply_to INTEGER REFERENCES messages(id),
+    edited_at TIMESTAMP,
+    recalled_at TIMESTAMP,
+    client_message_id VARCHAR(64), -- sender-generated idempotency key
+    forwarded_from_user_id INTEGER REFERENCES users(id) ON DELETE SET NULL, -- original author of a forwarded copy
+    forwarded_from_message_id INTEGER REFERENCES messages(id) ON DELETE SET NULL,
+    search_vector TSVECTOR GENERATED ALWAYS AS (to_tsvector('simple', COALESCE(plain_content, ''))) STORED,
     created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
     updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
 );
 
+-- Unsent composer text per user and conversation
+CREATE TABLE conversation_drafts (
+    id SERIAL PRIMARY KEY,
+    user_id INTEGER REFERENCES users(id) ON DELETE CASCADE,
+    conversation_id INTEGER REFERENCES conversations(id) ON DELETE CASCADE,
+    content TEXT NOT NULL,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE(user_id, conversation_id)
+);
+
+-- Per-user conversation list state, kept up to date on send and read
+CREATE TABLE conversation_state (
+    id SERIAL PRIMARY KEY,
+    user_id INTEGER REFERENCES users(id) ON DELETE CASCADE,
+    conversation_id INTEGER REFERENCES conversations(id) ON DELETE CASCADE,
+    last_message_id INTEGER REFERENCES messages(id) ON DELETE SET NULL, -- newest message not hidden by the user
+    last_read_message_id INTEGER REFERENCES messages(id) ON DELETE SET NULL,
+    unread_count INTEGER NOT NULL DEFAULT 0,
+    has_unread_mention BOOLEAN NOT NULL DEFAULT false,
+    last_activity_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP, -- list order: last message or joining
+    pinned_at TIMESTAMP, -- set while pinned to the top of the list
+    muted BOOLEAN NOT NULL DEFAULT false,
+    archived BOOLEAN NOT NULL DEFAULT false, -- moved out of the main list until a new message arrives
+    hidden BOOLEAN NOT NULL DEFAULT false, -- left out of every list until a new message arrives
+    UNIQUE(user_id, conversation_id)
+);
+
 -- Message read status
 CREATE TABLE message_reads (
     id SERIAL PRIMARY KEY,
@@ -86,6 +141,90 @@ CREATE TABLE message_reads (
     UNIQUE(message_id, user_id)
 );
 
+-- Users mentioned in group messages (@all is stored as one row per member)
+CREATE TABLE message_mentions (
+    id SERIAL PRIMARY KEY,
+    message_id INTEGER REFERENCES messages(id) ON DELETE CASCADE,
+    user_id INTEGER REFERENCES users(id) ON DELETE CASCADE,
+    UNIQUE(message_id, user_id)
+);
+
+-- Recipients who have played a voice message
+CREATE TABLE voice_plays (
+    id SERIAL PRIMARY KEY,
+    message_id INTEGER REFERENCES messages(id) ON DELETE CASCADE,
+    user_id INTEGER REFERENCES users(id) ON DELETE CASCADE,
+    played_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE(message_id, user_id)
+);
+
+-- Snapshot of the messages bundled into a chat_history message, in transcript order
+CREATE TABLE chat_history_items (
+    id SERIAL PRIMARY KEY,
+    message_id INTEGER REFERENCES messages(id) ON DELETE CASCADE,
+    position INTEGER NOT NULL,
+    source_message_id INTEGER REFERENCES messages(id) ON DELETE SET NULL,
+    sender_id INTEGER REFERENCES users(id) ON DELETE SET NULL,
+    sender_name VARCHAR(100),
+    content TEXT,
+    message_type VARCHAR(20),
+    file_url VARCHAR(255),
+    file_name VARCHAR(255),
+    file_size INTEGER,
+    duration_ms INTEGER,
+    waveform SMALLINT[],
+    latitude DOUBLE PRECISION,
+    longitude DOUBLE PRECISION,
+    card_user_id INTEGER REFERENCES users(id) ON DELETE SET NULL,
+    sent_at TIMESTAMP,
+    UNIQUE(message_id, position)
+);
+
+-- Messages pinned to the top of a conversation
+CREATE TABLE pinned_messages (
+    id SERIAL PRIMARY KEY,
+    conversation_id INTEGER REFERENCES conversations(id) ON DELETE CASCADE,
+    message_id INTEGER UNIQUE REFERENCES messages(id) ON DELETE CASCADE,
+    pinned_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+    pinned_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Emoji reactions (one per user per message)
+CREATE TABLE message_reactions (
+    id SERIAL PRIMARY KEY,
+    message_id INTEGER REFERENCES messages(id) ON DELETE CASCADE,
+    user_id INTEGER REFERENCES users(id) ON DELETE CASCADE,
+    emoji VARCHAR(32) NOT NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE(message_id, user_id)
+);
+
+-- Message delivery status (recipient's client received the message)
+CREATE TABLE message_deliveries (
+    id SERIAL PRIMARY KEY,
+    message_id INTEGER REFERENCES messages(id) ON DELETE CASCADE,
+    user_id INTEGER REFERENCES users(id) ON DELETE CASCADE,
+    delivered_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE(message_id, user_id)
+);
+
+-- Message edit history (previous versions of edited messages)
+CREATE TABLE message_edits (
+    id SERIAL PRIMARY KEY,
+    message_id INTEGER REFERENCES messages(id) ON DELETE CASCADE,
+    content TEXT,
+    edited_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Messages hidden by a single user ("delete for me")
+CREATE TABLE message_hidden (
+    id SERIAL PRIMARY KEY,
+    message_id INTEGER REFERENCES messages(id) ON DELETE CASCADE,
+    user_id INTEGER REFERENCES users(id) ON DELETE CASCADE,
+    hidden_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE(message_id, user_id)
+);
+
 -- Moments/Timeline posts
 CREATE TABLE moments (
     id SERIAL PRIMARY KEY,
@@ -130,10 +269,20 @@ CREATE INDEX idx_users_username ON users(username);
 CREATE INDEX idx_contacts_user_id ON contacts(user_id);
 CREATE INDEX idx_contacts_contact_id ON contacts(contact_id);
 CREATE INDEX idx_messages_conversation_id ON messages(conversation_id);
+CREATE INDEX idx_messages_conversation_id_id ON messages(conversation_id, id);
 CREATE INDEX idx_messages_sender_id ON messages(sender_id);
 CREATE INDEX idx_messages_created_at ON messages(created_at);
+CREATE INDEX idx_messages_search_vector ON messages USING GIN(search_vector);
+CREATE INDEX idx_messages_plain_content_trgm ON messages USING GIN(plain_content gin_trgm_ops);
+CREATE UNIQUE INDEX idx_messages_client_message_id ON messages(sender_id, client_message_id) WHERE client_message_id IS NOT NULL;
+CREATE INDEX idx_message_edits_message_id ON message_edits(message_id);
+CREATE INDEX idx_message_hidden_user_id ON message_hidden(user_id);
+CREATE INDEX idx_message_mentions_user_id ON message_mentions(user_id);
+CREATE INDEX idx_pinned_messages_conversation_id ON pinned_messages(conversation_id);
 CREATE INDEX idx_moments_user_id ON moments(user_id);
 CREATE INDEX idx_moments_created_at ON moments(created_at);
+CREATE INDEX idx_conversation_state_user_activity ON conversation_state(user_id, last_activity_at DESC, conversation_id DESC);
+CREATE INDEX idx_conversation_state_conversation_id ON conversation_state(conversation_id);
 CREATE INDEX idx_conversation_participants_user_id ON conversation_participants(user_id);
 CREATE INDEX idx_group_members_user_id ON group_members(user_id);
 
@@ -14,6 +14,13 @@ const contactRoutes = require('./routes/contacts');
 const groupRoutes = require('./routes/groups');
 const momentRoutes = require('./routes/moments');
 const socketHandler = require('./socket/socketHandler');
+const conversationStateService = require('./services/conversationStateService');
+
+// Attachment links must not share the login token secret in production
+if (process.env.NODE_ENV === 'production' && !process.env.ATTACHMENT_URL_SECRET) {
+  console.error('❌ ATTACHMENT_URL_SECRET must be set in production');
+  process.exit(1);
+}
 
 const app = express();
 
@@ -99,8 +106,10 @@ app.use(cors({
 app.use(express.json({ limit: '10mb' }));
 app.use(express.urlencoded({ extended: true, limit: '10mb' }));
 
-// Static file serving
-app.use('/uploads', express.static(path.join(__dirname, '../uploads')));
+// Static file serving (chat attachments are private and served by /api/messages/attachments)
+['avatars', 'groups', 'moments'].forEach(folder => {
+  app.use(`/uploads/${folder}`, express.static(path.join(__dirname, '../uploads', folder)));
+});
 
 // API Routes
 app.use('/api/auth', authRoutes);
@@ -122,6 +131,9 @@ if (process.env.NODE_ENV === 'production') {
 // Socket.IO handling
 socketHandler(io);
 
+// Expose Socket.IO to routes so REST actions can broadcast events
+app.set('io', io);
+
 // Error handling middleware
 app.use((error, req, res, next) => {
   console.error('Server Error:', error);
@@ -136,6 +148,13 @@ app.use((req, res) => {
   res.status(404).json({ error: 'Route not found' });
 });
 
+// Conversations from before the per-user conversation list state need their rows once
+conversationStateService.backfillStates()
+  .then(count => {
+    if (count > 0) console.log(`📋 Added conversation list state for ${count} existing memberships`);
+  })
+  .catch(error => console.error('Conversation state backfill error:', error));
+
 const PORT = process.env.PORT || 5000;
 
 server.listen(PORT, () => {
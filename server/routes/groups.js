@@ -3,6 +3,7 @@ const multer = require('multer');
 const path = require('path');
 const db = require('../config/database');
 const { authMiddleware } = require('../middleware/auth');
+const conversationStateService = require('../services/conversationStateService');
 
 const router = express.Router();
 
@@ -31,7 +32,13 @@ const upload = multer({
   }
 });
 
-// Get user's groups
+// Helper: id of a group's conversation
+const getGroupConversationId = async (groupId) => {
+  const result = await db.query('SELECT id FROM conversations WHERE group_id = $1', [groupId]);
+  return result.rows[0]?.id || null;
+};
+
+// Get user's groups, with the last message each member can see from their conversation state
 router.get('/', authMiddleware, async (req, res) => {
   try {
     const groups = await db.query(`
@@ -43,39 +50,47 @@ router.get('/', authMiddleware, async (req, res) => {
         g.owner_id,
         g.created_at,
         gm.role as user_role,
-        (SELECT COUNT(*) FROM group_members WHERE group_id = g.id) as member_count
-      FROM groups g
-      JOIN group_members gm ON g.id = gm.group_id
+        counts.member_count,
+        c.id as conversation_id,
+        COALESCE(cs.unread_count, 0) as unread_count,
+        m.id as last_message_id,
+        m.plain_content as last_message_content,
+        m.message_type as last_message_type,
+        m.created_at as last_message_created_at,
+        u.display_name as last_message_sender_name
+      FROM group_members gm
+      JOIN groups g ON gm.group_id = g.id
+      JOIN (
+        SELECT members.group_id, COUNT(*) as member_count
+        FROM group_members members
+        WHERE members.group_id IN (SELECT group_id FROM group_members WHERE user_id = $1)
+        GROUP BY members.group_id
+      ) counts ON counts.group_id = g.id
+      LEFT JOIN conversations c ON c.group_id = g.id
+      LEFT JOIN conversation_state cs ON cs.conversation_id = c.id AND cs.user_id = $1
+      LEFT JOIN messages m ON cs.last_message_id = m.id
+      LEFT JOIN users u ON m.sender_id = u.id
       WHERE gm.user_id = $1
       ORDER BY g.name
     `, [req.user.id]);
 
-    // Get last message for each group separately
-    const groupsWithMessages = await Promise.all(
-      groups.rows.map(async (group) => {
-        const lastMessageResult = await db.query(`
-          SELECT 
-            m.id,
-            m.content,
-            m.message_type,
-            m.created_at,
-            u.display_name as sender_name
-          FROM messages m
-          JOIN conversations c ON m.conversation_id = c.id
-          JOIN users u ON m.sender_id = u.id
-          WHERE c.group_id = $1
-          ORDER BY m.created_at DESC
-          LIMIT 1
-        `, [group.id]);
-
-        return {
-          ...group,
-          last_message: lastMessageResult.rows[0] || null
-        };
-      })
-    );
-
-    res.json(groupsWithMessages);
+    res.json(groups.rows.map(({
+      last_message_id: lastMessageId,
+      last_message_content: content,
+      last_message_type: messageType,
+      last_message_created_at: createdAt,
+      last_message_sender_name: senderName,
+      ...group
+    }) => ({
+      ...group,
+      last_message: lastMessageId ? {
+        id: lastMessageId,
+        content,
+        message_type: messageType,
+        created_at: createdAt,
+        sender_name: senderName
+      } : null
+    })));
   } catch (error) {
     console.error('Get groups error:', error);
     res.status(500).json({ error: 'Failed to fetch groups' });
@@ -160,6 +175,12 @@ router.post('/', authMiddleware, async (req, res) => {
         ['group', group.id]
       );
 
+      await conversationStateService.addMembers(
+        conversationResult.rows[0].id,
+        [req.user.id, ...memberIds],
+        client
+      );
+
       await client.query('COMMIT');
 
       res.status(201).json({
@@ -395,6 +416,11 @@ router.post('/:groupId/members', authMiddleware, async (req, res) => {
       [groupId, ...memberIds]
     );
 
+    const conversationId = await getGroupConversationId(groupId);
+    if (conversationId) {
+      await conversationStateService.addMembers(conversationId, memberIds);
+    }
+
     res.json({ message: 'Members added successfully' });
   } catch (error) {
     console.error('Add group members error:', error);
@@ -446,6 +472,11 @@ router.delete('/:groupId/members/:memberId', authMiddleware, async (req, res) =>
       [groupId, memberId]
     );
 
+    const conversationId = await getGroupConversationId(groupId);
+    if (conversationId) {
+      await conversationStateService.removeMembers(conversationId, [memberId]);
+    }
+
     res.json({ message: 'Member removed successfully' });
   } catch (error) {
     console.error('Remove group member error:', error);
@@ -517,6 +548,11 @@ router.post('/:groupId/leave', authMiddleware, async (req, res) => {
       return res.status(404).json({ error: 'You are not a member of this group' });
     }
 
+    const conversationId = await getGroupConversationId(groupId);
+    if (conversationId) {
+      await conversationStateService.removeMembers(conversationId, [req.user.id]);
+    }
+
     res.json({ message: 'Left group successfully' });
   } catch (error) {
     console.error('Leave group error:', error);
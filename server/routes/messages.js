@@ -1,167 +1,511 @@
 const express = require('express');
+const multer = require('multer');
+const path = require('path');
+const fs = require('fs');
 const db = require('../config/database');
 const { authMiddleware } = require('../middleware/auth');
+const messageService = require('../services/messageService');
+const attachmentService = require('../services/attachmentService');
+const linkPreviewService = require('../services/linkPreviewService');
+const receiptService = require('../services/receiptService');
+const reactionService = require('../services/reactionService');
+const pinService = require('../services/pinService');
+const chatHistoryService = require('../services/chatHistoryService');
+const searchService = require('../services/searchService');
+const draftService = require('../services/draftService');
+const conversationStateService = require('../services/conversationStateService');
+const voiceService = require('../services/voiceService');
 
 const router = express.Router();
 
-// Get user's conversations
+// Create the attachment directory on startup so multer can write to it
+fs.mkdirSync(attachmentService.ATTACHMENT_ROOT, { recursive: true });
+
+// Multer configuration for chat attachments
+const storage = multer.diskStorage({
+  destination: (req, file, cb) => {
+    cb(null, attachmentService.ATTACHMENT_ROOT);
+  },
+  // The extension is chosen from the file's content once it is stored (attachmentService.storeUpload)
+  filename: (req, file, cb) => {
+    const uniqueSuffix = Date.now() + '-' + Math.round(Math.random() * 1E9);
+    cb(null, 'message-' + uniqueSuffix);
+  }
+});
+
+const upload = multer({
+  storage: storage,
+  limits: {
+    fileSize: parseInt(process.env.MAX_FILE_SIZE || '10485760', 10) // 10MB default
+  }
+});
+
+// Wrap multer so upload errors become 400 responses instead of server errors
+const uploadAttachment = (req, res, next) => {
+  upload.single('file')(req, res, (error) => {
+    if (error) {
+      const message = error.code === 'LIMIT_FILE_SIZE' ? 'File is too large' : error.message;
+      return res.status(400).json({ error: message });
+    }
+    next();
+  });
+};
+
+// Accept either a signed attachment URL or a regular bearer token
+const attachmentAuth = (req, res, next) => {
+  if (req.query.signature) {
+    const { messageId, itemId = null } = req.params;
+    if (!attachmentService.verifySignature(messageId, itemId, req.query.expires, req.query.signature)) {
+      return res.status(403).json({ error: 'Invalid or expired link' });
+    }
+    return next();
+  }
+  return authMiddleware(req, res, next);
+};
+
+// Get a page of the user's conversations, pinned first and then most recently active (?cursor=&limit=&archived=)
 router.get('/conversations', authMiddleware, async (req, res) => {
   try {
-    // First get the conversations
-    const conversations = await db.query(`
-      SELECT DISTINCT
-        c.id,
-        c.type,
-        c.created_at,
-        c.updated_at,
-        CASE 
-          WHEN c.type = 'group' THEN g.name
-          ELSE (
-            SELECT u2.display_name 
-            FROM conversation_participants cp2 
-            JOIN users u2 ON cp2.user_id = u2.id 
-            WHERE cp2.conversation_id = c.id AND cp2.user_id != $1
-            LIMIT 1
-          )
-        END as name,
-        CASE 
-          WHEN c.type = 'group' THEN g.avatar_url
-          ELSE (
-            SELECT u2.avatar_url 
-            FROM conversation_participants cp2 
-            JOIN users u2 ON cp2.user_id = u2.id 
-            WHERE cp2.conversation_id = c.id AND cp2.user_id != $1
-            LIMIT 1
-          )
-        END as avatar_url,
-        (
-          SELECT COUNT(*)
-          FROM messages m
-          LEFT JOIN message_reads mr ON m.id = mr.message_id AND mr.user_id = $1
-          WHERE m.conversation_id = c.id AND m.sender_id != $1 AND mr.id IS NULL
-        ) as unread_count
-      FROM conversations c
-      LEFT JOIN conversation_participants cp ON c.id = cp.conversation_id
-      LEFT JOIN group_members gm ON c.group_id = gm.group_id
-      LEFT JOIN groups g ON c.group_id = g.id
-      WHERE cp.user_id = $1 OR gm.user_id = $1
-      ORDER BY c.updated_at DESC
-    `, [req.user.id]);
-
-    // Then get the last message for each conversation separately
-    const conversationsWithMessages = await Promise.all(
-      conversations.rows.map(async (conv) => {
-        const lastMessageResult = await db.query(`
-          SELECT 
-            m.id,
-            m.content,
-            m.message_type,
-            m.created_at,
-            u.display_name as sender_name
-          FROM messages m
-          JOIN users u ON m.sender_id = u.id
-          WHERE m.conversation_id = $1
-          ORDER BY m.created_at DESC
-          LIMIT 1
-        `, [conv.id]);
-
-        return {
-          ...conv,
-          last_message: lastMessageResult.rows[0] || null
-        };
-      })
-    );
-
-    // Sort by last message time or conversation update time
-    conversationsWithMessages.sort((a, b) => {
-      const timeA = a.last_message?.created_at || a.updated_at;
-      const timeB = b.last_message?.created_at || b.updated_at;
-      return new Date(timeB) - new Date(timeA);
+    const { cursor, limit, archived } = req.query;
+    const page = await conversationStateService.getConversationList(req.user.id, {
+      cursor,
+      limit,
+      archived: archived === 'true'
     });
 
-    res.json(conversationsWithMessages);
+    res.json(page);
   } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ error: error.message });
+    }
     console.error('Get conversations error:', error);
     res.status(500).json({ error: 'Failed to fetch conversations' });
   }
 });
 
-// Get messages for a conversation
+// Get messages for a conversation (newest page, or older/newer than a message id cursor)
 router.get('/conversations/:conversationId/messages', authMiddleware, async (req, res) => {
   try {
     const { conversationId } = req.params;
-    const { page = 1, limit = 50 } = req.query;
-    const offset = (page - 1) * limit;
+    const { before, after, limit = 50 } = req.query;
 
-    // Verify user has access to this conversation
-    const accessCheck = await db.query(`
-      SELECT c.id 
-      FROM conversations c
-      LEFT JOIN conversation_participants cp ON c.id = cp.conversation_id
-      LEFT JOIN group_members gm ON c.group_id = gm.group_id
-      WHERE c.id = $1 AND (cp.user_id = $2 OR gm.user_id = $2)
-    `, [conversationId, req.user.id]);
+    if (before && after) {
+      return res.status(400).json({ error: 'Use either before or after, not both' });
+    }
 
-    if (accessCheck.rows.length === 0) {
+    if (!(await messageService.canAccessConversation(conversationId, req.user.id))) {
       return res.status(403).json({ error: 'Access denied to this conversation' });
     }
 
-    const messages = await db.query(`
-      SELECT 
-        m.id,
-        m.content,
-        m.message_type,
-        m.file_url,
-        m.file_name,
-        m.file_size,
-        m.reply_to,
-        m.created_at,
-        u.id as sender_id,
-        u.username as sender_username,
-        u.display_name as sender_name,
-        u.avatar_url as sender_avatar,
-        CASE WHEN mr.id IS NOT NULL THEN true ELSE false END as is_read
-      FROM messages m
-      JOIN users u ON m.sender_id = u.id
-      LEFT JOIN message_reads mr ON m.id = mr.message_id AND mr.user_id = $2
-      WHERE m.conversation_id = $1
-      ORDER BY m.created_at DESC
-      LIMIT $3 OFFSET $4
-    `, [conversationId, req.user.id, limit, offset]);
-
-    // Add reply message data separately if needed
-    const messagesWithReplies = await Promise.all(
-      messages.rows.map(async (message) => {
-        if (message.reply_to) {
-          const replyResult = await db.query(`
-            SELECT 
-              rm.id,
-              rm.content,
-              ru.display_name as sender_name
-            FROM messages rm
-            JOIN users ru ON rm.sender_id = ru.id
-            WHERE rm.id = $1
-          `, [message.reply_to]);
-          
-          return {
-            ...message,
-            reply_message: replyResult.rows[0] || null
-          };
-        }
-        return {
-          ...message,
-          reply_message: null
-        };
-      })
+    const page = await messageService.getConversationMessages(req.user.id, conversationId, {
+      before: before ? parseInt(before) : null,
+      after: after ? parseInt(after) : null,
+      limit: parseInt(limit)
+    });
+
+    const messages = await reactionService.attachReactions(
+      await receiptService.attachReceipts(req.user.id, page.messages)
     );
 
-    res.json(messagesWithReplies.reverse()); // Reverse to show oldest first
+    const conversation = await db.query('SELECT group_id FROM conversations WHERE id = $1', [conversationId]);
+
+    res.json({
+      messages,
+      hasMore: page.hasMore,
+      recipientCount: await receiptService.getRecipientCount(conversationId),
+      groupId: conversation.rows[0]?.group_id || null
+    });
   } catch (error) {
     console.error('Get messages error:', error);
     res.status(500).json({ error: 'Failed to fetch messages' });
   }
 });
 
+// Get the messages around one message, so a conversation can be opened at it
+router.get('/conversations/:conversationId/messages/:messageId/context', authMiddleware, async (req, res) => {
+  try {
+    const { conversationId } = req.params;
+    const messageId = parseInt(req.params.messageId);
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || 25, 1), 50);
+
+    if (!messageId) {
+      return res.status(400).json({ error: 'Invalid message id' });
+    }
+
+    if (!(await messageService.canAccessConversation(conversationId, req.user.id))) {
+      return res.status(403).json({ error: 'Access denied to this conversation' });
+    }
+
+    const context = await messageService.getMessageContext(req.user.id, conversationId, messageId, { limit });
+
+    const messages = await reactionService.attachReactions(
+      await receiptService.attachReceipts(req.user.id, context.messages)
+    );
+
+    const conversation = await db.query('SELECT group_id FROM conversations WHERE id = $1', [conversationId]);
+
+    res.json({
+      messages,
+      hasMore: context.hasMore,
+      hasNewer: context.hasNewer,
+      recipientCount: await receiptService.getRecipientCount(conversationId),
+      groupId: conversation.rows[0]?.group_id || null
+    });
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ error: error.message });
+    }
+    console.error('Get message context error:', error);
+    res.status(500).json({ error: 'Failed to fetch messages' });
+  }
+});
+
+// Get the current user's draft for a conversation
+router.get('/conversations/:conversationId/draft', authMiddleware, async (req, res) => {
+  try {
+    const { conversationId } = req.params;
+
+    if (!(await messageService.canAccessConversation(conversationId, req.user.id))) {
+      return res.status(403).json({ error: 'Access denied to this conversation' });
+    }
+
+    const draft = await draftService.getDraft(req.user.id, conversationId);
+    res.json({ draft });
+  } catch (error) {
+    console.error('Get draft error:', error);
+    res.status(500).json({ error: 'Failed to fetch draft' });
+  }
+});
+
+// Save the current user's draft for a conversation (blank content deletes it)
+router.put('/conversations/:conversationId/draft', authMiddleware, async (req, res) => {
+  try {
+    const draft = await draftService.saveDraft(req.user.id, req.params.conversationId, req.body.content);
+
+    // Keep the user's other devices in step
+    const io = req.app.get('io');
+    if (io) {
+      io.to(`user_${req.user.id}`).emit('draft_updated', draft);
+    }
+
+    res.json(draft);
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ error: error.message });
+    }
+    console.error('Save draft error:', error);
+    res.status(500).json({ error: 'Failed to save draft' });
+  }
+});
+
+// Get the user's own settings for a conversation (pinned, muted, archived, hidden)
+router.get('/conversations/:conversationId/settings', authMiddleware, async (req, res) => {
+  try {
+    res.json(await conversationStateService.getSettings(req.user.id, req.params.conversationId));
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ error: error.message });
+    }
+    console.error('Get conversation settings error:', error);
+    res.status(500).json({ error: 'Failed to fetch conversation settings' });
+  }
+});
+
+// Change any of the user's settings for a conversation
+router.put('/conversations/:conversationId/settings', authMiddleware, async (req, res) => {
+  try {
+    const { pinned, muted, archived, hidden } = req.body;
+    const settings = await conversationStateService.updateSettings(
+      req.user.id,
+      req.params.conversationId,
+      { pinned, muted, archived, hidden }
+    );
+
+    // Keep the user's other devices in step
+    const io = req.app.get('io');
+    if (io) {
+      io.to(`user_${req.user.id}`).emit('conversation_settings_updated', settings);
+    }
+
+    res.json(settings);
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ error: error.message });
+    }
+    console.error('Update conversation settings error:', error);
+    res.status(500).json({ error: 'Failed to update conversation settings' });
+  }
+});
+
+// Get pinned messages for a conversation
+router.get('/conversations/:conversationId/pins', authMiddleware, async (req, res) => {
+  try {
+    const { conversationId } = req.params;
+
+    if (!(await messageService.canAccessConversation(conversationId, req.user.id))) {
+      return res.status(403).json({ error: 'Access denied to this conversation' });
+    }
+
+    res.json({
+      pins: await pinService.getPinnedMessages(conversationId),
+      canPin: await pinService.canPin(conversationId, req.user.id)
+    });
+  } catch (error) {
+    console.error('Get pinned messages error:', error);
+    res.status(500).json({ error: 'Failed to fetch pinned messages' });
+  }
+});
+
+// Upload an attachment and send it as a message
+router.post('/conversations/:conversationId/attachments', authMiddleware, uploadAttachment, async (req, res) => {
+  try {
+    const { conversationId } = req.params;
+    const { content, replyTo, clientMessageId } = req.body;
+
+    if (!req.file) {
+      return res.status(400).json({ error: 'No file uploaded' });
+    }
+
+    if (!(await messageService.canAccessConversation(conversationId, req.user.id))) {
+      fs.unlink(req.file.path, () => {});
+      return res.status(403).json({ error: 'Access denied to this conversation' });
+    }
+
+    // Multer decodes multipart filenames as latin1
+    const originalName = Buffer.from(req.file.originalname, 'latin1').toString('utf8');
+
+    // The declared mimetype is the client's word; images are recognised by their content
+    const fileType = await attachmentService.storeUpload(req.file);
+
+    const { duplicate, ...messageData } = await messageService.createMessage({
+      conversationId,
+      senderId: req.user.id,
+      content: content && content.trim() ? content.trim() : null,
+      messageType: fileType && fileType.kind === 'image' ? 'image' : 'file',
+      replyTo: replyTo ? parseInt(replyTo) : null,
+      file: {
+        url: `/uploads/messages/${req.file.filename}`,
+        name: originalName,
+        size: req.file.size
+      },
+      clientMessageId: clientMessageId ? String(clientMessageId).slice(0, 64) : null
+    });
+
+    // A retried upload keeps the original message; drop the second copy of the file
+    if (duplicate) {
+      fs.unlink(req.file.path, () => {});
+      return res.json(messageData);
+    }
+
+    const io = req.app.get('io');
+    if (io) {
+      io.to(`conversation_${conversationId}`).emit('new_message', messageData);
+    }
+
+    res.status(201).json(messageData);
+  } catch (error) {
+    if (req.file) {
+      fs.unlink(req.file.path, () => {});
+    }
+    if (error.status) {
+      return res.status(error.status).json({ error: error.message });
+    }
+    console.error('Upload attachment error:', error);
+    res.status(500).json({ error: 'Failed to send attachment' });
+  }
+});
+
+// Upload a recorded voice message (multipart: file, optional waveform JSON; the length is read from the file)
+router.post('/conversations/:conversationId/voice', authMiddleware, uploadAttachment, async (req, res) => {
+  try {
+    const { conversationId } = req.params;
+    const { waveform, replyTo, clientMessageId } = req.body;
+
+    if (!req.file) {
+      return res.status(400).json({ error: 'No file uploaded' });
+    }
+
+    if (!(await messageService.canAccessConversation(conversationId, req.user.id))) {
+      fs.unlink(req.file.path, () => {});
+      return res.status(403).json({ error: 'Access denied to this conversation' });
+    }
+
+    const fileType = await attachmentService.storeUpload(req.file);
+    const voice = await voiceService.validateVoiceUpload(req.file, fileType, { waveform });
+
+    const { duplicate, ...messageData } = await messageService.createMessage({
+      conversationId,
+      senderId: req.user.id,
+      messageType: 'voice',
+      replyTo: replyTo ? parseInt(replyTo) : null,
+      file: {
+        url: `/uploads/messages/${req.file.filename}`,
+        name: 'Voice message',
+        size: req.file.size
+      },
+      voice,
+      clientMessageId: clientMessageId ? String(clientMessageId).slice(0, 64) : null
+    });
+
+    // A retried upload keeps the original message; drop the second copy of the file
+    if (duplicate) {
+      fs.unlink(req.file.path, () => {});
+      return res.json(messageData);
+    }
+
+    const io = req.app.get('io');
+    if (io) {
+      io.to(`conversation_${conversationId}`).emit('new_message', messageData);
+    }
+
+    res.status(201).json(messageData);
+  } catch (error) {
+    if (req.file) {
+      fs.unlink(req.file.path, () => {});
+    }
+    if (error.status) {
+      return res.status(error.status).json({ error: error.message });
+    }
+    console.error('Upload voice message error:', error);
+    res.status(500).json({ error: 'Failed to send voice message' });
+  }
+});
+
+// Stream a stored attachment (a message or transcript item row with file_url, file_name, message_type)
+const sendAttachment = (res, attachment) => {
+  const filePath = attachmentService.resolveAttachmentPath(attachment.file_url);
+  if (!filePath || !fs.existsSync(filePath)) {
+    return res.status(404).json({ error: 'Attachment not found' });
+  }
+
+  // Only recognised images and audio are shown inline; anything else is a download
+  const inlineType = attachment.message_type === 'file' ? null : attachmentService.getInlineType(filePath);
+  if (inlineType) {
+    res.type(inlineType);
+  } else {
+    res.attachment(attachment.file_name || path.basename(filePath));
+    res.type('application/octet-stream');
+  }
+
+  // Uploads must never run as a page on the API origin
+  res.set({
+    'X-Content-Type-Options': 'nosniff',
+    'Content-Security-Policy': "default-src 'none'; sandbox"
+  });
+
+  // Let the client app (served from another origin in development) embed the file
+  res.set('Cross-Origin-Resource-Policy', 'cross-origin');
+
+  // sendFile answers Range requests with 206 Partial Content
+  res.sendFile(filePath, {
+    acceptRanges: true,
+    headers: { 'Cache-Control': 'private, max-age=' + attachmentService.URL_TTL_SECONDS }
+  });
+};
+
+// Download an attachment (members only, supports Range requests)
+router.get('/attachments/:messageId', attachmentAuth, async (req, res) => {
+  try {
+    const { messageId } = req.params;
+
+    const messageResult = await db.query(
+      'SELECT id, conversation_id, message_type, file_url, file_name FROM messages WHERE id = $1',
+      [messageId]
+    );
+
+    if (messageResult.rows.length === 0 || !messageResult.rows[0].file_url) {
+      return res.status(404).json({ error: 'Attachment not found' });
+    }
+
+    const message = messageResult.rows[0];
+
+    // Signed URLs were issued to a member; bearer requests are checked here
+    if (req.user && !(await messageService.canAccessConversation(message.conversation_id, req.user.id))) {
+      return res.status(403).json({ error: 'Access denied to this conversation' });
+    }
+
+    sendAttachment(res, message);
+  } catch (error) {
+    console.error('Download attachment error:', error);
+    res.status(500).json({ error: 'Failed to download attachment' });
+  }
+});
+
+// Download an attachment bundled in a chat_history transcript
+router.get('/attachments/:messageId/items/:itemId', attachmentAuth, async (req, res) => {
+  try {
+    const { messageId, itemId } = req.params;
+
+    const item = await chatHistoryService.getHistoryAttachment(messageId, itemId);
+    if (!item || !item.file_url) {
+      return res.status(404).json({ error: 'Attachment not found' });
+    }
+
+    if (req.user && !(await messageService.canAccessConversation(item.conversation_id, req.user.id))) {
+      return res.status(403).json({ error: 'Access denied to this conversation' });
+    }
+
+    sendAttachment(res, item);
+  } catch (error) {
+    console.error('Download attachment error:', error);
+    res.status(500).json({ error: 'Failed to download attachment' });
+  }
+});
+
+// Issue a fresh signed URL for an attachment
+router.get('/attachments/:messageId/url', authMiddleware, async (req, res) => {
+  try {
+    const { messageId } = req.params;
+
+    const messageResult = await db.query(
+      'SELECT id, conversation_id, file_url FROM messages WHERE id = $1',
+      [messageId]
+    );
+
+    if (messageResult.rows.length === 0 || !messageResult.rows[0].file_url) {
+      return res.status(404).json({ error: 'Attachment not found' });
+    }
+
+    const message = messageResult.rows[0];
+
+    if (!(await messageService.canAccessConversation(message.conversation_id, req.user.id))) {
+      return res.status(403).json({ error: 'Access denied to this conversation' });
+    }
+
+    res.json({
+      url: attachmentService.signAttachmentUrl(message.id),
+      expiresIn: attachmentService.URL_TTL_SECONDS
+    });
+  } catch (error) {
+    console.error('Get attachment URL error:', error);
+    res.status(500).json({ error: 'Failed to create attachment link' });
+  }
+});
+
+// Issue a fresh signed URL for an attachment inside a chat_history transcript
+router.get('/attachments/:messageId/items/:itemId/url', authMiddleware, async (req, res) => {
+  try {
+    const { messageId, itemId } = req.params;
+
+    const item = await chatHistoryService.getHistoryAttachment(messageId, itemId);
+    if (!item || !item.file_url) {
+      return res.status(404).json({ error: 'Attachment not found' });
+    }
+
+    if (!(await messageService.canAccessConversation(item.conversation_id, req.user.id))) {
+      return res.status(403).json({ error: 'Access denied to this conversation' });
+    }
+
+    res.json({
+      url: attachmentService.signAttachmentUrl(parseInt(messageId), item.id),
+      expiresIn: attachmentService.URL_TTL_SECONDS
+    });
+  } catch (error) {
+    console.error('Get attachment URL error:', error);
+    res.status(500).json({ error: 'Failed to create attachment link' });
+  }
+});
+
 // Create or get individual conversation
 router.post('/conversations/individual', authMiddleware, async (req, res) => {
   try {
@@ -224,6 +568,8 @@ router.post('/conversations/individual', authMiddleware, async (req, res) => {
         [conversationId, req.user.id, contactId]
       );
 
+      await conversationStateService.addMembers(conversationId, [req.user.id, contactId], client);
+
       await client.query('COMMIT');
 
       res.status(201).json({ conversationId });
@@ -239,56 +585,251 @@ router.post('/conversations/individual', authMiddleware, async (req, res) => {
   }
 });
 
-// Search messages
-router.get('/search', authMiddleware, async (req, res) => {
+// Edit a message (REST fallback for the edit_message socket event)
+router.put('/:messageId', authMiddleware, async (req, res) => {
   try {
-    const { query, conversationId } = req.query;
-
-    if (!query) {
-      return res.status(400).json({ error: 'Search query is required' });
-    }
-
-    let searchQuery = `
-      SELECT 
-        m.id,
-        m.content,
-        m.message_type,
-        m.created_at,
-        u.display_name as sender_name,
-        c.id as conversation_id,
-        CASE 
-          WHEN c.type = 'group' THEN g.name
-          ELSE (
-            SELECT u2.display_name 
-            FROM conversation_participants cp2 
-            JOIN users u2 ON cp2.user_id = u2.id 
-            WHERE cp2.conversation_id = c.id AND cp2.user_id != $2
-            LIMIT 1
-          )
-        END as conversation_name
+    const { messageId } = req.params;
+    const { content } = req.body;
+
+    const edit = await messageService.editMessage(req.user.id, parseInt(messageId), content);
+
+    const io = req.app.get('io');
+    if (io) {
+      io.to(`conversation_${edit.conversationId}`).emit('message_edited', edit);
+    }
+
+    // The link may have changed; its preview follows once unfurled
+    linkPreviewService.attachPreview(edit.messageId, edit.content)
+      .then(update => {
+        if (update && io) {
+          io.to(`conversation_${update.conversationId}`).emit('link_preview', update);
+        }
+      })
+      .catch(previewError => console.error('Link preview error:', previewError));
+
+    res.json(edit);
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ error: error.message });
+    }
+    console.error('Edit message error:', error);
+    res.status(500).json({ error: 'Failed to edit message' });
+  }
+});
+
+// Recall a message for everyone (sender only, time-limited)
+router.post('/:messageId/recall', authMiddleware, async (req, res) => {
+  try {
+    const { messageId } = req.params;
+
+    const recall = await messageService.recallMessage(req.user.id, parseInt(messageId));
+
+    const io = req.app.get('io');
+    if (io) {
+      io.to(`conversation_${recall.conversationId}`).emit('message_recalled', recall);
+    }
+
+    res.json(recall);
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ error: error.message });
+    }
+    console.error('Recall message error:', error);
+    res.status(500).json({ error: 'Failed to recall message' });
+  }
+});
+
+// Forward messages into one or more conversations
+router.post('/forward', authMiddleware, async (req, res) => {
+  try {
+    const { messageIds, conversationIds, merge } = req.body;
+
+    // `merge` bundles the messages into one chat_history message per conversation
+    const forwarded = merge
+      ? await chatHistoryService.forwardChatHistory(req.user.id, messageIds, conversationIds)
+      : await messageService.forwardMessages(req.user.id, messageIds, conversationIds);
+
+    const io = req.app.get('io');
+    if (io) {
+      forwarded.forEach(messageData => {
+        io.to(`conversation_${messageData.conversationId}`).emit('new_message', messageData);
+      });
+    }
+
+    res.status(201).json({ messages: forwarded });
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ error: error.message });
+    }
+    console.error('Forward messages error:', error);
+    res.status(500).json({ error: 'Failed to forward messages' });
+  }
+});
+
+// Mark a voice message as played by the current user
+router.post('/:messageId/played', authMiddleware, async (req, res) => {
+  try {
+    const played = await voiceService.markPlayed(req.user.id, parseInt(req.params.messageId));
+
+    // The user's other devices clear their unplayed marker too
+    const io = req.app.get('io');
+    if (io && played) {
+      io.to(`user_${req.user.id}`).emit('voice_played', played);
+    }
+
+    res.json({ played: true });
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ error: error.message });
+    }
+    console.error('Mark voice played error:', error);
+    res.status(500).json({ error: 'Failed to mark voice message as played' });
+  }
+});
+
+// Pin a message for everyone in the conversation
+router.post('/:messageId/pin', authMiddleware, async (req, res) => {
+  try {
+    const pin = await pinService.pinMessage(req.user.id, parseInt(req.params.messageId));
+
+    const io = req.app.get('io');
+    if (io) {
+      io.to(`conversation_${pin.conversationId}`).emit('message_pinned', pin);
+    }
+
+    res.json(pin);
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ error: error.message });
+    }
+    console.error('Pin message error:', error);
+    res.status(500).json({ error: 'Failed to pin message' });
+  }
+});
+
+// Unpin a message
+router.delete('/:messageId/pin', authMiddleware, async (req, res) => {
+  try {
+    const unpin = await pinService.unpinMessage(req.user.id, parseInt(req.params.messageId));
+
+    const io = req.app.get('io');
+    if (io) {
+      io.to(`conversation_${unpin.conversationId}`).emit('message_unpinned', unpin);
+    }
+
+    res.json(unpin);
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ error: error.message });
+    }
+    console.error('Unpin message error:', error);
+    res.status(500).json({ error: 'Failed to unpin message' });
+  }
+});
+
+// Delete a message for the current user only
+router.delete('/:messageId', authMiddleware, async (req, res) => {
+  try {
+    const { messageId } = req.params;
+
+    const hidden = await messageService.hideMessage(req.user.id, parseInt(messageId));
+
+    res.json(hidden);
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ error: error.message });
+    }
+    console.error('Delete message error:', error);
+    res.status(500).json({ error: 'Failed to delete message' });
+  }
+});
+
+// Get edit history of a message
+router.get('/:messageId/history', authMiddleware, async (req, res) => {
+  try {
+    const { messageId } = req.params;
+
+    const messageResult = await db.query(`
+      SELECT m.id, m.conversation_id, m.content, m.edited_at, mh.id as hidden_id
       FROM messages m
-      JOIN users u ON m.sender_id = u.id
-      JOIN conversations c ON m.conversation_id = c.id
-      LEFT JOIN conversation_participants cp ON c.id = cp.conversation_id
-      LEFT JOIN group_members gm ON c.group_id = gm.group_id
-      LEFT JOIN groups g ON c.group_id = g.id
-      WHERE (cp.user_id = $2 OR gm.user_id = $2)
-      AND m.content ILIKE $1
-    `;
+      LEFT JOIN message_hidden mh ON m.id = mh.message_id AND mh.user_id = $2
+      WHERE m.id = $1
+    `, [messageId, req.user.id]);
+
+    // Messages the user deleted for themselves are gone for them, history included
+    const message = messageResult.rows[0];
+    if (!message || message.hidden_id) {
+      return res.status(404).json({ error: 'Message not found' });
+    }
+
+    if (!(await messageService.canAccessConversation(message.conversation_id, req.user.id))) {
+      return res.status(403).json({ error: 'Access denied to this conversation' });
+    }
+
+    const editHistory = await messageService.getEditHistory([message.id]);
 
-    const params = [`%${query}%`, req.user.id];
+    res.json({
+      id: message.id,
+      content: message.content,
+      edited_at: message.edited_at,
+      edit_history: editHistory.get(message.id) || []
+    });
+  } catch (error) {
+    console.error('Get message history error:', error);
+    res.status(500).json({ error: 'Failed to fetch message history' });
+  }
+});
 
-    if (conversationId) {
-      searchQuery += ' AND c.id = $3';
-      params.push(conversationId);
+// Get the transcript bundled in a chat_history message
+router.get('/:messageId/transcript', authMiddleware, async (req, res) => {
+  try {
+    const transcript = await chatHistoryService.getTranscript(req.user.id, parseInt(req.params.messageId));
+    res.json(transcript);
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ error: error.message });
     }
+    console.error('Get chat history error:', error);
+    res.status(500).json({ error: 'Failed to fetch chat history' });
+  }
+});
 
-    searchQuery += ' ORDER BY m.created_at DESC LIMIT 100';
+// Get who has read and received a message
+router.get('/:messageId/receipts', authMiddleware, async (req, res) => {
+  try {
+    const receipts = await receiptService.getMessageReceipts(req.user.id, parseInt(req.params.messageId));
+    res.json(receipts);
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ error: error.message });
+    }
+    console.error('Get message receipts error:', error);
+    res.status(500).json({ error: 'Failed to fetch message receipts' });
+  }
+});
 
-    const results = await db.query(searchQuery, params);
+// Search messages (ranked full-text search with cursor paging and filters)
+router.get('/search', authMiddleware, async (req, res) => {
+  try {
+    const { query, conversationId, senderId, type, from, to, sort, cursor, limit } = req.query;
+
+    const page = await searchService.searchMessages(req.user.id, {
+      query,
+      conversationId,
+      senderId,
+      type,
+      from,
+      to,
+      sort: sort || 'relevance',
+      cursor,
+      limit
+    });
 
-    res.json(results.rows);
+    res.json(page);
   } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ error: error.message });
+    }
     console.error('Search messages error:', error);
     res.status(500).json({ error: 'Failed to search messages' });
   }
@@ -3,6 +3,7 @@ const multer = require('multer');
 const path = require('path');
 const db = require('../config/database');
 const { authMiddleware } = require('../middleware/auth');
+const userService = require('../services/userService');
 
 const router = express.Router();
 
@@ -170,46 +171,14 @@ router.get('/:userId', authMiddleware, async (req, res) => {
   try {
     const { userId } = req.params;
 
-    const userResult = await db.query(`
-      SELECT 
-        u.id,
-        u.username,
-        u.display_name,
-        u.avatar_url,
-        u.status,
-        u.bio,
-        u.created_at,
-        CASE 
-          WHEN c.id IS NOT NULL THEN c.status
-          ELSE null
-        END as contact_status
-      FROM users u
-      LEFT JOIN contacts c ON (
-        (c.user_id = $2 AND c.contact_id = u.id) OR
-        (c.user_id = u.id AND c.contact_id = $2)
-      )
-      WHERE u.id = $1
-    `, [userId, req.user.id]);
+    const profiles = await userService.getVisibleProfiles(req.user.id, [parseInt(userId)]);
+    const user = profiles.get(parseInt(userId));
 
-    if (userResult.rows.length === 0) {
+    if (!user) {
       return res.status(404).json({ error: 'User not found' });
     }
 
-    const user = userResult.rows[0];
-
-    // Don't show full profile if not a contact (privacy)
-    if (user.contact_status !== 'accepted' && user.id !== req.user.id) {
-      res.json({
-        id: user.id,
-        username: user.username,
-        display_name: user.display_name,
-        avatar_url: user.avatar_url,
-        status: user.status,
-        contact_status: user.contact_status
-      });
-    } else {
-      res.json(user);
-    }
+    res.json(user);
   } catch (error) {
     console.error('Get user error:', error);
     res.status(500).json({ error: 'Failed to fetch user' });
@@ -0,0 +1,125 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+
+// Where chat attachments are stored on disk (file_url values are relative to the project root)
+const PROJECT_ROOT = path.join(__dirname, '../..');
+const ATTACHMENT_ROOT = path.join(PROJECT_ROOT, 'uploads/messages');
+
+// How long a signed attachment URL stays valid
+const URL_TTL_SECONDS = parseInt(process.env.ATTACHMENT_URL_TTL_SECONDS || '900', 10);
+
+// Outside production the JWT secret stands in; the server won't start in production without its own
+const getSecret = () => process.env.ATTACHMENT_URL_SECRET || process.env.JWT_SECRET;
+
+// The item id is signed too, so a link to one transcript file can't be pointed at another
+const computeSignature = (messageId, itemId, expires) =>
+  crypto
+    .createHmac('sha256', getSecret())
+    .update(`${messageId}:${itemId || ''}:${expires}`)
+    .digest('hex');
+
+// Build a short-lived URL for an attachment that works without the bearer token.
+// Files inside a chat_history transcript are addressed by their item id under the bundle message.
+const signAttachmentUrl = (messageId, itemId = null) => {
+  const expires = Math.floor(Date.now() / 1000) + URL_TTL_SECONDS;
+  const signature = computeSignature(messageId, itemId, expires);
+  const itemPath = itemId ? `/items/${itemId}` : '';
+  return `/api/messages/attachments/${messageId}${itemPath}?expires=${expires}&signature=${signature}`;
+};
+
+// Check a signature from a signed attachment URL (itemId is null for the message's own file)
+const verifySignature = (messageId, itemId, expires, signature) => {
+  const expiresAt = parseInt(expires, 10);
+  if (!expiresAt || expiresAt < Math.floor(Date.now() / 1000)) {
+    return false;
+  }
+
+  const expected = Buffer.from(computeSignature(messageId, itemId, expiresAt));
+  const provided = Buffer.from(String(signature || ''));
+
+  return expected.length === provided.length && crypto.timingSafeEqual(expected, provided);
+};
+
+// File types recognised by their first bytes. Only these are served inline; everything else
+// is stored as .bin and always downloaded, whatever name or type the client gave it.
+const INLINE_TYPES = [
+  { kind: 'image', extension: '.png', mimeType: 'image/png', matches: (header) => header.toString('latin1', 0, 8) === '\x89PNG\r\n\x1a\n' },
+  { kind: 'image', extension: '.jpg', mimeType: 'image/jpeg', matches: (header) => header[0] === 0xff && header[1] === 0xd8 && header[2] === 0xff },
+  { kind: 'image', extension: '.gif', mimeType: 'image/gif', matches: (header) => /^GIF8[79]a$/.test(header.toString('latin1', 0, 6)) },
+  { kind: 'image', extension: '.webp', mimeType: 'image/webp', matches: (header) => header.toString('latin1', 0, 4) === 'RIFF' && header.toString('latin1', 8, 12) === 'WEBP' },
+  { kind: 'audio', extension: '.webm', mimeType: 'audio/webm', matches: (header) => header.length >= 4 && header.readUInt32BE(0) === 0x1a45dfa3 },
+  { kind: 'audio', extension: '.ogg', mimeType: 'audio/ogg', matches: (header) => header.toString('latin1', 0, 4) === 'OggS' },
+  { kind: 'audio', extension: '.m4a', mimeType: 'audio/mp4', matches: (header) => header.toString('latin1', 4, 8) === 'ftyp' },
+  { kind: 'audio', extension: '.wav', mimeType: 'audio/wav', matches: (header) => header.toString('latin1', 0, 4) === 'RIFF' && header.toString('latin1', 8, 12) === 'WAVE' },
+  { kind: 'audio', extension: '.mp3', mimeType: 'audio/mpeg', matches: (header) => header.toString('latin1', 0, 3) === 'ID3' || (header[0] === 0xff && (header[1] & 0xe0) === 0xe0) }
+];
+
+const UNKNOWN_EXTENSION = '.bin';
+
+// Helper: the first bytes of a stored file
+const readHeader = async (filePath) => {
+  const handle = await fs.promises.open(filePath, 'r');
+  try {
+    const header = Buffer.alloc(12);
+    const { bytesRead } = await handle.read(header, 0, header.length, 0);
+    return header.subarray(0, bytesRead);
+  } finally {
+    await handle.close();
+  }
+};
+
+// Identify an uploaded file by its content. Returns { kind, extension, mimeType } or null.
+const detectFileType = async (filePath) => {
+  const header = await readHeader(filePath);
+  if (header.length < 12) return null;
+
+  const type = INLINE_TYPES.find(candidate => candidate.matches(header));
+  return type ? { kind: type.kind, extension: type.extension, mimeType: type.mimeType } : null;
+};
+
+// Give a freshly uploaded file (a multer file, stored without an extension) the extension
+// of its detected type. Updates file.path and file.filename; returns the detected type or null.
+const storeUpload = async (file) => {
+  const fileType = await detectFileType(file.path);
+  const filename = file.filename + (fileType ? fileType.extension : UNKNOWN_EXTENSION);
+  const filePath = path.join(path.dirname(file.path), filename);
+
+  await fs.promises.rename(file.path, filePath);
+  file.path = filePath;
+  file.filename = filename;
+
+  return fileType;
+};
+
+// The Content-Type to serve a stored file inline with, or null if it must be downloaded.
+// Files uploaded before types were detected kept the client's extension, so only the
+// extensions storeUpload hands out are trusted.
+const getInlineType = (filePath) => {
+  const extension = path.extname(filePath).toLowerCase();
+  const type = INLINE_TYPES.find(candidate => candidate.extension === extension);
+  return type ? type.mimeType : null;
+};
+
+// Map a stored file_url to an absolute path, refusing anything outside the attachment folder
+const resolveAttachmentPath = (fileUrl) => {
+  if (!fileUrl) return null;
+
+  const absolutePath = path.join(PROJECT_ROOT, fileUrl);
+  if (!absolutePath.startsWith(ATTACHMENT_ROOT + path.sep)) {
+    return null;
+  }
+
+  return absolutePath;
+};
+
+module.exports = {
+  ATTACHMENT_ROOT,
+  URL_TTL_SECONDS,
+  detectFileType,
+  storeUpload,
+  getInlineType,
+  signAttachmentUrl,
+  verifySignature,
+  resolveAttachmentPath
+};
@@ -0,0 +1,155 @@
+const db = require('../config/database');
+const attachmentService = require('./attachmentService');
+const messageService = require('./messageService');
+const userService = require('./userService');
+
+// Card title, e.g. "Chat history of Alice and Bob" or "Chat history of Weekend Hikers"
+const getHistoryTitle = async (conversationId, sources) => {
+  const conversationResult = await db.query(`
+    SELECT c.type, g.name as group_name
+    FROM conversations c
+    LEFT JOIN groups g ON c.group_id = g.id
+    WHERE c.id = $1
+  `, [conversationId]);
+
+  const conversation = conversationResult.rows[0];
+  if (conversation && conversation.type === 'group' && conversation.group_name) {
+    return `Chat history of ${conversation.group_name}`;
+  }
+
+  const senderNames = [...new Set(sources.map(source => source.sender_name))].slice(0, 2);
+  return `Chat history of ${senderNames.join(' and ')}`;
+};
+
+// Bundle messages from one conversation into a single chat_history message in each target.
+// The bundle is a snapshot: later edits or recalls of the originals don't change it.
+// Returns the new_message payloads in the order they were created.
+const forwardChatHistory = async (userId, messageIds, conversationIds) => {
+  const { sources, targets } = await messageService.loadForwardSources(userId, messageIds, conversationIds);
+
+  const sourceConversationIds = new Set(sources.map(source => source.conversation_id));
+  if (sourceConversationIds.size > 1) {
+    throw messageService.serviceError(400, 'Chat history can only bundle messages from one conversation');
+  }
+
+  const title = await getHistoryTitle(sources[0].conversation_id, sources);
+  const chatHistory = messageService.toHistoryPreview({
+    count: sources.length,
+    preview: sources.slice(0, messageService.HISTORY_PREVIEW_ITEMS)
+  });
+
+  const forwarded = [];
+  for (const conversationId of targets) {
+    const { duplicate, ...messageData } = await messageService.createMessage({
+      conversationId,
+      senderId: userId,
+      content: title,
+      messageType: 'chat_history'
+    });
+
+    await db.query(`
+      INSERT INTO chat_history_items (
+        message_id, position, source_message_id, sender_id, sender_name,
+        content, message_type, file_url, file_name, file_size,
+        duration_ms, waveform, latitude, longitude, card_user_id, sent_at
+      )
+      SELECT $1, s.position, m.id, m.sender_id, u.display_name,
+             m.content, m.message_type, m.file_url, m.file_name, m.file_size,
+             m.duration_ms, m.waveform, m.latitude, m.longitude, m.card_user_id, m.created_at
+      FROM unnest($2::int[]) WITH ORDINALITY AS s(id, position)
+      JOIN messages m ON m.id = s.id
+      JOIN users u ON m.sender_id = u.id
+    `, [messageData.id, sources.map(source => source.id)]);
+
+    forwarded.push({ ...messageData, chatHistory });
+  }
+
+  return forwarded;
+};
+
+// Load a chat_history message the user can see
+const getHistoryMessage = async (userId, messageId) => {
+  const messageResult = await db.query(`
+    SELECT m.id, m.conversation_id, m.content, m.message_type, m.recalled_at, mh.id as hidden_id
+    FROM messages m
+    LEFT JOIN message_hidden mh ON m.id = mh.message_id AND mh.user_id = $2
+    WHERE m.id = $1
+  `, [messageId, userId]);
+
+  const message = messageResult.rows[0];
+  if (!message || message.message_type !== 'chat_history' || message.hidden_id) {
+    throw messageService.serviceError(404, 'Chat history not found');
+  }
+
+  if (!(await messageService.canAccessConversation(message.conversation_id, userId))) {
+    throw messageService.serviceError(403, 'Access denied to this conversation');
+  }
+
+  if (message.recalled_at) {
+    throw messageService.serviceError(400, 'Message has been recalled');
+  }
+
+  return message;
+};
+
+// Full read-only transcript of a chat_history message
+const getTranscript = async (userId, messageId) => {
+  const message = await getHistoryMessage(userId, messageId);
+
+  const itemResult = await db.query(`
+    SELECT
+      chi.id,
+      chi.sender_id,
+      chi.sender_name,
+      u.avatar_url as sender_avatar,
+      chi.content,
+      chi.message_type,
+      chi.file_url,
+      chi.file_name,
+      chi.file_size,
+      chi.duration_ms,
+      chi.waveform,
+      chi.latitude,
+      chi.longitude,
+      chi.card_user_id,
+      chi.sent_at
+    FROM chat_history_items chi
+    LEFT JOIN users u ON chi.sender_id = u.id
+    WHERE chi.message_id = $1
+    ORDER BY chi.position ASC
+  `, [message.id]);
+
+  // Shared contacts are shown as the user may see them now, like live contact cards
+  const cards = await userService.getContactCards(
+    userId,
+    [...new Set(itemResult.rows.filter(item => item.card_user_id).map(item => item.card_user_id))]
+  );
+
+  return {
+    messageId: message.id,
+    title: message.content,
+    items: itemResult.rows.map(item => ({
+      ...item,
+      file_url: item.file_url ? attachmentService.signAttachmentUrl(message.id, item.id) : null,
+      contact_card: item.card_user_id ? cards.get(item.card_user_id) || null : null
+    }))
+  };
+};
+
+// Look up an attachment inside a transcript; access to the bundle is checked by the caller
+const getHistoryAttachment = async (messageId, itemId) => {
+  const itemResult = await db.query(`
+    SELECT chi.id, chi.message_type, chi.file_url, chi.file_name, m.conversation_id
+    FROM chat_history_items chi
+    JOIN messages m ON chi.message_id = m.id
+    WHERE chi.message_id = $1 AND chi.id = $2 AND m.recalled_at IS NULL
+  `, [messageId, itemId]);
+
+  return itemResult.rows[0] || null;
+};
+
+module.exports = {
+  forwardChatHistory,
+  getTranscript,
+  getHistoryAttachment
+};
@@ -0,0 +1,455 @@
+const db = require('../config/database');
+
+const DEFAULT_PAGE_SIZE = 50;
+const MAX_PAGE_SIZE = 100;
+
+// Pinned conversations all come first on the first page, so there can only be a few
+const MAX_PINNED_CONVERSATIONS = 10;
+
+// Settings a user can change on their own view of a conversation
+const SETTING_KEYS = ['pinned', 'muted', 'archived', 'hidden'];
+
+// Helper: same shape as messageService.serviceError, which requires this module and can't be required back
+const serviceError = (status, message) => {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+};
+
+// Ids of everyone in a conversation ($1), whether a participant or a group member
+const CONVERSATION_MEMBER_IDS = `
+  SELECT cp.user_id FROM conversation_participants cp WHERE cp.conversation_id = $1
+  UNION
+  SELECT gm.user_id FROM conversations c JOIN group_members gm ON c.group_id = gm.group_id WHERE c.id = $1
+`;
+
+// Whether the state row `cs` still has an unread message mentioning its user.
+// Only re-checked while the flag is set, so clearing it costs nothing once it is off.
+const UNREAD_MENTION_FLAG = `
+  CASE WHEN cs.has_unread_mention THEN EXISTS (
+    SELECT 1
+    FROM message_mentions mm
+    JOIN messages m ON mm.message_id = m.id
+    LEFT JOIN message_reads mr ON m.id = mr.message_id AND mr.user_id = cs.user_id
+    LEFT JOIN message_hidden mh ON m.id = mh.message_id AND mh.user_id = cs.user_id
+    WHERE mm.user_id = cs.user_id AND m.conversation_id = cs.conversation_id AND mr.id IS NULL
+    AND m.recalled_at IS NULL AND mh.id IS NULL
+  ) ELSE false END
+`;
+
+// Create state rows for users joining a conversation ($1 conversation, $2 user ids).
+// Existing messages they have not read count as unread, as they would for any member.
+const addMembers = async (conversationId, userIds, client = db) => {
+  if (userIds.length === 0) return;
+
+  await client.query(`
+    INSERT INTO conversation_state (user_id, conversation_id, last_message_id, unread_count)
+    SELECT
+      u.id,
+      $1,
+      (SELECT MAX(m.id) FROM messages m WHERE m.conversation_id = $1),
+      (
+        SELECT COUNT(*)
+        FROM messages m
+        LEFT JOIN message_reads mr ON m.id = mr.message_id AND mr.user_id = u.id
+        WHERE m.conversation_id = $1 AND m.sender_id != u.id AND mr.id IS NULL
+        AND m.recalled_at IS NULL
+      )
+    FROM unnest($2::int[]) AS u(id)
+    ON CONFLICT (user_id, conversation_id) DO NOTHING
+  `, [conversationId, userIds]);
+};
+
+// Create the state rows missing for conversations that existed before conversation_state did.
+// Each is filled in from the messages as recordMessage, recordRead and recordHidden would have
+// left it; rows already there are untouched. Run once at startup, as there are no migrations;
+// every later membership change goes through addMembers.
+const backfillStates = async () => {
+  const result = await db.query(`
+    INSERT INTO conversation_state (
+      user_id, conversation_id, last_message_id, last_read_message_id, unread_count, has_unread_mention, last_activity_at
+    )
+    SELECT
+      member.user_id,
+      c.id,
+      latest.id,
+      (
+        SELECT MAX(mr.message_id)
+        FROM message_reads mr
+        JOIN messages rm ON mr.message_id = rm.id
+        WHERE rm.conversation_id = c.id AND mr.user_id = member.user_id
+      ),
+      unread.unread_count,
+      unread.mention_count > 0,
+      COALESCE(latest.created_at, c.created_at)
+    FROM (
+      SELECT cp.user_id, cp.conversation_id FROM conversation_participants cp
+      UNION
+      SELECT gm.user_id, gc.id FROM group_members gm JOIN conversations gc ON gc.group_id = gm.group_id
+    ) member
+    JOIN conversations c ON c.id = member.conversation_id
+    LEFT JOIN LATERAL (
+      SELECT m.id, m.created_at
+      FROM messages m
+      LEFT JOIN message_hidden mh ON m.id = mh.message_id AND mh.user_id = member.user_id
+      WHERE m.conversation_id = c.id AND mh.id IS NULL
+      ORDER BY m.id DESC
+      LIMIT 1
+    ) latest ON true
+    CROSS JOIN LATERAL (
+      SELECT COUNT(*) as unread_count, COUNT(mm.id) as mention_count
+      FROM messages m
+      LEFT JOIN message_reads mr ON m.id = mr.message_id AND mr.user_id = member.user_id
+      LEFT JOIN message_hidden mh ON m.id = mh.message_id AND mh.user_id = member.user_id
+      LEFT JOIN message_mentions mm ON m.id = mm.message_id AND mm.user_id = member.user_id
+      WHERE m.conversation_id = c.id AND m.sender_id != member.user_id AND mr.id IS NULL
+      AND m.recalled_at IS NULL AND mh.id IS NULL
+    ) unread
+    WHERE NOT EXISTS (
+      SELECT 1 FROM conversation_state cs WHERE cs.user_id = member.user_id AND cs.conversation_id = c.id
+    )
+    ON CONFLICT (user_id, conversation_id) DO NOTHING
+  `);
+
+  return result.rowCount;
+};
+
+// Drop state rows of users who left a conversation
+const removeMembers = async (conversationId, userIds, client = db) => {
+  await client.query(
+    'DELETE FROM conversation_state WHERE conversation_id = $1 AND user_id = ANY($2::int[])',
+    [conversationId, userIds]
+  );
+};
+
+// A new message: it becomes everyone's last message, and unread for everyone but its sender.
+// Archived and hidden conversations come back to the main list.
+const recordMessage = async ({ id, conversationId, senderId }) => {
+  await db.query(`
+    INSERT INTO conversation_state (user_id, conversation_id, last_message_id, unread_count, last_activity_at)
+    SELECT members.user_id, $1, m.id, CASE WHEN members.user_id = $3 THEN 0 ELSE 1 END, m.created_at
+    FROM (${CONVERSATION_MEMBER_IDS}) members
+    JOIN messages m ON m.id = $2
+    ON CONFLICT (user_id, conversation_id) DO UPDATE SET
+      last_message_id = GREATEST(conversation_state.last_message_id, EXCLUDED.last_message_id),
+      unread_count = conversation_state.unread_count + EXCLUDED.unread_count,
+      last_activity_at = GREATEST(conversation_state.last_activity_at, EXCLUDED.last_activity_at),
+      archived = false,
+      hidden = false
+  `, [conversationId, id, senderId]);
+};
+
+// Flag the conversation of a message for the users it mentions
+const markMentioned = async (messageId, userIds) => {
+  if (userIds.length === 0) return;
+
+  await db.query(`
+    UPDATE conversation_state cs
+    SET has_unread_mention = true
+    FROM messages m
+    WHERE m.id = $1 AND cs.conversation_id = m.conversation_id AND cs.user_id = ANY($2::int[])
+  `, [messageId, userIds]);
+};
+
+// Messages the user has just read (newly recorded receipts only, so nothing is counted twice)
+const recordRead = async (userId, conversationId, messageIds) => {
+  if (messageIds.length === 0) return;
+
+  await db.query(`
+    UPDATE conversation_state cs
+    SET unread_count = GREATEST(cs.unread_count - counted.unread, 0),
+        last_read_message_id = GREATEST(cs.last_read_message_id, counted.max_id),
+        has_unread_mention = ${UNREAD_MENTION_FLAG}
+    FROM (
+      SELECT COUNT(*) FILTER (WHERE m.recalled_at IS NULL AND mh.id IS NULL) as unread, MAX(m.id) as max_id
+      FROM messages m
+      LEFT JOIN message_hidden mh ON m.id = mh.message_id AND mh.user_id = $1
+      WHERE m.id = ANY($3::int[])
+    ) counted
+    WHERE cs.user_id = $1 AND cs.conversation_id = $2
+  `, [userId, conversationId, messageIds]);
+};
+
+// A recalled message no longer counts as unread for members who had not read or hidden it
+const recordRecall = async ({ messageId, conversationId, senderId }, client = db) => {
+  await client.query(`
+    UPDATE conversation_state cs
+    SET unread_count = GREATEST(cs.unread_count - 1, 0),
+        has_unread_mention = ${UNREAD_MENTION_FLAG}
+    WHERE cs.conversation_id = $1 AND cs.user_id != $2
+    AND NOT EXISTS (SELECT 1 FROM message_reads mr WHERE mr.message_id = $3 AND mr.user_id = cs.user_id)
+    AND NOT EXISTS (SELECT 1 FROM message_hidden mh WHERE mh.message_id = $3 AND mh.user_id = cs.user_id)
+  `, [conversationId, senderId, messageId]);
+};
+
+// A message the user just hid: drop it from their unread count and, if it was
+// their last message, fall back to the newest one they can still see
+const recordHidden = async (userId, messageId) => {
+  await db.query(`
+    UPDATE conversation_state cs
+    SET unread_count = CASE
+          WHEN m.sender_id != cs.user_id AND m.recalled_at IS NULL AND NOT EXISTS (
+            SELECT 1 FROM message_reads mr WHERE mr.message_id = m.id AND mr.user_id = cs.user_id
+          ) THEN GREATEST(cs.unread_count - 1, 0)
+          ELSE cs.unread_count
+        END,
+        has_unread_mention = ${UNREAD_MENTION_FLAG},
+        last_message_id = CASE
+          WHEN cs.last_message_id = m.id THEN (
+            SELECT latest.id
+            FROM messages latest
+            LEFT JOIN message_hidden mh ON latest.id = mh.message_id AND mh.user_id = cs.user_id
+            WHERE latest.conversation_id = cs.conversation_id AND mh.id IS NULL
+            ORDER BY latest.id DESC
+            LIMIT 1
+          )
+          ELSE cs.last_message_id
+        END
+    FROM messages m
+    WHERE m.id = $2 AND cs.user_id = $1 AND cs.conversation_id = m.conversation_id
+  `, [userId, messageId]);
+};
+
+// Unread message counts for each conversation, including zeros
+const getUnreadCounts = async (userId, conversationIds) => {
+  const unreadCounts = {};
+  conversationIds.forEach(id => { unreadCounts[id] = 0; });
+
+  const counts = await db.query(
+    'SELECT conversation_id, unread_count FROM conversation_state WHERE user_id = $1 AND conversation_id = ANY($2)',
+    [userId, conversationIds]
+  );
+
+  counts.rows.forEach(row => {
+    unreadCounts[row.conversation_id] = row.unread_count;
+  });
+
+  return unreadCounts;
+};
+
+// Cursors are opaque to clients: base64url JSON of the last row's sort key.
+// The timestamp is kept as Postgres text because a JS Date drops its microseconds.
+const encodeCursor = (row) =>
+  Buffer.from(JSON.stringify({ at: row.activity_key, id: row.id })).toString('base64url');
+
+const decodeCursor = (cursor) => {
+  try {
+    const decoded = JSON.parse(Buffer.from(String(cursor), 'base64url').toString('utf8'));
+    return Number.isInteger(decoded.id) && typeof decoded.at === 'string' ? decoded : null;
+  } catch (error) {
+    return null;
+  }
+};
+
+// Helper: API shape of a conversation's settings
+const toSettings = (row) => ({
+  conversationId: row.conversation_id,
+  pinned: Boolean(row.pinned_at),
+  pinnedAt: row.pinned_at,
+  muted: row.muted,
+  archived: row.archived,
+  hidden: row.hidden
+});
+
+// Get the user's settings for a conversation they belong to
+const getSettings = async (userId, conversationId) => {
+  const result = await db.query(
+    'SELECT conversation_id, pinned_at, muted, archived, hidden FROM conversation_state WHERE user_id = $1 AND conversation_id = $2',
+    [userId, conversationId]
+  );
+
+  if (result.rows.length === 0) {
+    throw serviceError(404, 'Conversation not found');
+  }
+
+  return toSettings(result.rows[0]);
+};
+
+// Change any of pinned, muted, archived and hidden.
+// Pinned conversations stay in the main list, so archiving or hiding one unpins it.
+const updateSettings = async (userId, conversationId, changes = {}) => {
+  const keys = SETTING_KEYS.filter(key => changes[key] !== undefined);
+
+  if (keys.length === 0) {
+    throw serviceError(400, `Provide at least one of ${SETTING_KEYS.join(', ')}`);
+  }
+
+  if (keys.some(key => typeof changes[key] !== 'boolean')) {
+    throw serviceError(400, 'Settings must be true or false');
+  }
+
+  if (changes.pinned && (changes.archived || changes.hidden)) {
+    throw serviceError(400, 'A pinned conversation cannot be archived or hidden');
+  }
+
+  const current = await getSettings(userId, conversationId);
+
+  if (changes.pinned && !current.pinned) {
+    const pinnedResult = await db.query(
+      'SELECT COUNT(*) as pinned_count FROM conversation_state WHERE user_id = $1 AND pinned_at IS NOT NULL',
+      [userId]
+    );
+    if (parseInt(pinnedResult.rows[0].pinned_count) >= MAX_PINNED_CONVERSATIONS) {
+      throw serviceError(400, `At most ${MAX_PINNED_CONVERSATIONS} conversations can be pinned`);
+    }
+  }
+
+  const assignments = [];
+  if (changes.pinned !== undefined) {
+    assignments.push(changes.pinned ? 'pinned_at = COALESCE(pinned_at, CURRENT_TIMESTAMP)' : 'pinned_at = NULL');
+  }
+  if (changes.muted !== undefined) {
+    assignments.push(`muted = ${changes.muted}`);
+  }
+  if (changes.archived !== undefined) {
+    assignments.push(`archived = ${changes.archived}`);
+  }
+  if (changes.hidden !== undefined) {
+    assignments.push(`hidden = ${changes.hidden}`);
+  }
+  if (changes.pinned) {
+    assignments.push('archived = false', 'hidden = false');
+  } else if (changes.archived || changes.hidden) {
+    assignments.push('pinned_at = NULL');
+  }
+
+  const result = await db.query(`
+    UPDATE conversation_state
+    SET ${assignments.join(', ')}
+    WHERE user_id = $1 AND conversation_id = $2
+    RETURNING conversation_id, pinned_at, muted, archived, hidden
+  `, [userId, conversationId]);
+
+  return toSettings(result.rows[0]);
+};
+
+// One page of the user's conversations, most recently active first.
+// The main list puts every pinned conversation at the top of its first page and leaves out
+// archived and hidden ones; `archived: true` lists only the archived conversations instead.
+// Returns { conversations, nextCursor }, plus archivedCount on the main list's first page;
+// a null nextCursor means this was the last page.
+const getConversationList = async (userId, { cursor = null, limit = DEFAULT_PAGE_SIZE, archived = false } = {}) => {
+  const pageSize = Math.min(Math.max(parseInt(limit) || DEFAULT_PAGE_SIZE, 1), MAX_PAGE_SIZE);
+  const includePinned = !archived && !cursor;
+  const params = [userId, archived, pageSize + (includePinned ? MAX_PINNED_CONVERSATIONS : 0) + 1];
+  let pageFilter = 'cs.pinned_at IS NULL';
+
+  if (cursor) {
+    const position = decodeCursor(cursor);
+    if (!position) {
+      throw serviceError(400, 'Invalid cursor');
+    }
+    params.push(position.at, position.id);
+    pageFilter += ' AND (cs.last_activity_at, cs.conversation_id) < ($4::timestamp, $5)';
+  }
+
+  const result = await db.query(`
+    SELECT
+      c.id,
+      c.type,
+      c.group_id,
+      c.created_at,
+      c.updated_at,
+      CASE WHEN c.type = 'group' THEN g.name ELSE other.display_name END as name,
+      CASE WHEN c.type = 'group' THEN g.avatar_url ELSE other.avatar_url END as avatar_url,
+      cs.unread_count,
+      cs.has_unread_mention,
+      cs.last_read_message_id,
+      cs.last_activity_at,
+      cs.last_activity_at::text as activity_key,
+      cs.pinned_at,
+      cs.muted,
+      cs.archived,
+      d.content as draft,
+      d.updated_at as draft_updated_at,
+      m.id as last_message_id,
+      m.plain_content as last_message_content,
+      m.message_type as last_message_type,
+      m.file_name as last_message_file_name,
+      m.recalled_at as last_message_recalled_at,
+      m.created_at as last_message_created_at,
+      m.sender_id as last_message_sender_id,
+      mu.display_name as last_message_sender_name
+    FROM conversation_state cs
+    JOIN conversations c ON cs.conversation_id = c.id
+    LEFT JOIN groups g ON c.group_id = g.id
+    LEFT JOIN LATERAL (
+      SELECT u.display_name, u.avatar_url
+      FROM conversation_participants cp
+      JOIN users u ON cp.user_id = u.id
+      WHERE cp.conversation_id = c.id AND cp.user_id != $1
+      LIMIT 1
+    ) other ON c.type = 'individual'
+    LEFT JOIN messages m ON cs.last_message_id = m.id
+    LEFT JOIN users mu ON m.sender_id = mu.id
+    LEFT JOIN conversation_drafts d ON c.id = d.conversation_id AND d.user_id = $1
+    WHERE cs.user_id = $1 AND cs.archived = $2 AND NOT cs.hidden
+    AND (${includePinned ? 'cs.pinned_at IS NOT NULL OR ' : ''}(${pageFilter}))
+    ORDER BY cs.pinned_at DESC NULLS LAST, cs.last_activity_at DESC, cs.conversation_id DESC
+    LIMIT $3
+  `, params);
+
+  const pinned = result.rows.filter(row => row.pinned_at);
+  const unpinned = result.rows.filter(row => !row.pinned_at);
+  const hasMore = unpinned.length > pageSize;
+  const rows = [...pinned, ...unpinned.slice(0, pageSize)];
+
+  const page = {
+    conversations: rows.map(row => ({
+      id: row.id,
+      type: row.type,
+      group_id: row.group_id,
+      created_at: row.created_at,
+      updated_at: row.updated_at,
+      name: row.name,
+      avatar_url: row.avatar_url,
+      unread_count: row.unread_count,
+      has_unread_mention: row.has_unread_mention,
+      last_read_message_id: row.last_read_message_id,
+      last_activity_at: row.last_activity_at,
+      pinned: Boolean(row.pinned_at),
+      pinned_at: row.pinned_at,
+      muted: row.muted,
+      archived: row.archived,
+      draft: row.draft,
+      draft_updated_at: row.draft_updated_at,
+      last_message: row.last_message_id ? {
+        id: row.last_message_id,
+        content: row.last_message_content,
+        message_type: row.last_message_type,
+        file_name: row.last_message_file_name,
+        recalled_at: row.last_message_recalled_at,
+        created_at: row.last_message_created_at,
+        sender_id: row.last_message_sender_id,
+        sender_name: row.last_message_sender_name
+      } : null
+    })),
+    nextCursor: hasMore ? encodeCursor(unpinned[pageSize - 1]) : null
+  };
+
+  if (includePinned) {
+    const archivedResult = await db.query(
+      'SELECT COUNT(*) as archived_count FROM conversation_state WHERE user_id = $1 AND archived AND NOT hidden',
+      [userId]
+    );
+    page.archivedCount = parseInt(archivedResult.rows[0].archived_count);
+  }
+
+  return page;
+};
+
+module.exports = {
+  CONVERSATION_MEMBER_IDS,
+  backfillStates,
+  addMembers,
+  removeMembers,
+  recordMessage,
+  markMentioned,
+  recordRead,
+  recordRecall,
+  recordHidden,
+  getUnreadCounts,
+  getSettings,
+  updateSettings,
+  getConversationList
+};
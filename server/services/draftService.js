@@ -0,0 +1,69 @@
+const db = require('../config/database');
+const messageService = require('./messageService');
+
+// Drafts are composer text, so they are capped well above any sensible message
+const MAX_DRAFT_LENGTH = 10000;
+
+// Get the user's draft for a conversation, or null
+const getDraft = async (userId, conversationId) => {
+  const result = await db.query(
+    'SELECT content, updated_at FROM conversation_drafts WHERE user_id = $1 AND conversation_id = $2',
+    [userId, conversationId]
+  );
+
+  return result.rows[0] || null;
+};
+
+// Save or (for blank content) delete a draft.
+// Returns the draft_updated payload sent to the user's other devices.
+const saveDraft = async (userId, conversationId, content) => {
+  if (content !== null && content !== undefined && typeof content !== 'string') {
+    throw messageService.serviceError(400, 'Draft content must be a string');
+  }
+
+  if (content && content.length > MAX_DRAFT_LENGTH) {
+    throw messageService.serviceError(400, `Drafts can be at most ${MAX_DRAFT_LENGTH} characters`);
+  }
+
+  if (!(await messageService.canAccessConversation(conversationId, userId))) {
+    throw messageService.serviceError(403, 'Access denied to this conversation');
+  }
+
+  if (!content || !content.trim()) {
+    return clearDraft(userId, conversationId);
+  }
+
+  const result = await db.query(`
+    INSERT INTO conversation_drafts (user_id, conversation_id, content)
+    VALUES ($1, $2, $3)
+    ON CONFLICT (user_id, conversation_id)
+    DO UPDATE SET content = EXCLUDED.content, updated_at = CURRENT_TIMESTAMP
+    RETURNING content, updated_at
+  `, [userId, conversationId, content]);
+
+  return {
+    conversationId: parseInt(conversationId),
+    content: result.rows[0].content,
+    updatedAt: result.rows[0].updated_at
+  };
+};
+
+// Remove a draft (the message was sent or the text was cleared)
+const clearDraft = async (userId, conversationId) => {
+  await db.query(
+    'DELETE FROM conversation_drafts WHERE user_id = $1 AND conversation_id = $2',
+    [userId, conversationId]
+  );
+
+  return {
+    conversationId: parseInt(conversationId),
+    content: '',
+    updatedAt: new Date()
+  };
+};
+
+module.exports = {
+  getDraft,
+  saveDraft,
+  clearDraft
+};
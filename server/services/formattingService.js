@@ -0,0 +1,223 @@
+// Formatting chat text may use:
+//   **bold**  _italic_  ~~strikethrough~~  `code`  ```code block```
+// Links and @mentions are picked out without any markers. Messages are stored as typed;
+// this module derives the plain text used for search and previews. The client renders
+// the same syntax in components/Chat/FormattedText.js, so the two must stay in step.
+//
+// Both parse in a single pass over the text: a message is untrusted input, and
+// backtracking over unmatched markers would take time quadratic in its length.
+
+const CODE_FENCE = '```';
+
+// Emphasis markers and the token each one opens
+const EMPHASIS_MARKERS = [['**', 'bold'], ['~~', 'strike'], ['_', 'italic']];
+
+// Characters that end a link
+const LINK_END = /[\s<>"']/;
+
+// Helper: whether a character is a letter or digit, so snake_case isn't read as italics
+const isWordChar = (char) => Boolean(char) && /[\p{L}\p{N}]/u.test(char);
+
+// Helper: whether a character exists and isn't whitespace
+const isVisible = (char) => Boolean(char) && /\S/.test(char);
+
+// Helper: the emphasis marker starting at `index`, as [marker, type], if any
+const emphasisAt = (text, index) => EMPHASIS_MARKERS.find(([marker]) => text.startsWith(marker, index));
+
+// Helper: length of the link starting at `index`, or 0
+const linkLength = (text, index) => {
+  const scheme = text.startsWith('https://', index) ? 8 : text.startsWith('http://', index) ? 7 : 0;
+  if (!scheme) return 0;
+
+  let end = index + scheme;
+  while (end < text.length && !LINK_END.test(text[end])) end++;
+  return end > index + scheme ? end - index : 0;
+};
+
+// Helper: split text outside code blocks into inline tokens ({ type, text, children }).
+// `type` is text, code, link, mention, bold, strike or italic. Open emphasis markers wait
+// on a stack; a closing marker ends the nearest open one of its kind, and markers that
+// never close are put back as text.
+const parseInline = (text) => {
+  const root = { tokens: [] };
+  const stack = [root];
+  const openCounts = { bold: 0, strike: 0, italic: 0 };
+  let noClosingBacktick = false;
+  let plainStart = 0;
+  let index = 0;
+
+  const pushToken = (frame, token) => {
+    const previous = frame.tokens[frame.tokens.length - 1];
+    if (token.type === 'text' && previous && previous.type === 'text') {
+      previous.text += token.text;
+    } else {
+      frame.tokens.push(token);
+    }
+  };
+
+  const pushText = (frame, value) => {
+    if (value) pushToken(frame, { type: 'text', text: value });
+  };
+
+  // Emit the plain text read since the last token
+  const flush = () => {
+    pushText(stack[stack.length - 1], text.slice(plainStart, index));
+  };
+
+  // Fold every frame above stack[depth] back into it as text plus its tokens
+  const unwind = (depth) => {
+    const target = stack[depth];
+    stack.splice(depth + 1).forEach(frame => {
+      openCounts[frame.type]--;
+      pushText(target, frame.marker);
+      frame.tokens.forEach(token => pushToken(target, token));
+    });
+  };
+
+  // A link or mention inside emphasis gives up the closing markers it ran into
+  const giveUpMarkers = (end) => {
+    for (const [marker, type] of EMPHASIS_MARKERS) {
+      while (openCounts[type] && end - marker.length > index && text.startsWith(marker, end - marker.length)) {
+        end -= marker.length;
+      }
+    }
+    return end;
+  };
+
+  // Helper: consume `length` characters as a finished token
+  const emit = (token, length) => {
+    flush();
+    pushToken(stack[stack.length - 1], token);
+    index += length;
+    plainStart = index;
+  };
+
+  while (index < text.length) {
+    const char = text[index];
+
+    // Code spans stay on one line and keep their content as typed
+    if (char === '`' && !noClosingBacktick) {
+      const close = text.indexOf('`', index + 1);
+      if (close === -1) {
+        noClosingBacktick = true;
+      } else if (close > index + 1 && !text.slice(index + 1, close).includes('\n')) {
+        emit({ type: 'code', text: text.slice(index + 1, close) }, close - index + 1);
+        continue;
+      }
+    }
+
+    const link = char === 'h' ? giveUpMarkers(index + linkLength(text, index)) - index : 0;
+    if (link > 0) {
+      emit({ type: 'link', text: text.slice(index, index + link) }, link);
+      continue;
+    }
+
+    // Mentions need a space (or nothing) before them
+    if (char === '@' && (index === 0 || /\s/.test(text[index - 1]))) {
+      let end = index + 1;
+      while (end < text.length && text[end] !== '@' && /\S/.test(text[end])) end++;
+      end = giveUpMarkers(end);
+      if (end > index + 1) {
+        emit({ type: 'mention', text: text.slice(index, end) }, end - index);
+        continue;
+      }
+    }
+
+    const emphasis = emphasisAt(text, index);
+    if (emphasis) {
+      const [marker, type] = emphasis;
+      const before = text[index - 1];
+      const after = text[index + marker.length];
+
+      // Emphasis hugs its content; italics also need a word boundary outside the markers
+      let depth = -1;
+      if (openCounts[type] && isVisible(before) && (type !== 'italic' || !isWordChar(after))) {
+        depth = stack.length - 1;
+        while (stack[depth].type !== type) depth--;
+        if (stack[depth].start === index) depth = -1;
+      }
+
+      if (depth !== -1) {
+        flush();
+        unwind(depth);
+        const frame = stack.pop();
+        openCounts[type]--;
+        pushToken(stack[stack.length - 1], { type, children: frame.tokens });
+        index += marker.length;
+        plainStart = index;
+        continue;
+      }
+
+      if (isVisible(after) && (type !== 'italic' || !isWordChar(before))) {
+        flush();
+        stack.push({ type, marker, start: index + marker.length, tokens: [] });
+        openCounts[type]++;
+        index += marker.length;
+        plainStart = index;
+        continue;
+      }
+    }
+
+    index++;
+  }
+
+  flush();
+  unwind(0);
+  return root.tokens;
+};
+
+// Helper: split text into code blocks ({ type: 'codeBlock', text }) and inline tokens
+const parseBlocks = (text) => {
+  const blocks = [];
+  let last = 0;
+
+  while (last < text.length) {
+    const open = text.indexOf(CODE_FENCE, last);
+    const close = open === -1 ? -1 : text.indexOf(CODE_FENCE, open + CODE_FENCE.length);
+    if (close === -1) break;
+
+    // A newline just inside either fence belongs to the fence
+    let content = text.slice(open + CODE_FENCE.length, close);
+    if (content.startsWith('\n')) content = content.slice(1);
+    if (content.endsWith('\n')) content = content.slice(0, -1);
+
+    blocks.push(...parseInline(text.slice(last, open)));
+    blocks.push({ type: 'codeBlock', text: content });
+    last = close + CODE_FENCE.length;
+  }
+
+  blocks.push(...parseInline(text.slice(last)));
+  return blocks;
+};
+
+// Plain-text projection of formatted text: the words as they read, without markers
+const toPlainText = (text) => {
+  if (typeof text !== 'string') return text;
+
+  const flatten = (tokens) => tokens
+    .map(token => (token.children ? flatten(token.children) : token.text))
+    .join('');
+  return flatten(parseBlocks(text));
+};
+
+// The links in formatted text, in order, as the client shows them; links inside code
+// spans and code blocks are left out
+const findLinks = (text) => {
+  if (typeof text !== 'string') return [];
+
+  const links = [];
+  const collect = (tokens) => tokens.forEach(token => {
+    if (token.type === 'link') {
+      links.push(token.text);
+    } else if (token.children) {
+      collect(token.children);
+    }
+  });
+  collect(parseBlocks(text));
+  return links;
+};
+
+module.exports = {
+  toPlainText,
+  findLinks
+};
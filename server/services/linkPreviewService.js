@@ -0,0 +1,381 @@
+const http = require('http');
+const https = require('https');
+const dns = require('dns');
+const net = require('net');
+const db = require('../config/database');
+const formattingService = require('./formattingService');
+
+// Whole budget for fetching a page, redirects included
+const FETCH_TIMEOUT_MS = parseInt(process.env.LINK_PREVIEW_TIMEOUT_MS || '5000', 10);
+
+// Most of a page read looking for its metadata; the <head> is nearly always well inside this
+const MAX_RESPONSE_BYTES = 512 * 1024;
+const MAX_REDIRECTS = 3;
+const MAX_URL_LENGTH = 2048;
+
+// How long an unfurled page is reused, and how soon a page that couldn't be unfurled is tried again
+const CACHE_TTL_HOURS = parseInt(process.env.LINK_PREVIEW_CACHE_HOURS || '24', 10);
+const FAILURE_TTL_HOURS = 1;
+
+// Lengths kept of each field
+const MAX_TITLE_LENGTH = 300;
+const MAX_DESCRIPTION_LENGTH = 1000;
+const MAX_SITE_NAME_LENGTH = 200;
+
+// Only for development against services on this machine or the local network
+const ALLOW_PRIVATE_NETWORKS = (process.env.LINK_PREVIEW_ALLOW_PRIVATE_NETWORKS || '').toLowerCase() === 'true';
+
+// Addresses the server must never be made to fetch from: loopback, the private ranges
+// (10/8, 172.16/12 and 192.168/16, as in isOriginAllowed), link-local (cloud metadata
+// lives at 169.254.169.254), carrier-grade NAT, and reserved or multicast space.
+// IPv4-mapped IPv6 addresses are checked against the IPv4 rules.
+const BLOCKED_ADDRESSES = new net.BlockList();
+[
+  ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8], ['169.254.0.0', 16],
+  ['172.16.0.0', 12], ['192.0.0.0', 24], ['192.0.2.0', 24], ['192.168.0.0', 16], ['198.18.0.0', 15],
+  ['198.51.100.0', 24], ['203.0.113.0', 24], ['224.0.0.0', 4], ['240.0.0.0', 4]
+].forEach(([address, prefix]) => BLOCKED_ADDRESSES.addSubnet(address, prefix, 'ipv4'));
+[
+  ['::', 128], ['::1', 128], ['64:ff9b::', 96], ['100::', 64], ['2001:db8::', 32],
+  ['fc00::', 7], ['fe80::', 10], ['ff00::', 8]
+].forEach(([address, prefix]) => BLOCKED_ADDRESSES.addSubnet(address, prefix, 'ipv6'));
+
+// Punctuation after a link usually ends the sentence (or the formatting) rather than the link
+const TRAILING_PUNCTUATION = '.,;:!?\'"*_~`';
+
+// Helper: an error for a page that can't be unfurled
+const unfurlError = (message) => {
+  const error = new Error(message);
+  error.code = 'UNFURL_FAILED';
+  return error;
+};
+
+// Whether an IP address is one the server may connect to
+const isPublicAddress = (address) => {
+  const family = net.isIP(address);
+  if (family === 0) return false;
+  return !BLOCKED_ADDRESSES.check(address, family === 6 ? 'ipv6' : 'ipv4');
+};
+
+// Find the first http(s) link in formatted message text, skipping code spans and blocks.
+// Returns it normalized (without its #fragment), or null if there is none worth unfurling.
+const extractFirstUrl = (text) => {
+  const [link] = formattingService.findLinks(text);
+  if (!link) return null;
+
+  let end = link.length;
+  while (end > 0 && TRAILING_PUNCTUATION.includes(link[end - 1])) end--;
+
+  let candidate = link.slice(0, end);
+  if (candidate.endsWith(')') && !candidate.includes('(')) {
+    candidate = candidate.slice(0, -1);
+  }
+
+  let url;
+  try {
+    url = new URL(candidate);
+  } catch (error) {
+    return null;
+  }
+
+  if (url.username || url.password) return null;
+
+  url.hash = '';
+  const normalized = url.toString();
+  return normalized.length <= MAX_URL_LENGTH ? normalized : null;
+};
+
+// Helper: a DNS lookup that refuses names resolving to blocked addresses. Checking at
+// connect time, rather than before the request, means a name can't pass the check
+// and then be re-pointed at an internal address.
+const guardedLookup = (hostname, options, callback) => {
+  dns.lookup(hostname, { ...options, all: true }, (error, addresses) => {
+    if (error) return callback(error);
+
+    const allowed = addresses.filter(entry => isPublicAddress(entry.address));
+    if (allowed.length === 0) {
+      return callback(unfurlError(`${hostname} resolves to a private address`));
+    }
+
+    if (options.all) return callback(null, allowed);
+    callback(null, allowed[0].address, allowed[0].family);
+  });
+};
+
+// Helper: one GET request. Resolves with { status, headers, location } for redirects
+// and { status, headers, body } otherwise; the body is cut off at MAX_RESPONSE_BYTES.
+const request = (url, { allowPrivateNetworks, signal }) => new Promise((resolve, reject) => {
+  const transport = url.protocol === 'https:' ? https : http;
+  const req = transport.get(url, {
+    headers: {
+      'User-Agent': 'Mozilla/5.0 (compatible; WeChatAppLinkPreview/1.0)',
+      Accept: 'text/html,application/xhtml+xml',
+      'Accept-Encoding': 'identity'
+    },
+    lookup: allowPrivateNetworks ? undefined : guardedLookup,
+    signal
+  }, (res) => {
+    const { statusCode: status, headers } = res;
+
+    if (status >= 300 && status < 400 && headers.location) {
+      res.resume();
+      return resolve({ status, headers, location: headers.location });
+    }
+
+    const contentType = String(headers['content-type'] || '').toLowerCase();
+    if (status !== 200 || !/text\/html|application\/xhtml\+xml/.test(contentType)) {
+      res.resume();
+      return reject(unfurlError(`Not an HTML page (${status} ${contentType || 'no content type'})`));
+    }
+
+    const chunks = [];
+    let size = 0;
+    const finish = () => {
+      res.destroy();
+      resolve({ status, headers, body: Buffer.concat(chunks).subarray(0, MAX_RESPONSE_BYTES) });
+    };
+
+    res.on('data', (chunk) => {
+      chunks.push(chunk);
+      size += chunk.length;
+      // Everything needed is in the <head>; stop once it has arrived or the cap is hit
+      if (size >= MAX_RESPONSE_BYTES || chunk.includes('</head>')) finish();
+    });
+    res.on('end', finish);
+    res.on('error', reject);
+  });
+
+  req.on('error', reject);
+  // Covers a body that stalls part way through
+  signal.addEventListener('abort', () => reject(unfurlError('Request aborted')), { once: true });
+});
+
+// Helper: the character a numeric entity names; like browsers, U+FFFD for a code point
+// that isn't a character (zero, a surrogate or past U+10FFFF)
+const fromCodePoint = (code) => (
+  code > 0 && code <= 0x10ffff && !(code >= 0xd800 && code <= 0xdfff) ? String.fromCodePoint(code) : '\uFFFD'
+);
+
+// Helper: decode the HTML entities that turn up in titles and descriptions
+const decodeEntities = (text) => text
+  .replace(/&#x([0-9a-f]+);/gi, (entity, hex) => fromCodePoint(parseInt(hex, 16)))
+  .replace(/&#(\d+);/g, (entity, code) => fromCodePoint(parseInt(code, 10)))
+  .replace(/&(amp|lt|gt|quot|apos|nbsp);/g, (entity, name) => (
+    { amp: '&', lt: '<', gt: '>', quot: '"', apos: "'", nbsp: ' ' }[name]
+  ));
+
+// Helper: collapse whitespace and cap the length of a field, or null if it is empty
+const cleanText = (value, maxLength) => {
+  if (!value) return null;
+  const text = decodeEntities(value).replace(/\s+/g, ' ').trim();
+  if (!text) return null;
+  return text.length > maxLength ? `${text.slice(0, maxLength - 1)}…` : text;
+};
+
+// Helper: the attributes of an HTML tag as a lower-cased name -> value map
+const parseAttributes = (tag) => {
+  const attributes = {};
+  const pattern = /([a-z_:.-]+)\s*=\s*(?:"([^"]*)"|'([^']*)'|([^\s"'>]+))/gi;
+  let match;
+  while ((match = pattern.exec(tag)) !== null) {
+    attributes[match[1].toLowerCase()] = match[2] ?? match[3] ?? match[4];
+  }
+  return attributes;
+};
+
+// Read OpenGraph (falling back to Twitter card and plain HTML) metadata from a page.
+// Relative image URLs are resolved against `pageUrl`.
+const parseMetadata = (html, pageUrl) => {
+  const meta = {};
+  (html.match(/<meta\s[^>]*>/gi) || []).forEach(tag => {
+    const attributes = parseAttributes(tag);
+    const key = (attributes.property || attributes.name || '').toLowerCase();
+    if (key && attributes.content !== undefined && meta[key] === undefined) {
+      meta[key] = attributes.content;
+    }
+  });
+
+  const titleTag = html.match(/<title[^>]*>([^<]*)<\/title>/i);
+
+  let imageUrl = null;
+  const image = meta['og:image:secure_url'] || meta['og:image'] || meta['og:image:url'] || meta['twitter:image'];
+  if (image) {
+    try {
+      const resolved = new URL(decodeEntities(image.trim()), pageUrl);
+      if (['http:', 'https:'].includes(resolved.protocol) && resolved.toString().length <= MAX_URL_LENGTH) {
+        imageUrl = resolved.toString();
+      }
+    } catch (error) {
+      imageUrl = null;
+    }
+  }
+
+  return {
+    title: cleanText(meta['og:title'] || meta['twitter:title'] || (titleTag && titleTag[1]), MAX_TITLE_LENGTH),
+    description: cleanText(meta['og:description'] || meta['twitter:description'] || meta.description, MAX_DESCRIPTION_LENGTH),
+    imageUrl,
+    siteName: cleanText(meta['og:site_name'], MAX_SITE_NAME_LENGTH) || new URL(pageUrl).hostname
+  };
+};
+
+// Fetch a page and read its preview metadata, following a few redirects.
+// Private and internal addresses are refused unless `allowPrivateNetworks` is set
+// (LINK_PREVIEW_ALLOW_PRIVATE_NETWORKS=true), which lets this run against a local stub server.
+// Rejects with an UNFURL_FAILED error for anything that can't be previewed.
+const unfurl = async (rawUrl, { allowPrivateNetworks = ALLOW_PRIVATE_NETWORKS, timeoutMs = FETCH_TIMEOUT_MS } = {}) => {
+  const controller = new AbortController();
+  const timer = setTimeout(() => controller.abort(), timeoutMs);
+
+  try {
+    let url = new URL(rawUrl);
+
+    for (let redirects = 0; ; redirects++) {
+      if (!['http:', 'https:'].includes(url.protocol)) {
+        throw unfurlError(`Unsupported protocol ${url.protocol}`);
+      }
+
+      // A literal IP skips the DNS lookup, so it is checked here
+      const host = url.hostname.replace(/^\[|\]$/g, '');
+      if (!allowPrivateNetworks && net.isIP(host) && !isPublicAddress(host)) {
+        throw unfurlError(`${url.hostname} is a private address`);
+      }
+
+      let response;
+      try {
+        response = await request(url, { allowPrivateNetworks, signal: controller.signal });
+      } catch (error) {
+        if (controller.signal.aborted) throw unfurlError(`Timed out after ${timeoutMs}ms`);
+        throw error.code === 'UNFURL_FAILED' ? error : unfurlError(error.message);
+      }
+
+      if (!response.location) {
+        return { url: url.toString(), ...parseMetadata(response.body.toString('utf8'), url.toString()) };
+      }
+
+      if (redirects >= MAX_REDIRECTS) {
+        throw unfurlError('Too many redirects');
+      }
+      url = new URL(response.location, url);
+    }
+  } finally {
+    clearTimeout(timer);
+  }
+};
+
+// Columns of a cached preview, as stored
+const PREVIEW_COLUMNS = 'id, url, title, description, image_url, site_name, failed, fetched_at';
+
+// Unfurls running right now, keyed by URL, so a link sent to several chats is fetched once
+const inFlight = new Map();
+
+// Helper: unfurl a URL and store the result (or the failure) in the cache
+const fetchAndStore = async (url) => {
+  let preview = null;
+  try {
+    preview = await unfurl(url);
+  } catch (error) {
+    if (error.code !== 'UNFURL_FAILED') throw error;
+  }
+
+  // A page without a title has nothing worth showing
+  const usable = Boolean(preview && preview.title);
+
+  // A refresh that fails keeps the preview fetched before, so messages don't lose it
+  // while a site is briefly down
+  const onConflict = usable
+    ? `title = EXCLUDED.title, description = EXCLUDED.description, image_url = EXCLUDED.image_url,
+       site_name = EXCLUDED.site_name, failed = false, fetched_at = EXCLUDED.fetched_at`
+    : 'fetched_at = EXCLUDED.fetched_at';
+
+  const result = await db.query(`
+    INSERT INTO link_previews (url, title, description, image_url, site_name, failed, fetched_at)
+    VALUES ($1, $2, $3, $4, $5, $6, CURRENT_TIMESTAMP)
+    ON CONFLICT (url) DO UPDATE SET ${onConflict}
+    RETURNING ${PREVIEW_COLUMNS}
+  `, [
+    url,
+    usable ? preview.title : null,
+    usable ? preview.description : null,
+    usable ? preview.imageUrl : null,
+    usable ? preview.siteName : null,
+    !usable
+  ]);
+
+  return result.rows[0];
+};
+
+// Get the preview for a URL from the cache, unfurling it if it isn't cached or has expired.
+// Returns the link_previews row, or null if the page has no preview.
+const getPreview = async (url) => {
+  const cached = await db.query(`
+    SELECT ${PREVIEW_COLUMNS}
+    FROM link_previews
+    WHERE url = $1
+      AND fetched_at > CURRENT_TIMESTAMP - (CASE WHEN failed THEN $2::int ELSE $3::int END) * INTERVAL '1 hour'
+  `, [url, FAILURE_TTL_HOURS, CACHE_TTL_HOURS]);
+
+  let row = cached.rows[0];
+  if (!row) {
+    if (!inFlight.has(url)) {
+      inFlight.set(url, fetchAndStore(url).finally(() => inFlight.delete(url)));
+    }
+    row = await inFlight.get(url);
+  }
+
+  return row.failed ? null : row;
+};
+
+// Get a cached preview by id (null if there is none)
+const getPreviewById = async (previewId) => {
+  const result = await db.query(
+    `SELECT ${PREVIEW_COLUMNS} FROM link_previews WHERE id = $1 AND NOT failed`,
+    [previewId]
+  );
+  return result.rows[0] || null;
+};
+
+// Preview in the camelCase shape used by socket payloads
+const toLinkPreview = (preview) => (preview ? {
+  url: preview.url,
+  title: preview.title,
+  description: preview.description,
+  imageUrl: preview.image_url,
+  siteName: preview.site_name
+} : null);
+
+// Point a message at the preview of the first link in its text (or at none).
+// `content` is the text the preview was made for; if the message has since been edited
+// or recalled nothing changes. Returns the link_preview payload, or null if nothing changed.
+const attachPreview = async (messageId, content) => {
+  const url = extractFirstUrl(content);
+  const preview = url ? await getPreview(url) : null;
+
+  const result = await db.query(`
+    UPDATE messages
+    SET link_preview_id = $2
+    WHERE id = $1 AND content = $3 AND recalled_at IS NULL
+      AND link_preview_id IS DISTINCT FROM $2
+    RETURNING conversation_id
+  `, [messageId, preview ? preview.id : null, content]);
+
+  if (result.rows.length === 0) {
+    return null;
+  }
+
+  return {
+    messageId,
+    conversationId: result.rows[0].conversation_id,
+    linkPreview: toLinkPreview(preview)
+  };
+};
+
+module.exports = {
+  isPublicAddress,
+  extractFirstUrl,
+  parseMetadata,
+  unfurl,
+  getPreview,
+  getPreviewById,
+  toLinkPreview,
+  attachPreview
+};
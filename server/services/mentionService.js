@@ -0,0 +1,105 @@
+const db = require('../config/database');
+const messageService = require('./messageService');
+const conversationStateService = require('./conversationStateService');
+
+// @all reaches every member; only group admins may use it
+const MENTION_ALL = 'all';
+
+// Candidate @tokens in a message, with and without trailing punctuation
+const parseMentionTokens = (content) => {
+  const tokens = new Set();
+  const pattern = /(^|\s)@([^\s@]+)/g;
+  let match;
+
+  while ((match = pattern.exec(content)) !== null) {
+    tokens.add(match[2]);
+    tokens.add(match[2].replace(/[.,!?;:)\]]+$/, ''));
+  }
+
+  tokens.delete('');
+  return tokens;
+};
+
+// Whether a message uses @all
+const mentionsAll = (content) => Boolean(content) && parseMentionTokens(content).has(MENTION_ALL);
+
+// Work out who a group message mentions.
+// Returns { userIds, all }; individual chats never mention anyone.
+const resolveMentions = async (conversationId, senderId, content) => {
+  const none = { userIds: [], all: false };
+  if (!content) return none;
+
+  const tokens = parseMentionTokens(content);
+  if (tokens.size === 0) return none;
+
+  const conversationResult = await db.query(
+    'SELECT type, group_id FROM conversations WHERE id = $1',
+    [conversationId]
+  );
+  const conversation = conversationResult.rows[0];
+  if (!conversation || conversation.type !== 'group') return none;
+
+  const members = await db.query(`
+    SELECT u.id, u.username, gm.role
+    FROM group_members gm
+    JOIN users u ON gm.user_id = u.id
+    WHERE gm.group_id = $1
+  `, [conversation.group_id]);
+
+  const all = tokens.has(MENTION_ALL);
+  if (all) {
+    const sender = members.rows.find(member => member.id === senderId);
+    if (!sender || sender.role !== 'admin') {
+      throw messageService.serviceError(403, 'Only group admins can mention @all');
+    }
+  }
+
+  const userIds = members.rows
+    .filter(member => member.id !== senderId && (all || tokens.has(member.username)))
+    .map(member => member.id);
+
+  return { userIds, all };
+};
+
+// Store who a message mentions
+const recordMentions = async (messageId, userIds) => {
+  if (userIds.length === 0) return;
+
+  await db.query(`
+    INSERT INTO message_mentions (message_id, user_id)
+    SELECT $1, unnest($2::int[])
+    ON CONFLICT (message_id, user_id) DO NOTHING
+  `, [messageId, userIds]);
+
+  await conversationStateService.markMentioned(messageId, userIds);
+};
+
+// Of the given messages, those that mention a user
+const getMentionedMessageIds = async (userId, messageIds) => {
+  if (messageIds.length === 0) return [];
+
+  const result = await db.query(
+    'SELECT message_id FROM message_mentions WHERE user_id = $1 AND message_id = ANY($2)',
+    [userId, messageIds]
+  );
+
+  return result.rows.map(row => row.message_id);
+};
+
+// Payload of the `mentioned` event sent to each mentioned user
+const toMentionEvent = (messageData) => ({
+  messageId: messageData.id,
+  conversationId: messageData.conversationId,
+  senderId: messageData.senderId,
+  senderName: messageData.sender.displayName,
+  content: messageData.plainContent,
+  all: mentionsAll(messageData.plainContent),
+  createdAt: messageData.createdAt
+});
+
+module.exports = {
+  resolveMentions,
+  recordMentions,
+  getMentionedMessageIds,
+  toMentionEvent
+};
@@ -0,0 +1,736 @@
+const db = require('../config/database');
+const attachmentService = require('./attachmentService');
+const conversationStateService = require('./conversationStateService');
+const userService = require('./userService');
+const linkPreviewService = require('./linkPreviewService');
+const formattingService = require('./formattingService');
+
+// How long after sending a message its sender may still edit it
+const EDIT_WINDOW_MINUTES = parseInt(process.env.MESSAGE_EDIT_WINDOW_MINUTES || '15', 10);
+
+// How long after sending a message its sender may still recall it for everyone
+const RECALL_WINDOW_MINUTES = parseInt(process.env.MESSAGE_RECALL_WINDOW_MINUTES || '2', 10);
+
+// Longest text a message may carry; formatting is parsed on every send, edit and render
+const MAX_MESSAGE_LENGTH = 5000;
+
+// Limits on a single forward request
+const MAX_FORWARD_MESSAGES = 50;
+const MAX_FORWARD_TARGETS = 10;
+
+// Helper: create an error that carries the HTTP status to report to the client
+const serviceError = (status, message) => {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+};
+
+// Helper: minutes elapsed since a timestamp
+const minutesSince = (timestamp) => (Date.now() - new Date(timestamp).getTime()) / (60 * 1000);
+
+// Check whether a user is a participant or group member of a conversation
+const canAccessConversation = async (conversationId, userId) => {
+  const accessCheck = await db.query(`
+    SELECT c.id
+    FROM conversations c
+    LEFT JOIN conversation_participants cp ON c.id = cp.conversation_id
+    LEFT JOIN group_members gm ON c.group_id = gm.group_id
+    WHERE c.id = $1 AND (cp.user_id = $2 OR gm.user_id = $2)
+  `, [conversationId, userId]);
+
+  return accessCheck.rows.length > 0;
+};
+
+// Columns needed to build a new_message payload
+const MESSAGE_PAYLOAD_COLUMNS = `
+  id, conversation_id, sender_id, content, plain_content, message_type, reply_to,
+  file_url, file_name, file_size, duration_ms, waveform, latitude, longitude, card_user_id, link_preview_id, client_message_id,
+  forwarded_from_user_id, forwarded_from_message_id, created_at
+`;
+
+// Summaries of quoted messages, keyed by id
+const getReplySummaries = async (messageIds) => {
+  const replies = new Map();
+  if (messageIds.length === 0) {
+    return replies;
+  }
+
+  const replyResult = await db.query(`
+    SELECT
+      rm.id,
+      rm.conversation_id,
+      rm.content,
+      rm.message_type,
+      rm.file_name,
+      rm.recalled_at,
+      ru.display_name as sender_name
+    FROM messages rm
+    JOIN users ru ON rm.sender_id = ru.id
+    WHERE rm.id = ANY($1)
+  `, [messageIds]);
+
+  replyResult.rows.forEach(reply => replies.set(reply.id, reply));
+  return replies;
+};
+
+// Quote summary in the camelCase shape used by socket payloads
+const toReplySummary = (reply) => (reply ? {
+  id: reply.id,
+  content: reply.content,
+  messageType: reply.message_type,
+  fileName: reply.file_name,
+  recalledAt: reply.recalled_at,
+  senderName: reply.sender_name
+} : null);
+
+// How many transcript lines a chat_history card shows
+const HISTORY_PREVIEW_ITEMS = 4;
+
+// Item count and first few lines of chat_history messages, keyed by id
+const getHistoryPreviews = async (messageIds) => {
+  const previews = new Map();
+  if (messageIds.length === 0) {
+    return previews;
+  }
+
+  const itemResult = await db.query(`
+    SELECT message_id, sender_name, content, message_type, file_name, item_count
+    FROM (
+      SELECT
+        chi.*,
+        ROW_NUMBER() OVER (PARTITION BY chi.message_id ORDER BY chi.position) as row_number,
+        COUNT(*) OVER (PARTITION BY chi.message_id) as item_count
+      FROM chat_history_items chi
+      WHERE chi.message_id = ANY($1)
+    ) items
+    WHERE row_number <= $2
+    ORDER BY message_id, row_number
+  `, [messageIds, HISTORY_PREVIEW_ITEMS]);
+
+  itemResult.rows.forEach(item => {
+    if (!previews.has(item.message_id)) {
+      previews.set(item.message_id, { count: parseInt(item.item_count), preview: [] });
+    }
+    previews.get(item.message_id).preview.push({
+      sender_name: item.sender_name,
+      content: item.content,
+      message_type: item.message_type,
+      file_name: item.file_name
+    });
+  });
+
+  return previews;
+};
+
+// chat_history preview in the camelCase shape used by socket payloads
+const toHistoryPreview = (history) => (history ? {
+  count: history.count,
+  preview: history.preview.map(item => ({
+    senderName: item.sender_name,
+    content: item.content,
+    messageType: item.message_type,
+    fileName: item.file_name
+  }))
+} : null);
+
+// Insert a message and build the payload broadcast as new_message.
+// A repeated clientMessageId from the same sender returns the stored message
+// with `duplicate: true` instead of inserting it again.
+// `forwardedFrom` ({ userId, messageId }) marks a copy of someone else's message.
+// `voice` ({ durationMs, waveform }) goes with a voice message's audio file and
+// `location` ({ latitude, longitude }) with a location message, whose content is the place label,
+// `cardUserId` names the user a contact_card message shares, and `linkPreviewId` reuses a
+// preview already made for the text (new messages get theirs from linkPreviewService.attachPreview).
+const createMessage = async ({ conversationId, senderId, content = null, messageType = 'text', replyTo = null, file = null, voice = null, location = null, cardUserId = null, linkPreviewId = null, clientMessageId = null, forwardedFrom = null }) => {
+  // Only messages from the same conversation can be quoted
+  const replies = await getReplySummaries(replyTo ? [replyTo] : []);
+  const reply = replies.get(replyTo);
+  if (replyTo && (!reply || reply.conversation_id !== parseInt(conversationId))) {
+    throw serviceError(400, 'Quoted message not found in this conversation');
+  }
+
+  const messageResult = await db.query(`
+    INSERT INTO messages (
+      conversation_id, sender_id, content, plain_content, message_type, reply_to, file_url, file_name, file_size,
+      duration_ms, waveform, latitude, longitude, card_user_id, link_preview_id, client_message_id,
+      forwarded_from_user_id, forwarded_from_message_id
+    )
+    VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15, $16, $17, $18)
+    ON CONFLICT (sender_id, client_message_id) WHERE client_message_id IS NOT NULL DO NOTHING
+    RETURNING ${MESSAGE_PAYLOAD_COLUMNS}
+  `, [
+    conversationId,
+    senderId,
+    content,
+    // Only typed text carries formatting; captions and labels are stored as they are
+    messageType === 'text' ? formattingService.toPlainText(content) : content,
+    messageType,
+    replyTo || null,
+    file ? file.url : null,
+    file ? file.name : null,
+    file ? file.size : null,
+    voice ? voice.durationMs : null,
+    voice ? voice.waveform : null,
+    location ? location.latitude : null,
+    location ? location.longitude : null,
+    cardUserId,
+    linkPreviewId,
+    clientMessageId || null,
+    forwardedFrom ? forwardedFrom.userId : null,
+    forwardedFrom ? forwardedFrom.messageId : null
+  ]);
+
+  let message = messageResult.rows[0];
+  const duplicate = !message;
+
+  if (duplicate) {
+    const existingResult = await db.query(
+      `SELECT ${MESSAGE_PAYLOAD_COLUMNS} FROM messages WHERE sender_id = $1 AND client_message_id = $2`,
+      [senderId, clientMessageId]
+    );
+    message = existingResult.rows[0];
+  } else {
+    // Update conversation timestamp
+    await db.query(
+      'UPDATE conversations SET updated_at = CURRENT_TIMESTAMP WHERE id = $1',
+      [conversationId]
+    );
+
+    await conversationStateService.recordMessage({
+      id: message.id,
+      conversationId: message.conversation_id,
+      senderId
+    });
+  }
+
+  // Get sender info
+  const senderResult = await db.query(
+    'SELECT username, display_name, avatar_url FROM users WHERE id = $1',
+    [senderId]
+  );
+  const sender = senderResult.rows[0];
+
+  let forwardedFromName = null;
+  if (message.forwarded_from_user_id) {
+    const originalSender = await db.query(
+      'SELECT display_name FROM users WHERE id = $1',
+      [message.forwarded_from_user_id]
+    );
+    forwardedFromName = originalSender.rows[0]?.display_name || null;
+  }
+
+  // The card goes to every member, so it is built as someone with no relationship to the user sees it
+  let contactCard = null;
+  if (message.card_user_id) {
+    const cards = await userService.getContactCards(null, [message.card_user_id]);
+    contactCard = userService.toContactCard(cards.get(message.card_user_id), { withContactStatus: false });
+  }
+
+  const linkPreview = message.link_preview_id
+    ? await linkPreviewService.getPreviewById(message.link_preview_id)
+    : null;
+
+  return {
+    id: message.id,
+    conversationId: message.conversation_id,
+    senderId,
+    sender: {
+      username: sender.username,
+      displayName: sender.display_name,
+      avatarUrl: sender.avatar_url
+    },
+    content: message.content,
+    plainContent: message.plain_content,
+    messageType: message.message_type,
+    replyTo: message.reply_to,
+    replyMessage: toReplySummary(message.reply_to === replyTo ? reply : null),
+    fileUrl: message.file_url ? attachmentService.signAttachmentUrl(message.id) : null,
+    fileName: message.file_name,
+    fileSize: message.file_size,
+    durationMs: message.duration_ms,
+    waveform: message.waveform,
+    latitude: message.latitude,
+    longitude: message.longitude,
+    contactCard,
+    linkPreview: linkPreviewService.toLinkPreview(linkPreview),
+    clientMessageId: message.client_message_id,
+    forwardedFrom: message.forwarded_from_user_id ? {
+      userId: message.forwarded_from_user_id,
+      displayName: forwardedFromName
+    } : null,
+    createdAt: message.created_at,
+    duplicate
+  };
+};
+
+// Helper: unique positive integers from a request array
+const toIdList = (values) =>
+  [...new Set((Array.isArray(values) ? values : []).map(value => parseInt(value)).filter(value => value > 0))];
+
+// Load messages to forward and check the user can read all of them and post to every target.
+// Messages the user deleted for themselves are no longer theirs to share, so they count as missing.
+// Sources come back oldest first with their sender's display name.
+const loadForwardSources = async (userId, messageIds, conversationIds) => {
+  const ids = toIdList(messageIds);
+  const targets = toIdList(conversationIds);
+
+  if (ids.length === 0 || targets.length === 0) {
+    throw serviceError(400, 'Messages and target conversations are required');
+  }
+
+  if (ids.length > MAX_FORWARD_MESSAGES || targets.length > MAX_FORWARD_TARGETS) {
+    throw serviceError(400, `Forward at most ${MAX_FORWARD_MESSAGES} messages to ${MAX_FORWARD_TARGETS} conversations at a time`);
+  }
+
+  const sourceResult = await db.query(`
+    SELECT m.id, m.conversation_id, m.sender_id, m.content, m.message_type, m.file_url, m.file_name, m.file_size,
+           m.duration_ms, m.waveform, m.latitude, m.longitude, m.card_user_id, m.link_preview_id, m.recalled_at, m.forwarded_from_user_id, m.created_at, u.display_name as sender_name
+    FROM messages m
+    JOIN users u ON m.sender_id = u.id
+    LEFT JOIN message_hidden mh ON m.id = mh.message_id AND mh.user_id = $2
+    WHERE m.id = ANY($1) AND mh.id IS NULL
+    ORDER BY m.id ASC
+  `, [ids, userId]);
+
+  const sources = sourceResult.rows;
+  if (sources.length !== ids.length) {
+    throw serviceError(404, 'Message not found');
+  }
+
+  for (const conversationId of new Set(sources.map(source => source.conversation_id))) {
+    if (!(await canAccessConversation(conversationId, userId))) {
+      throw serviceError(403, 'Access denied to this conversation');
+    }
+  }
+
+  if (sources.some(source => source.recalled_at)) {
+    throw serviceError(400, 'Recalled messages cannot be forwarded');
+  }
+
+  for (const conversationId of targets) {
+    if (!(await canAccessConversation(conversationId, userId))) {
+      throw serviceError(403, 'Access denied to target conversation');
+    }
+  }
+
+  return { sources, targets };
+};
+
+// Copy messages into other conversations, keeping who originally wrote them.
+// Attachment copies point at the same stored file; access is checked per message.
+// Returns the new_message payloads in the order they were created.
+const forwardMessages = async (userId, messageIds, conversationIds) => {
+  const { sources, targets } = await loadForwardSources(userId, messageIds, conversationIds);
+
+  const forwarded = [];
+  for (const conversationId of targets) {
+    for (const source of sources) {
+      const { duplicate, ...messageData } = await createMessage({
+        conversationId,
+        senderId: userId,
+        content: source.content,
+        messageType: source.message_type,
+        file: source.file_url ? { url: source.file_url, name: source.file_name, size: source.file_size } : null,
+        voice: source.message_type === 'voice' ? { durationMs: source.duration_ms, waveform: source.waveform } : null,
+        location: source.message_type === 'location' ? { latitude: source.latitude, longitude: source.longitude } : null,
+        cardUserId: source.card_user_id,
+        linkPreviewId: source.link_preview_id,
+        // Forwarding a forward still credits the original author
+        forwardedFrom: {
+          userId: source.forwarded_from_user_id || source.sender_id,
+          messageId: source.id
+        }
+      });
+
+      // A forwarded chat history carries its transcript along
+      if (source.message_type === 'chat_history') {
+        await db.query(`
+          INSERT INTO chat_history_items (
+            message_id, position, source_message_id, sender_id, sender_name,
+            content, message_type, file_url, file_name, file_size, sent_at
+          )
+          SELECT $1, position, source_message_id, sender_id, sender_name,
+                 content, message_type, file_url, file_name, file_size, sent_at
+          FROM chat_history_items
+          WHERE message_id = $2
+        `, [messageData.id, source.id]);
+
+        const histories = await getHistoryPreviews([messageData.id]);
+        messageData.chatHistory = toHistoryPreview(histories.get(messageData.id));
+      }
+
+      forwarded.push(messageData);
+    }
+  }
+
+  return forwarded;
+};
+
+// Edit a message's content, keeping the previous version in message_edits
+const editMessage = async (userId, messageId, content) => {
+  const newContent = typeof content === 'string' ? content.trim() : '';
+
+  if (!newContent) {
+    throw serviceError(400, 'Message content is required');
+  }
+
+  if (newContent.length > MAX_MESSAGE_LENGTH) {
+    throw serviceError(400, `Messages can be at most ${MAX_MESSAGE_LENGTH} characters`);
+  }
+
+  const client = await db.getClient();
+
+  try {
+    await client.query('BEGIN');
+
+    const messageResult = await client.query(
+      'SELECT id, conversation_id, sender_id, content, message_type, recalled_at, forwarded_from_user_id, created_at FROM messages WHERE id = $1 FOR UPDATE',
+      [messageId]
+    );
+
+    if (messageResult.rows.length === 0) {
+      throw serviceError(404, 'Message not found');
+    }
+
+    const message = messageResult.rows[0];
+
+    if (message.sender_id !== userId) {
+      throw serviceError(403, 'You can only edit your own messages');
+    }
+
+    if (!(await canAccessConversation(message.conversation_id, userId))) {
+      throw serviceError(403, 'Access denied to this conversation');
+    }
+
+    if (message.recalled_at) {
+      throw serviceError(400, 'Recalled messages cannot be edited');
+    }
+
+    if (message.message_type !== 'text') {
+      throw serviceError(400, 'Only text messages can be edited');
+    }
+
+    // A forwarded copy quotes someone else's words
+    if (message.forwarded_from_user_id) {
+      throw serviceError(400, 'Forwarded messages cannot be edited');
+    }
+
+    if (EDIT_WINDOW_MINUTES > 0 && minutesSince(message.created_at) > EDIT_WINDOW_MINUTES) {
+      throw serviceError(400, `Messages can only be edited within ${EDIT_WINDOW_MINUTES} minutes of sending`);
+    }
+
+    if (message.content === newContent) {
+      throw serviceError(400, 'Message content is unchanged');
+    }
+
+    // Store the version being replaced
+    await client.query(
+      'INSERT INTO message_edits (message_id, content) VALUES ($1, $2)',
+      [messageId, message.content]
+    );
+
+    const updateResult = await client.query(`
+      UPDATE messages
+      SET content = $1, plain_content = $2, edited_at = CURRENT_TIMESTAMP, updated_at = CURRENT_TIMESTAMP
+      WHERE id = $3
+      RETURNING plain_content, edited_at
+    `, [newContent, formattingService.toPlainText(newContent), messageId]);
+
+    await client.query('COMMIT');
+
+    return {
+      messageId: message.id,
+      conversationId: message.conversation_id,
+      content: newContent,
+      plainContent: updateResult.rows[0].plain_content,
+      previousContent: message.content,
+      editedAt: updateResult.rows[0].edited_at
+    };
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  } finally {
+    client.release();
+  }
+};
+
+// Recall a message for everyone, leaving a tombstone in its place
+const recallMessage = async (userId, messageId) => {
+  const messageResult = await db.query(
+    'SELECT id, conversation_id, sender_id, recalled_at, created_at FROM messages WHERE id = $1',
+    [messageId]
+  );
+
+  if (messageResult.rows.length === 0) {
+    throw serviceError(404, 'Message not found');
+  }
+
+  const message = messageResult.rows[0];
+
+  if (message.sender_id !== userId) {
+    throw serviceError(403, 'You can only recall your own messages');
+  }
+
+  if (!(await canAccessConversation(message.conversation_id, userId))) {
+    throw serviceError(403, 'Access denied to this conversation');
+  }
+
+  if (message.recalled_at) {
+    throw serviceError(400, 'Message has already been recalled');
+  }
+
+  if (RECALL_WINDOW_MINUTES > 0 && minutesSince(message.created_at) > RECALL_WINDOW_MINUTES) {
+    throw serviceError(400, `Messages can only be recalled within ${RECALL_WINDOW_MINUTES} minutes of sending`);
+  }
+
+  const client = await db.getClient();
+
+  try {
+    await client.query('BEGIN');
+
+    // Drop the content, earlier versions, reactions, pins, any bundled transcript and voice plays so nothing of the message survives
+    const updateResult = await client.query(`
+      UPDATE messages
+      SET content = NULL, plain_content = NULL, file_url = NULL, file_name = NULL, file_size = NULL,
+          duration_ms = NULL, waveform = NULL, latitude = NULL, longitude = NULL, card_user_id = NULL, link_preview_id = NULL, recalled_at = CURRENT_TIMESTAMP, updated_at = CURRENT_TIMESTAMP
+      WHERE id = $1
+      RETURNING recalled_at
+    `, [messageId]);
+
+    await client.query('DELETE FROM message_edits WHERE message_id = $1', [messageId]);
+    await client.query('DELETE FROM message_reactions WHERE message_id = $1', [messageId]);
+    await client.query('DELETE FROM pinned_messages WHERE message_id = $1', [messageId]);
+    await client.query('DELETE FROM chat_history_items WHERE message_id = $1', [messageId]);
+    await client.query('DELETE FROM voice_plays WHERE message_id = $1', [messageId]);
+
+    await conversationStateService.recordRecall({
+      messageId: message.id,
+      conversationId: message.conversation_id,
+      senderId: message.sender_id
+    }, client);
+
+    await client.query('COMMIT');
+
+    return {
+      messageId: message.id,
+      conversationId: message.conversation_id,
+      senderId: message.sender_id,
+      recalledAt: updateResult.rows[0].recalled_at
+    };
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  } finally {
+    client.release();
+  }
+};
+
+// Hide a message for a single user ("delete for me")
+const hideMessage = async (userId, messageId) => {
+  const messageResult = await db.query(
+    'SELECT id, conversation_id FROM messages WHERE id = $1',
+    [messageId]
+  );
+
+  if (messageResult.rows.length === 0) {
+    throw serviceError(404, 'Message not found');
+  }
+
+  const message = messageResult.rows[0];
+
+  if (!(await canAccessConversation(message.conversation_id, userId))) {
+    throw serviceError(403, 'Access denied to this conversation');
+  }
+
+  const hidden = await db.query(`
+    INSERT INTO message_hidden (message_id, user_id)
+    VALUES ($1, $2)
+    ON CONFLICT (message_id, user_id) DO NOTHING
+  `, [messageId, userId]);
+
+  if (hidden.rowCount > 0) {
+    await conversationStateService.recordHidden(userId, message.id);
+  }
+
+  return {
+    messageId: message.id,
+    conversationId: message.conversation_id
+  };
+};
+
+// Add reply previews, edit history, chat history previews, contact cards (as `userId` may see them)
+// and signed attachment URLs to message rows
+const decorateMessages = async (rows, userId) => {
+  const editHistory = await getEditHistory(
+    rows.filter(message => message.edited_at).map(message => message.id)
+  );
+
+  const replies = await getReplySummaries(
+    [...new Set(rows.filter(message => message.reply_to).map(message => message.reply_to))]
+  );
+
+  const histories = await getHistoryPreviews(
+    rows.filter(message => message.message_type === 'chat_history').map(message => message.id)
+  );
+
+  const cards = await userService.getContactCards(
+    userId,
+    [...new Set(rows.filter(message => message.card_user_id).map(message => message.card_user_id))]
+  );
+
+  return rows.map(message => ({
+    ...message,
+    file_url: message.file_url ? attachmentService.signAttachmentUrl(message.id) : null,
+    is_edited: Boolean(message.edited_at),
+    is_recalled: Boolean(message.recalled_at),
+    edit_history: editHistory.get(message.id) || [],
+    reply_message: message.reply_to ? replies.get(message.reply_to) || null : null,
+    chat_history: histories.get(message.id) || null,
+    contact_card: message.card_user_id ? cards.get(message.card_user_id) || null : null
+  }));
+};
+
+// Get a page of conversation messages visible to a user, oldest first.
+// Without a cursor the newest page is returned; `before`/`after` page by message id.
+const getConversationMessages = async (userId, conversationId, { before = null, after = null, limit = 50 } = {}) => {
+  const pageSize = Math.min(Math.max(parseInt(limit) || 50, 1), 100);
+  const params = [conversationId, userId];
+  let cursorFilter = '';
+
+  if (before) {
+    params.push(before);
+    cursorFilter = `AND m.id < $${params.length}`;
+  } else if (after) {
+    params.push(after);
+    cursorFilter = `AND m.id > $${params.length}`;
+  }
+
+  // Walk forward from an `after` cursor, otherwise backwards from the newest message
+  const direction = after ? 'ASC' : 'DESC';
+  params.push(pageSize + 1);
+
+  const messages = await db.query(`
+    SELECT
+      m.id,
+      m.content,
+      m.message_type,
+      m.file_url,
+      m.file_name,
+      m.file_size,
+      m.duration_ms,
+      m.waveform,
+      vp.played_at,
+      m.latitude,
+      m.longitude,
+      m.card_user_id,
+      CASE WHEN lp.id IS NOT NULL THEN json_build_object(
+        'url', lp.url, 'title', lp.title, 'description', lp.description,
+        'image_url', lp.image_url, 'site_name', lp.site_name
+      ) END as link_preview,
+      m.reply_to,
+      m.edited_at,
+      m.recalled_at,
+      m.client_message_id,
+      m.forwarded_from_user_id,
+      fu.display_name as forwarded_from_name,
+      m.created_at,
+      u.id as sender_id,
+      u.username as sender_username,
+      u.display_name as sender_name,
+      u.avatar_url as sender_avatar,
+      CASE WHEN mr.id IS NOT NULL THEN true ELSE false END as is_read
+    FROM messages m
+    JOIN users u ON m.sender_id = u.id
+    LEFT JOIN users fu ON m.forwarded_from_user_id = fu.id
+    LEFT JOIN message_reads mr ON m.id = mr.message_id AND mr.user_id = $2
+    LEFT JOIN message_hidden mh ON m.id = mh.message_id AND mh.user_id = $2
+    LEFT JOIN voice_plays vp ON m.id = vp.message_id AND vp.user_id = $2
+    LEFT JOIN link_previews lp ON m.link_preview_id = lp.id AND NOT lp.failed
+    WHERE m.conversation_id = $1 AND mh.id IS NULL ${cursorFilter}
+    ORDER BY m.id ${direction}
+    LIMIT $${params.length}
+  `, params);
+
+  // One extra row tells us whether another page exists
+  const hasMore = messages.rows.length > pageSize;
+  const rows = messages.rows.slice(0, pageSize);
+
+  if (direction === 'DESC') {
+    rows.reverse(); // Reverse to show oldest first
+  }
+
+  return {
+    messages: await decorateMessages(rows, userId),
+    hasMore
+  };
+};
+
+// Get the messages around one message (older ones, the message itself, then newer ones),
+// for opening a conversation at a search hit or mention.
+// `hasMore` and `hasNewer` say whether there are further pages on either side.
+const getMessageContext = async (userId, conversationId, messageId, { limit = 25 } = {}) => {
+  const targetResult = await db.query(`
+    SELECT m.id
+    FROM messages m
+    LEFT JOIN message_hidden mh ON m.id = mh.message_id AND mh.user_id = $3
+    WHERE m.id = $1 AND m.conversation_id = $2 AND mh.id IS NULL
+  `, [messageId, conversationId, userId]);
+
+  if (targetResult.rows.length === 0) {
+    throw serviceError(404, 'Message not found in this conversation');
+  }
+
+  // The older page includes the target itself
+  const older = await getConversationMessages(userId, conversationId, { before: messageId + 1, limit: limit + 1 });
+  const newer = await getConversationMessages(userId, conversationId, { after: messageId, limit });
+
+  return {
+    messages: [...older.messages, ...newer.messages],
+    hasMore: older.hasMore,
+    hasNewer: newer.hasMore
+  };
+};
+
+// Get the previous versions of a message, oldest first
+const getEditHistory = async (messageIds) => {
+  if (messageIds.length === 0) {
+    return new Map();
+  }
+
+  const edits = await db.query(`
+    SELECT message_id, content, edited_at
+    FROM message_edits
+    WHERE message_id = ANY($1)
+    ORDER BY edited_at ASC, id ASC
+  `, [messageIds]);
+
+  const history = new Map();
+  edits.rows.forEach(edit => {
+    if (!history.has(edit.message_id)) {
+      history.set(edit.message_id, []);
+    }
+    history.get(edit.message_id).push({ content: edit.content, edited_at: edit.edited_at });
+  });
+
+  return history;
+};
+
+module.exports = {
+  EDIT_WINDOW_MINUTES,
+  RECALL_WINDOW_MINUTES,
+  MAX_MESSAGE_LENGTH,
+  HISTORY_PREVIEW_ITEMS,
+  serviceError,
+  canAccessConversation,
+  toReplySummary,
+  toHistoryPreview,
+  createMessage,
+  loadForwardSources,
+  forwardMessages,
+  editMessage,
+  recallMessage,
+  hideMessage,
+  getConversationMessages,
+  getMessageContext,
+  getEditHistory
+};
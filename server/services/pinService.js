@@ -0,0 +1,135 @@
+const db = require('../config/database');
+const messageService = require('./messageService');
+
+// Columns describing a pinned message, for the list endpoint and broadcasts
+const PIN_COLUMNS = `
+  m.id,
+  m.conversation_id,
+  m.plain_content as content,
+  m.message_type,
+  m.file_name,
+  m.created_at,
+  su.display_name as sender_name,
+  pm.pinned_by,
+  pu.display_name as pinned_by_name,
+  pm.pinned_at
+`;
+
+const PIN_JOINS = `
+  FROM pinned_messages pm
+  JOIN messages m ON pm.message_id = m.id
+  JOIN users su ON m.sender_id = su.id
+  LEFT JOIN users pu ON pm.pinned_by = pu.id
+`;
+
+// Participants of individual chats can pin; in groups only admins can
+const canPin = async (conversationId, userId) => {
+  const result = await db.query(`
+    SELECT c.type, cp.user_id as participant_id, gm.role
+    FROM conversations c
+    LEFT JOIN conversation_participants cp ON c.id = cp.conversation_id AND cp.user_id = $2
+    LEFT JOIN group_members gm ON c.group_id = gm.group_id AND gm.user_id = $2
+    WHERE c.id = $1
+  `, [conversationId, userId]);
+
+  const row = result.rows[0];
+  if (!row) return false;
+
+  return row.type === 'group' ? row.role === 'admin' : Boolean(row.participant_id);
+};
+
+// Load a message and check the user may change its pin
+const getPinnableMessage = async (userId, messageId) => {
+  const messageResult = await db.query(
+    'SELECT id, conversation_id, recalled_at FROM messages WHERE id = $1',
+    [messageId]
+  );
+
+  if (messageResult.rows.length === 0) {
+    throw messageService.serviceError(404, 'Message not found');
+  }
+
+  const message = messageResult.rows[0];
+
+  if (!(await messageService.canAccessConversation(message.conversation_id, userId))) {
+    throw messageService.serviceError(403, 'Access denied to this conversation');
+  }
+
+  if (!(await canPin(message.conversation_id, userId))) {
+    throw messageService.serviceError(403, 'Only group admins can pin messages');
+  }
+
+  return message;
+};
+
+// Camel-case pin for message_pinned broadcasts
+const toPinEvent = (pin) => ({
+  messageId: pin.id,
+  conversationId: pin.conversation_id,
+  content: pin.content,
+  messageType: pin.message_type,
+  fileName: pin.file_name,
+  senderName: pin.sender_name,
+  createdAt: pin.created_at,
+  pinnedBy: pin.pinned_by,
+  pinnedByName: pin.pinned_by_name,
+  pinnedAt: pin.pinned_at
+});
+
+// Pin a message to the top of its conversation
+const pinMessage = async (userId, messageId) => {
+  const message = await getPinnableMessage(userId, messageId);
+
+  if (message.recalled_at) {
+    throw messageService.serviceError(400, 'Cannot pin a recalled message');
+  }
+
+  await db.query(`
+    INSERT INTO pinned_messages (conversation_id, message_id, pinned_by)
+    VALUES ($1, $2, $3)
+    ON CONFLICT (message_id) DO NOTHING
+  `, [message.conversation_id, message.id, userId]);
+
+  const pinResult = await db.query(`SELECT ${PIN_COLUMNS} ${PIN_JOINS} WHERE pm.message_id = $1`, [message.id]);
+
+  return toPinEvent(pinResult.rows[0]);
+};
+
+// Remove a message's pin
+const unpinMessage = async (userId, messageId) => {
+  const message = await getPinnableMessage(userId, messageId);
+
+  const deleteResult = await db.query(
+    'DELETE FROM pinned_messages WHERE message_id = $1 RETURNING id',
+    [message.id]
+  );
+
+  if (deleteResult.rows.length === 0) {
+    throw messageService.serviceError(404, 'Message is not pinned');
+  }
+
+  return {
+    messageId: message.id,
+    conversationId: message.conversation_id,
+    unpinnedBy: userId
+  };
+};
+
+// Pinned messages of a conversation, most recently pinned first
+const getPinnedMessages = async (conversationId) => {
+  const pins = await db.query(`
+    SELECT ${PIN_COLUMNS}
+    ${PIN_JOINS}
+    WHERE pm.conversation_id = $1 AND m.recalled_at IS NULL
+    ORDER BY pm.pinned_at DESC
+  `, [conversationId]);
+
+  return pins.rows;
+};
+
+module.exports = {
+  canPin,
+  pinMessage,
+  unpinMessage,
+  getPinnedMessages
+};
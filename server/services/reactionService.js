@@ -0,0 +1,119 @@
+const db = require('../config/database');
+const messageService = require('./messageService');
+
+// Emoji only: pictographs plus the joiners, modifiers and flag letters that combine them
+const EMOJI_PATTERN = /^[\p{Extended_Pictographic}\p{Emoji_Component}\u200d\ufe0f]+$/u;
+const PICTOGRAPH_PATTERN = /[\p{Extended_Pictographic}\p{Regional_Indicator}\u20e3]/u;
+const MAX_EMOJI_LENGTH = 32;
+
+// Aggregated reactions for messages, keyed by message id.
+// Each entry is { emoji, count, user_ids }, most used first.
+const getReactions = async (messageIds) => {
+  const reactions = new Map();
+  if (messageIds.length === 0) {
+    return reactions;
+  }
+
+  const result = await db.query(`
+    SELECT message_id, emoji, COUNT(*) as count, array_agg(user_id ORDER BY created_at) as user_ids
+    FROM message_reactions
+    WHERE message_id = ANY($1)
+    GROUP BY message_id, emoji
+    ORDER BY message_id, COUNT(*) DESC, MIN(created_at) ASC
+  `, [messageIds]);
+
+  result.rows.forEach(row => {
+    if (!reactions.has(row.message_id)) {
+      reactions.set(row.message_id, []);
+    }
+    reactions.get(row.message_id).push({
+      emoji: row.emoji,
+      count: parseInt(row.count),
+      user_ids: row.user_ids
+    });
+  });
+
+  return reactions;
+};
+
+// Add a `reactions` list to each message
+const attachReactions = async (messages) => {
+  const reactions = await getReactions(messages.map(message => message.id));
+  return messages.map(message => ({
+    ...message,
+    reactions: reactions.get(message.id) || []
+  }));
+};
+
+// Load a message the user may react to
+const getReactableMessage = async (userId, messageId) => {
+  const messageResult = await db.query(
+    'SELECT id, conversation_id, recalled_at FROM messages WHERE id = $1',
+    [messageId]
+  );
+
+  if (messageResult.rows.length === 0) {
+    throw messageService.serviceError(404, 'Message not found');
+  }
+
+  const message = messageResult.rows[0];
+
+  if (!(await messageService.canAccessConversation(message.conversation_id, userId))) {
+    throw messageService.serviceError(403, 'Access denied to this conversation');
+  }
+
+  if (message.recalled_at) {
+    throw messageService.serviceError(400, 'Cannot react to a recalled message');
+  }
+
+  return message;
+};
+
+// Payload broadcast after a change: the full aggregate, so clients can apply it idempotently
+const buildReactionUpdate = async (message, userId, emoji) => {
+  const reactions = await getReactions([message.id]);
+  return {
+    messageId: message.id,
+    conversationId: message.conversation_id,
+    userId,
+    emoji,
+    reactions: reactions.get(message.id) || []
+  };
+};
+
+// Set the user's reaction to a message, replacing any earlier one
+const addReaction = async (userId, messageId, emoji) => {
+  const isEmoji = typeof emoji === 'string' && EMOJI_PATTERN.test(emoji) && PICTOGRAPH_PATTERN.test(emoji);
+  if (!isEmoji || emoji.length > MAX_EMOJI_LENGTH) {
+    throw messageService.serviceError(400, 'Invalid reaction emoji');
+  }
+
+  const message = await getReactableMessage(userId, messageId);
+
+  await db.query(`
+    INSERT INTO message_reactions (message_id, user_id, emoji)
+    VALUES ($1, $2, $3)
+    ON CONFLICT (message_id, user_id) DO UPDATE SET emoji = EXCLUDED.emoji, created_at = CURRENT_TIMESTAMP
+  `, [message.id, userId, emoji]);
+
+  return buildReactionUpdate(message, userId, emoji);
+};
+
+// Remove the user's reaction from a message
+const removeReaction = async (userId, messageId) => {
+  const message = await getReactableMessage(userId, messageId);
+
+  await db.query(
+    'DELETE FROM message_reactions WHERE message_id = $1 AND user_id = $2',
+    [message.id, userId]
+  );
+
+  return buildReactionUpdate(message, userId, null);
+};
+
+module.exports = {
+  getReactions,
+  attachReactions,
+  addReaction,
+  removeReaction
+};
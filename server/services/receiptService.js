@@ -0,0 +1,159 @@
+const db = require('../config/database');
+const messageService = require('./messageService');
+const conversationStateService = require('./conversationStateService');
+
+// Tables receipts are recorded in, by kind
+const RECEIPT_TABLES = {
+  delivered: 'message_deliveries',
+  read: 'message_reads'
+};
+
+const { CONVERSATION_MEMBER_IDS } = conversationStateService;
+
+// Record receipts for a batch of messages in one statement.
+// Messages outside the conversation and the user's own messages are skipped.
+// Returns the messages that did not already have a receipt from this user, as rows of
+// message_id and sender_id.
+const recordReceipts = async (kind, userId, conversationId, messageIds) => {
+  const ids = [...new Set((messageIds || []).map(id => parseInt(id)).filter(Boolean))];
+  if (ids.length === 0) {
+    return [];
+  }
+
+  const result = await db.query(`
+    WITH inserted AS (
+      INSERT INTO ${RECEIPT_TABLES[kind]} (message_id, user_id)
+      SELECT m.id, $2
+      FROM messages m
+      WHERE m.id = ANY($1) AND m.conversation_id = $3 AND m.sender_id != $2
+      ON CONFLICT (message_id, user_id) DO NOTHING
+      RETURNING message_id
+    )
+    SELECT inserted.message_id, m.sender_id
+    FROM inserted
+    JOIN messages m ON inserted.message_id = m.id
+  `, [ids, userId, conversationId]);
+
+  return result.rows;
+};
+
+// Helper: receipt rows as a map of sender id -> message ids, so each sender hears only of their own messages
+const groupBySender = (rows) => {
+  const bySender = new Map();
+  rows.forEach(row => {
+    if (!bySender.has(row.sender_id)) bySender.set(row.sender_id, []);
+    bySender.get(row.sender_id).push(row.message_id);
+  });
+  return bySender;
+};
+
+// Returns the newly delivered message ids, grouped by sender
+const markDelivered = async (userId, conversationId, messageIds) =>
+  groupBySender(await recordReceipts('delivered', userId, conversationId, messageIds));
+
+// Returns the newly read message ids grouped by sender; they also come off the user's unread count
+const markRead = async (userId, conversationId, messageIds) => {
+  const rows = await recordReceipts('read', userId, conversationId, messageIds);
+  await conversationStateService.recordRead(userId, conversationId, rows.map(row => row.message_id));
+  return groupBySender(rows);
+};
+
+// Number of members a message in the conversation is delivered to, i.e. everyone but its sender
+const getRecipientCount = async (conversationId) => {
+  const result = await db.query(`
+    SELECT COUNT(*) as member_count FROM (${CONVERSATION_MEMBER_IDS}) members
+  `, [conversationId]);
+
+  return Math.max(parseInt(result.rows[0].member_count) - 1, 0);
+};
+
+// Add `delivered_to` and `read_by` user id lists to the user's own messages.
+// A read counts as a delivery, so readers always appear in both lists.
+const attachReceipts = async (userId, messages) => {
+  const ownIds = messages
+    .filter(message => message.sender_id === userId && !message.recalled_at)
+    .map(message => message.id);
+
+  if (ownIds.length === 0) {
+    return messages;
+  }
+
+  const receipts = await db.query(`
+    SELECT message_id, user_id, 'read' as kind FROM message_reads WHERE message_id = ANY($1)
+    UNION ALL
+    SELECT message_id, user_id, 'delivered' as kind FROM message_deliveries WHERE message_id = ANY($1)
+  `, [ownIds]);
+
+  const deliveredTo = new Map(ownIds.map(id => [id, new Set()]));
+  const readBy = new Map(ownIds.map(id => [id, new Set()]));
+
+  receipts.rows.forEach(receipt => {
+    deliveredTo.get(receipt.message_id).add(receipt.user_id);
+    if (receipt.kind === 'read') {
+      readBy.get(receipt.message_id).add(receipt.user_id);
+    }
+  });
+
+  return messages.map(message => (
+    deliveredTo.has(message.id)
+      ? { ...message, delivered_to: [...deliveredTo.get(message.id)], read_by: [...readBy.get(message.id)] }
+      : message
+  ));
+};
+
+// List who has read, received, or not yet received a message. Only its sender may see this,
+// as with the receipts attachReceipts adds. Members who joined after it was sent are left out.
+const getMessageReceipts = async (userId, messageId) => {
+  const messageResult = await db.query(
+    'SELECT id, conversation_id, sender_id, created_at FROM messages WHERE id = $1',
+    [messageId]
+  );
+
+  if (messageResult.rows.length === 0) {
+    throw messageService.serviceError(404, 'Message not found');
+  }
+
+  const message = messageResult.rows[0];
+
+  if (!(await messageService.canAccessConversation(message.conversation_id, userId))) {
+    throw messageService.serviceError(403, 'Access denied to this conversation');
+  }
+
+  if (message.sender_id !== userId) {
+    throw messageService.serviceError(403, 'Only the sender can see who read a message');
+  }
+
+  const members = await db.query(`
+    SELECT
+      u.id as user_id,
+      u.username,
+      u.display_name,
+      u.avatar_url,
+      mr.read_at,
+      COALESCE(md.delivered_at, mr.read_at) as delivered_at
+    FROM users u
+    LEFT JOIN message_reads mr ON mr.message_id = $2 AND mr.user_id = u.id
+    LEFT JOIN message_deliveries md ON md.message_id = $2 AND md.user_id = u.id
+    LEFT JOIN group_members gm ON gm.user_id = u.id
+      AND gm.group_id = (SELECT group_id FROM conversations WHERE id = $1)
+    WHERE u.id IN (${CONVERSATION_MEMBER_IDS})
+    AND u.id != $3
+    AND (gm.joined_at IS NULL OR gm.joined_at <= $4)
+    ORDER BY mr.read_at DESC NULLS LAST, delivered_at DESC NULLS LAST, u.display_name ASC
+  `, [message.conversation_id, message.id, message.sender_id, message.created_at]);
+
+  return {
+    messageId: message.id,
+    read: members.rows.filter(member => member.read_at),
+    delivered: members.rows.filter(member => !member.read_at && member.delivered_at),
+    pending: members.rows.filter(member => !member.delivered_at)
+  };
+};
+
+module.exports = {
+  markDelivered,
+  markRead,
+  getRecipientCount,
+  attachReceipts,
+  getMessageReceipts
+};
@@ -0,0 +1,241 @@
+const db = require('../config/database');
+const messageService = require('./messageService');
+
+const DEFAULT_PAGE_SIZE = 20;
+const MAX_PAGE_SIZE = 50;
+const MAX_QUERY_LENGTH = 200;
+const MAX_QUERY_TERMS = 10;
+
+// Han, kana and Hangul text has no spaces between words, so the tsvector parser can't split it
+const CJK_PATTERN = /[\u3040-\u30ff\u3400-\u4dbf\u4e00-\u9fff\uac00-\ud7af\uf900-\ufaff]/;
+
+// Control characters wrapped around matches in snippets; clients split on them instead of parsing HTML
+const HIGHLIGHT_START = '\u0002';
+const HIGHLIGHT_END = '\u0003';
+const HEADLINE_OPTIONS = `StartSel=${HIGHLIGHT_START}, StopSel=${HIGHLIGHT_END}, MinWords=8, MaxWords=24, ShortWord=0`;
+
+// Characters of context kept around a trigram match
+const SNIPPET_CONTEXT = 40;
+
+// Helper: "hello wor" -> "hello:* & wor:*", keeping only letters and digits so the
+// result is always a valid tsquery
+const toPrefixQuery = (text) => {
+  const terms = text.toLowerCase().match(/[\p{L}\p{N}_]+/gu) || [];
+  return terms.slice(0, MAX_QUERY_TERMS).map(term => `${term}:*`).join(' & ');
+};
+
+const escapeLike = (text) => text.replace(/[\\%_]/g, '\\$&');
+
+// Helper: snippet around the first literal match, marked like ts_headline output
+const buildSnippet = (content, text) => {
+  if (!content) return null;
+
+  const index = content.toLowerCase().indexOf(text.toLowerCase());
+  if (index < 0) {
+    return content.slice(0, SNIPPET_CONTEXT * 2);
+  }
+
+  const start = Math.max(0, index - SNIPPET_CONTEXT);
+  const end = Math.min(content.length, index + text.length + SNIPPET_CONTEXT);
+
+  return (start > 0 ? '…' : '') +
+    content.slice(start, index) +
+    HIGHLIGHT_START + content.slice(index, index + text.length) + HIGHLIGHT_END +
+    content.slice(index + text.length, end) +
+    (end < content.length ? '…' : '');
+};
+
+// Cursors are opaque to clients: base64url JSON of the last hit's sort key
+const encodeCursor = (hit, sort) =>
+  Buffer.from(JSON.stringify(sort === 'date' ? { id: hit.id } : { rank: hit.rank, id: hit.id })).toString('base64url');
+
+const decodeCursor = (cursor) => {
+  try {
+    const decoded = JSON.parse(Buffer.from(String(cursor), 'base64url').toString('utf8'));
+    return Number.isInteger(decoded.id) ? decoded : null;
+  } catch (error) {
+    return null;
+  }
+};
+
+// Helper: parse a filter date; a bare date used as an upper bound covers the whole day
+const parseDate = (value, { endOfDay = false } = {}) => {
+  const date = new Date(value);
+  if (isNaN(date)) {
+    throw messageService.serviceError(400, `Invalid date: ${value}`);
+  }
+  if (endOfDay && /^\d{4}-\d{2}-\d{2}$/.test(value)) {
+    date.setUTCDate(date.getUTCDate() + 1);
+  }
+  return date;
+};
+
+// Helper: parse an id filter, which arrives as a query string value
+const parseId = (value, name) => {
+  const id = typeof value === 'number' ? value : /^\d+$/.test(String(value)) ? parseInt(value, 10) : NaN;
+  if (!Number.isSafeInteger(id) || id <= 0) {
+    throw messageService.serviceError(400, `Invalid ${name}`);
+  }
+  return id;
+};
+
+// Search messages in every conversation the user belongs to.
+// Word queries use the full-text index with prefix matching; CJK text (or input without any
+// word characters) falls back to a trigram-indexed substring match.
+// `sort` is 'relevance' (default) or 'date'; pass the returned nextCursor to get the next page.
+const searchMessages = async (userId, {
+  query,
+  conversationId = null,
+  senderId = null,
+  type = null,
+  from = null,
+  to = null,
+  sort = 'relevance',
+  cursor = null,
+  limit = DEFAULT_PAGE_SIZE
+} = {}) => {
+  const text = typeof query === 'string' ? query.trim() : '';
+
+  if (!text) {
+    throw messageService.serviceError(400, 'Search query is required');
+  }
+
+  if (text.length > MAX_QUERY_LENGTH) {
+    throw messageService.serviceError(400, `Search query must be at most ${MAX_QUERY_LENGTH} characters`);
+  }
+
+  if (sort !== 'relevance' && sort !== 'date') {
+    throw messageService.serviceError(400, 'Sort must be relevance or date');
+  }
+
+  const pageSize = Math.min(Math.max(parseInt(limit) || DEFAULT_PAGE_SIZE, 1), MAX_PAGE_SIZE);
+  const tsQuery = CJK_PATTERN.test(text) ? '' : toPrefixQuery(text);
+
+  const params = [userId];
+  const addParam = (value) => {
+    params.push(value);
+    return `$${params.length}`;
+  };
+
+  const filters = [];
+  let rankExpression;
+  let queryParam = null;
+
+  if (tsQuery) {
+    queryParam = addParam(tsQuery);
+    filters.push(`m.search_vector @@ to_tsquery('simple', ${queryParam})`);
+    rankExpression = `ts_rank(m.search_vector, to_tsquery('simple', ${queryParam}))`;
+  } else {
+    filters.push(`m.plain_content ILIKE ${addParam(`%${escapeLike(text)}%`)}`);
+    rankExpression = `word_similarity(${addParam(text)}, m.plain_content)`;
+  }
+
+  if (conversationId) {
+    filters.push(`m.conversation_id = ${addParam(parseId(conversationId, 'conversationId'))}`);
+  }
+
+  if (senderId) {
+    filters.push(`m.sender_id = ${addParam(parseId(senderId, 'senderId'))}`);
+  }
+
+  // ?type=a,b or a repeated ?type=a&type=b; anything else (e.g. ?type[x]=a) is rejected
+  const typeValues = Array.isArray(type) ? type : type ? [type] : [];
+  if (typeValues.some(value => typeof value !== 'string')) {
+    throw messageService.serviceError(400, 'Invalid type');
+  }
+  const types = typeValues
+    .flatMap(value => value.split(','))
+    .map(value => value.trim())
+    .filter(Boolean);
+  if (types.length > 0) {
+    filters.push(`m.message_type = ANY(${addParam(types)})`);
+  }
+
+  if (from) {
+    filters.push(`m.created_at >= ${addParam(parseDate(from))}`);
+  }
+
+  if (to) {
+    filters.push(`m.created_at < ${addParam(parseDate(to, { endOfDay: true }))}`);
+  }
+
+  if (cursor) {
+    const position = decodeCursor(cursor);
+    if (!position || (sort === 'relevance' && typeof position.rank !== 'number')) {
+      throw messageService.serviceError(400, 'Invalid cursor');
+    }
+    filters.push(sort === 'date'
+      ? `m.id < ${addParam(position.id)}`
+      : `(${rankExpression}, m.id) < (${addParam(position.rank)}::real, ${addParam(position.id)})`);
+  }
+
+  const order = sort === 'date' ? 'id DESC' : 'rank DESC, id DESC';
+  const limitParam = addParam(pageSize + 1);
+
+  // Rank and page first; names and snippets are only built for the rows returned
+  const snippetExpression = tsQuery
+    ? `ts_headline('simple', hits.content, to_tsquery('simple', ${queryParam}), ${addParam(HEADLINE_OPTIONS)})`
+    : 'NULL';
+
+  const result = await db.query(`
+    SELECT
+      hits.id,
+      hits.conversation_id,
+      hits.content,
+      hits.message_type,
+      hits.file_name,
+      hits.created_at,
+      hits.rank,
+      ${snippetExpression} as snippet,
+      u.id as sender_id,
+      u.display_name as sender_name,
+      u.avatar_url as sender_avatar,
+      c.type as conversation_type,
+      CASE
+        WHEN c.type = 'group' THEN g.name
+        ELSE (
+          SELECT u2.display_name
+          FROM conversation_participants cp2
+          JOIN users u2 ON cp2.user_id = u2.id
+          WHERE cp2.conversation_id = c.id AND cp2.user_id != $1
+          LIMIT 1
+        )
+      END as conversation_name
+    FROM (
+      SELECT m.id, m.conversation_id, m.sender_id, m.plain_content as content, m.message_type, m.file_name, m.created_at,
+             ${rankExpression} as rank
+      FROM messages m
+      LEFT JOIN message_hidden mh ON m.id = mh.message_id AND mh.user_id = $1
+      WHERE m.conversation_id IN (
+        SELECT cp.conversation_id FROM conversation_participants cp WHERE cp.user_id = $1
+        UNION
+        SELECT c.id FROM conversations c JOIN group_members gm ON c.group_id = gm.group_id WHERE gm.user_id = $1
+      )
+      AND m.recalled_at IS NULL AND mh.id IS NULL
+      AND ${filters.join(' AND ')}
+      ORDER BY ${order}
+      LIMIT ${limitParam}
+    ) hits
+    JOIN users u ON hits.sender_id = u.id
+    JOIN conversations c ON hits.conversation_id = c.id
+    LEFT JOIN groups g ON c.group_id = g.id
+    ORDER BY ${order.replace(/(rank|id)/g, 'hits.$1')}
+  `, params);
+
+  const hasMore = result.rows.length > pageSize;
+  const hits = result.rows.slice(0, pageSize);
+
+  return {
+    results: hits.map(({ rank, ...hit }) => ({
+      ...hit,
+      snippet: hit.snippet || buildSnippet(hit.content, text)
+    })),
+    nextCursor: hasMore ? encodeCursor(hits[hits.length - 1], sort) : null
+  };
+};
+
+module.exports = {
+  HIGHLIGHT_START,
+  HIGHLIGHT_END,
+  searchMessages
+};
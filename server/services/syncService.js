@@ -0,0 +1,215 @@
+const db = require('../config/database');
+const messageService = require('./messageService');
+const mentionService = require('./mentionService');
+const conversationStateService = require('./conversationStateService');
+const userService = require('./userService');
+const linkPreviewService = require('./linkPreviewService');
+const formattingService = require('./formattingService');
+
+// Cap on messages replayed per conversation; clients reload the rest over REST
+const MAX_REPLAY_PER_CONVERSATION = 100;
+
+// Get ids of every conversation a user belongs to
+const getUserConversationIds = async (userId) => {
+  const conversations = await db.query(`
+    SELECT DISTINCT c.id
+    FROM conversations c
+    LEFT JOIN conversation_participants cp ON c.id = cp.conversation_id
+    LEFT JOIN group_members gm ON c.group_id = gm.group_id
+    WHERE cp.user_id = $1 OR gm.user_id = $1
+  `, [userId]);
+
+  return conversations.rows.map(row => row.id);
+};
+
+// Convert a message row into the payload shape used by new_message
+const toMessageData = (conversationId, message) => ({
+  id: message.id,
+  conversationId,
+  senderId: message.sender_id,
+  sender: {
+    username: message.sender_username,
+    displayName: message.sender_name,
+    avatarUrl: message.sender_avatar
+  },
+  content: message.content,
+  plainContent: message.plain_content,
+  messageType: message.message_type,
+  replyTo: message.reply_to,
+  replyMessage: messageService.toReplySummary(message.reply_message),
+  fileUrl: message.file_url,
+  fileName: message.file_name,
+  fileSize: message.file_size,
+  durationMs: message.duration_ms,
+  waveform: message.waveform,
+  latitude: message.latitude,
+  longitude: message.longitude,
+  editedAt: message.edited_at,
+  editHistory: message.edit_history,
+  recalledAt: message.recalled_at,
+  clientMessageId: message.client_message_id,
+  forwardedFrom: message.forwarded_from_user_id ? {
+    userId: message.forwarded_from_user_id,
+    displayName: message.forwarded_from_name
+  } : null,
+  chatHistory: messageService.toHistoryPreview(message.chat_history),
+  contactCard: userService.toContactCard(message.contact_card),
+  linkPreview: linkPreviewService.toLinkPreview(message.link_preview),
+  createdAt: message.created_at
+});
+
+// Collapse receipt rows into one event per conversation and member
+const groupReceipts = (event, rows) => {
+  const groups = new Map();
+
+  rows.forEach(receipt => {
+    const key = `${receipt.conversation_id}:${receipt.user_id}`;
+    if (!groups.has(key)) {
+      groups.set(key, {
+        event,
+        at: receipt.at,
+        payload: { userId: receipt.user_id, messageIds: [], conversationId: receipt.conversation_id }
+      });
+    }
+    const group = groups.get(key);
+    group.payload.messageIds.push(receipt.message_id);
+    group.at = receipt.at;
+  });
+
+  return [...groups.values()];
+};
+
+// Build everything a reconnecting client missed.
+// `lastMessageIds` maps conversation id -> newest message id the client has;
+// `since` is the syncedAt value returned by the client's previous sync.
+// Returns the events to replay (oldest first) and the state to correct badges with.
+const buildSync = async (userId, { lastMessageIds = {}, since = null } = {}) => {
+  // Taken first: anything after this point reaches the client live
+  const timeResult = await db.query('SELECT CURRENT_TIMESTAMP as now');
+
+  const conversationIds = await getUserConversationIds(userId);
+  const events = [];
+  const truncated = [];
+  const replayedIds = new Set();
+
+  // Missed messages, for conversations the client reported a position in
+  for (const conversationId of conversationIds) {
+    const lastMessageId = parseInt(lastMessageIds[conversationId]);
+    if (!lastMessageId) continue;
+
+    const page = await messageService.getConversationMessages(userId, conversationId, {
+      after: lastMessageId,
+      limit: MAX_REPLAY_PER_CONVERSATION
+    });
+
+    if (page.hasMore) {
+      truncated.push(conversationId);
+    }
+
+    page.messages.forEach(message => {
+      replayedIds.add(message.id);
+      events.push({
+        event: 'new_message',
+        at: message.created_at,
+        payload: toMessageData(conversationId, message)
+      });
+    });
+  }
+
+  // Mentions of this user among the replayed messages
+  const mentionedIds = new Set(await mentionService.getMentionedMessageIds(userId, [...replayedIds]));
+  events.filter(({ payload }) => mentionedIds.has(payload.id)).forEach(({ at, payload }) => {
+    events.push({ event: 'mentioned', at, payload: mentionService.toMentionEvent(payload) });
+  });
+
+  const sinceDate = since ? new Date(since) : null;
+
+  if (sinceDate && !isNaN(sinceDate) && conversationIds.length > 0) {
+    // Read and delivery receipts from other members, for the user's own messages only
+    const reads = await db.query(`
+      SELECT m.conversation_id, mr.user_id, mr.message_id, mr.read_at as at
+      FROM message_reads mr
+      JOIN messages m ON mr.message_id = m.id
+      WHERE m.conversation_id = ANY($1) AND m.sender_id = $2 AND mr.user_id != $2 AND mr.read_at > $3
+      ORDER BY mr.read_at ASC
+    `, [conversationIds, userId, sinceDate]);
+    events.push(...groupReceipts('messages_read', reads.rows));
+
+    const deliveries = await db.query(`
+      SELECT m.conversation_id, md.user_id, md.message_id, md.delivered_at as at
+      FROM message_deliveries md
+      JOIN messages m ON md.message_id = m.id
+      WHERE m.conversation_id = ANY($1) AND m.sender_id = $2 AND md.user_id != $2 AND md.delivered_at > $3
+      ORDER BY md.delivered_at ASC
+    `, [conversationIds, userId, sinceDate]);
+    events.push(...groupReceipts('messages_delivered', deliveries.rows));
+
+    // Edits to messages the client already has (and the user hasn't deleted for themselves)
+    const edits = await db.query(`
+      SELECT me.message_id, me.content as previous_content, me.edited_at, m.conversation_id,
+             m.content as current_content, m.plain_content as current_plain_content
+      FROM message_edits me
+      JOIN messages m ON me.message_id = m.id
+      LEFT JOIN message_hidden mh ON m.id = mh.message_id AND mh.user_id = $3
+      WHERE m.conversation_id = ANY($1) AND me.edited_at > $2 AND m.recalled_at IS NULL AND mh.id IS NULL
+      ORDER BY me.message_id ASC, me.edited_at ASC, me.id ASC
+    `, [conversationIds, sinceDate, userId]);
+
+    edits.rows.forEach((edit, index) => {
+      if (replayedIds.has(edit.message_id)) return;
+
+      // The content an edit produced is the next edit's previous content, or the current content
+      const next = edits.rows[index + 1];
+      const isLatest = !next || next.message_id !== edit.message_id;
+      const content = isLatest ? edit.current_content : next.previous_content;
+
+      events.push({
+        event: 'message_edited',
+        at: edit.edited_at,
+        payload: {
+          messageId: edit.message_id,
+          conversationId: edit.conversation_id,
+          content,
+          plainContent: isLatest ? edit.current_plain_content : formattingService.toPlainText(content),
+          previousContent: edit.previous_content,
+          editedAt: edit.edited_at
+        }
+      });
+    });
+
+    // Recalls of messages the client already has
+    const recalls = await db.query(`
+      SELECT id, conversation_id, sender_id, recalled_at
+      FROM messages
+      WHERE conversation_id = ANY($1) AND recalled_at > $2
+    `, [conversationIds, sinceDate]);
+
+    recalls.rows.forEach(recall => {
+      if (replayedIds.has(recall.id)) return;
+      events.push({
+        event: 'message_recalled',
+        at: recall.recalled_at,
+        payload: {
+          messageId: recall.id,
+          conversationId: recall.conversation_id,
+          senderId: recall.sender_id,
+          recalledAt: recall.recalled_at
+        }
+      });
+    });
+  }
+
+  events.sort((a, b) => new Date(a.at) - new Date(b.at));
+
+  return {
+    events,
+    syncedAt: timeResult.rows[0].now,
+    truncated,
+    unreadCounts: await conversationStateService.getUnreadCounts(userId, conversationIds)
+  };
+};
+
+module.exports = {
+  getUserConversationIds,
+  buildSync
+};
@@ -0,0 +1,72 @@
+const db = require('../config/database');
+
+// Profile fields anyone signed in may see; bio and join date are for accepted contacts and the user themself
+const PUBLIC_PROFILE_FIELDS = ['id', 'username', 'display_name', 'avatar_url', 'status', 'contact_status'];
+
+// Fields a contact card shows, all of them public
+const CONTACT_CARD_FIELDS = ['id', 'username', 'display_name', 'avatar_url', 'contact_status'];
+
+// Helper: copy the listed fields of a row
+const pick = (row, fields) => Object.fromEntries(fields.map(field => [field, row[field]]));
+
+// Get users' profiles as `viewerId` is allowed to see them, keyed by user id.
+// `contact_status` is the viewer's relationship with each user (null for none).
+const getVisibleProfiles = async (viewerId, userIds) => {
+  const profiles = new Map();
+  if (userIds.length === 0) {
+    return profiles;
+  }
+
+  const userResult = await db.query(`
+    SELECT
+      u.id,
+      u.username,
+      u.display_name,
+      u.avatar_url,
+      u.status,
+      u.bio,
+      u.created_at,
+      c.status as contact_status
+    FROM users u
+    LEFT JOIN contacts c ON (
+      (c.user_id = $2 AND c.contact_id = u.id) OR
+      (c.user_id = u.id AND c.contact_id = $2)
+    )
+    WHERE u.id = ANY($1)
+  `, [userIds, viewerId]);
+
+  userResult.rows.forEach(user => {
+    // Don't show full profile if not a contact (privacy)
+    const visible = user.contact_status === 'accepted' || user.id === viewerId
+      ? user
+      : pick(user, PUBLIC_PROFILE_FIELDS);
+    profiles.set(user.id, visible);
+  });
+
+  return profiles;
+};
+
+// Get the contact cards of users as `viewerId` sees them, keyed by user id.
+// Cards are built from the visible profile, so they never show more than the profile page would.
+const getContactCards = async (viewerId, userIds) => {
+  const profiles = await getVisibleProfiles(viewerId, userIds);
+  const cards = new Map();
+  profiles.forEach((profile, userId) => cards.set(userId, pick(profile, CONTACT_CARD_FIELDS)));
+  return cards;
+};
+
+// Contact card in the camelCase shape used by socket payloads.
+// Cards broadcast to a whole conversation leave out `contactStatus`, which differs per member.
+const toContactCard = (card, { withContactStatus = true } = {}) => (card ? {
+  userId: card.id,
+  username: card.username,
+  displayName: card.display_name,
+  avatarUrl: card.avatar_url,
+  ...(withContactStatus ? { contactStatus: card.contact_status } : {})
+} : null);
+
+module.exports = {
+  getVisibleProfiles,
+  getContactCards,
+  toContactCard
+};
@@ -0,0 +1,330 @@
+const fs = require('fs');
+const db = require('../config/database');
+const messageService = require('./messageService');
+
+// Longest voice message accepted, in milliseconds
+const MAX_VOICE_DURATION_MS = parseInt(process.env.VOICE_MAX_DURATION_SECONDS || '60', 10) * 1000;
+
+// The file itself is held to its length too: browsers record voice at 128kbps or less,
+// so twice that per second (plus container headers) is more than any real recording needs
+const MAX_BYTES_PER_SECOND = 32 * 1024;
+const CONTAINER_OVERHEAD_BYTES = 64 * 1024;
+const MAX_VOICE_BYTES = CONTAINER_OVERHEAD_BYTES + (MAX_VOICE_DURATION_MS / 1000) * MAX_BYTES_PER_SECOND;
+
+// Recorders stop on their own clock, so the encoded audio can run slightly past the limit
+const DURATION_TOLERANCE_MS = 1000;
+
+// Bars drawn in a voice bubble; each sample is a loudness from 0 to 100
+const MAX_WAVEFORM_SAMPLES = 64;
+
+// Helper: read an EBML variable-length integer. IDs keep their length marker; sizes drop it,
+// and a size of all ones means "unknown" (live recordings don't know their length up front).
+const readVint = (data, offset, isId) => {
+  const first = data[offset];
+  if (!first) return null;
+
+  const length = Math.clz32(first) - 23;
+  if (length > 8 || offset + length > data.length) return null;
+
+  let value = isId ? first : first & (0xff >> length);
+  let allOnes = value === (0xff >> length);
+  for (let i = 1; i < length; i++) {
+    value = value * 256 + data[offset + i];
+    allOnes = allOnes && data[offset + i] === 0xff;
+  }
+
+  return { length, value: !isId && allOnes ? null : value };
+};
+
+// Helper: read a big-endian unsigned integer of up to 8 bytes
+const readUnsigned = (data, offset, length) => {
+  let value = 0;
+  for (let i = 0; i < length; i++) {
+    value = value * 256 + data[offset + i];
+  }
+  return value;
+};
+
+// WebM elements whose children are read in place (Segment, Info, Cluster, BlockGroup)
+const WEBM_CONTAINERS = new Set([0x18538067, 0x1549a966, 0x1f43b675, 0xa0]);
+
+// Helper: WebM length from the Duration in its Info or, as MediaRecorder leaves that out,
+// from the timecode of the last block
+const readWebmDurationMs = (data) => {
+  let timecodeScale = 1000000; // nanoseconds per tick
+  let declaredTicks = 0;
+  let clusterTimecode = 0;
+  let lastBlockTicks = 0;
+
+  let offset = 0;
+  while (offset < data.length) {
+    const id = readVint(data, offset, true);
+    const size = id && readVint(data, offset + id.length, false);
+    if (!size) break;
+
+    const start = offset + id.length + size.length;
+    if (WEBM_CONTAINERS.has(id.value)) {
+      offset = start;
+      continue;
+    }
+
+    if (size.value === null || start + size.value > data.length) break;
+
+    switch (id.value) {
+      case 0x2ad7b1: // TimecodeScale
+        timecodeScale = readUnsigned(data, start, size.value);
+        break;
+      case 0x4489: // Duration
+        declaredTicks = size.value === 4 ? data.readFloatBE(start) : data.readDoubleBE(start);
+        break;
+      case 0xe7: // Cluster Timecode
+        clusterTimecode = readUnsigned(data, start, size.value);
+        break;
+      case 0xa3: // SimpleBlock
+      case 0xa1: { // Block
+        const track = readVint(data, start, false);
+        if (track && track.length + 2 <= size.value) {
+          lastBlockTicks = Math.max(lastBlockTicks, clusterTimecode + data.readInt16BE(start + track.length));
+        }
+        break;
+      }
+      default:
+        break;
+    }
+
+    offset = start + size.value;
+  }
+
+  const ticks = Math.max(declaredTicks, lastBlockTicks);
+  return ticks > 0 ? (ticks * timecodeScale) / 1e6 : null;
+};
+
+// Helper: Ogg length from the granule position (sample count) of the last complete page
+const readOggDurationMs = (data) => {
+  // The first page holds the codec header: Opus always counts at 48kHz, Vorbis at its own rate
+  const headerStart = 27 + data[26];
+  let sampleRate;
+  let preSkip = 0;
+
+  if (data.toString('latin1', headerStart, headerStart + 8) === 'OpusHead') {
+    sampleRate = 48000;
+    preSkip = data.readUInt16LE(headerStart + 10);
+  } else if (data[headerStart] === 1 && data.toString('latin1', headerStart + 1, headerStart + 7) === 'vorbis') {
+    sampleRate = data.readUInt32LE(headerStart + 12);
+  } else {
+    return null;
+  }
+
+  // A page whose body runs past the end of the file was cut off and doesn't count
+  let lastGranule = 0;
+  let offset = 0;
+  while (offset + 27 <= data.length && data.toString('latin1', offset, offset + 4) === 'OggS') {
+    const bodyStart = offset + 27 + data[offset + 26];
+    if (bodyStart > data.length) break;
+
+    let bodySize = 0;
+    for (let i = offset + 27; i < bodyStart; i++) bodySize += data[i];
+    if (bodyStart + bodySize > data.length) break;
+
+    // -1 marks a page on which no packet ends
+    const granule = Number(data.readBigInt64LE(offset + 6));
+    if (granule >= 0) lastGranule = granule;
+    offset = bodyStart + bodySize;
+  }
+
+  const samples = lastGranule - preSkip;
+  return sampleRate > 0 && samples > 0 ? (samples * 1000) / sampleRate : null;
+};
+
+// MP4 boxes whose children are read in place
+const MP4_CONTAINERS = new Set(['moov', 'trak', 'mdia', 'mvex', 'moof', 'traf']);
+
+// Helper: MP4 length from the movie header or, for fragmented recordings, the sum of the
+// sample durations in every fragment
+const readMp4DurationMs = (data) => {
+  let movieTicks = 0;
+  let movieTimescale = 0;
+  let mediaTimescale = 0;
+  let trackSampleDuration = 0;
+  let fragmentSampleDuration = 0;
+  let fragmentTicks = 0;
+
+  const readBoxes = (start, end) => {
+    let offset = start;
+    while (offset + 8 <= end) {
+      let size = data.readUInt32BE(offset);
+      const type = data.toString('latin1', offset + 4, offset + 8);
+      let body = offset + 8;
+
+      if (size === 1) {
+        size = Number(data.readBigUInt64BE(offset + 8));
+        body += 8;
+      } else if (size === 0) {
+        size = end - offset;
+      }
+      if (size < body - offset || offset + size > end) return;
+
+      // Full boxes start with a version byte and 24 bits of flags
+      const isFullBox = ['mvhd', 'mdhd', 'trex', 'tfhd', 'trun'].includes(type);
+      const version = isFullBox ? data[body] : 0;
+      const flags = isFullBox ? data.readUIntBE(body + 1, 3) : 0;
+
+      if (MP4_CONTAINERS.has(type)) {
+        if (type === 'traf') fragmentSampleDuration = trackSampleDuration;
+        readBoxes(body, offset + size);
+      } else if (type === 'mvhd' || type === 'mdhd') {
+        const timescale = data.readUInt32BE(body + (version === 1 ? 20 : 12));
+        const duration = version === 1 ? Number(data.readBigUInt64BE(body + 24)) : data.readUInt32BE(body + 16);
+        if (type === 'mvhd') {
+          movieTimescale = timescale;
+          movieTicks = duration;
+        } else {
+          mediaTimescale = timescale;
+        }
+      } else if (type === 'trex') {
+        trackSampleDuration = data.readUInt32BE(body + 12);
+      } else if (type === 'tfhd' && flags & 0x08) {
+        const position = body + 8 + (flags & 0x01 ? 8 : 0) + (flags & 0x02 ? 4 : 0);
+        fragmentSampleDuration = data.readUInt32BE(position);
+      } else if (type === 'trun') {
+        const sampleCount = data.readUInt32BE(body + 4);
+        if (flags & 0x100) {
+          // Each sample entry holds the fields flagged in 0xf00, four bytes apiece
+          const stride = 4 * [0x100, 0x200, 0x400, 0x800].filter(bit => flags & bit).length;
+          let position = body + 8 + (flags & 0x01 ? 4 : 0) + (flags & 0x04 ? 4 : 0);
+          for (let i = 0; i < sampleCount; i++, position += stride) {
+            fragmentTicks += data.readUInt32BE(position);
+          }
+        } else {
+          fragmentTicks += sampleCount * fragmentSampleDuration;
+        }
+      }
+
+      offset += size;
+    }
+  };
+
+  readBoxes(0, data.length);
+
+  const movieMs = movieTimescale ? (movieTicks * 1000) / movieTimescale : 0;
+  const fragmentMs = mediaTimescale ? (fragmentTicks * 1000) / mediaTimescale : 0;
+  const duration = Math.max(movieMs, fragmentMs);
+  return duration > 0 ? duration : null;
+};
+
+// Formats browsers record voice in, and how to read each one's length
+const DURATION_READERS = {
+  'audio/webm': readWebmDurationMs,
+  'audio/ogg': readOggDurationMs,
+  'audio/mp4': readMp4DurationMs
+};
+
+// Helper: the length of a recording in milliseconds, or null if the container doesn't say
+const readDurationMs = async (filePath, mimeType) => {
+  const data = await fs.promises.readFile(filePath);
+  try {
+    return DURATION_READERS[mimeType](data);
+  } catch (error) {
+    // A truncated or malformed container reads past its end
+    if (error instanceof RangeError) return null;
+    throw error;
+  }
+};
+
+// Helper: parse the optional waveform field (a JSON array, as sent in multipart forms)
+const parseWaveform = (value) => {
+  if (value === undefined || value === null || value === '') return null;
+
+  let samples;
+  try {
+    samples = typeof value === 'string' ? JSON.parse(value) : value;
+  } catch (error) {
+    throw messageService.serviceError(400, 'Waveform must be a JSON array');
+  }
+
+  if (!Array.isArray(samples) || samples.length > MAX_WAVEFORM_SAMPLES ||
+      samples.some(sample => !Number.isInteger(sample) || sample < 0 || sample > 100)) {
+    throw messageService.serviceError(400, `Waveform must be at most ${MAX_WAVEFORM_SAMPLES} whole numbers from 0 to 100`);
+  }
+
+  return samples;
+};
+
+// Check an uploaded recording (a multer file, with the type attachmentService detected from its
+// content) and its metadata. The length is read from the recording, never taken from the client.
+// Returns the { durationMs, waveform } to store with the message.
+const validateVoiceUpload = async (file, fileType, { waveform }) => {
+  if (!fileType || !DURATION_READERS[fileType.mimeType]) {
+    throw messageService.serviceError(400, 'Unsupported audio format');
+  }
+
+  if (file.size > MAX_VOICE_BYTES) {
+    throw messageService.serviceError(400, `Voice messages can be at most ${MAX_VOICE_DURATION_MS / 1000} seconds long`);
+  }
+
+  const duration = await readDurationMs(file.path, fileType.mimeType);
+  if (!duration) {
+    throw messageService.serviceError(400, 'File is not valid audio');
+  }
+
+  if (duration > MAX_VOICE_DURATION_MS + DURATION_TOLERANCE_MS) {
+    throw messageService.serviceError(400, `Voice messages can be at most ${MAX_VOICE_DURATION_MS / 1000} seconds long`);
+  }
+
+  if (file.size > CONTAINER_OVERHEAD_BYTES + Math.ceil(duration / 1000) * MAX_BYTES_PER_SECOND) {
+    throw messageService.serviceError(400, 'Recording is larger than its length allows');
+  }
+
+  return { durationMs: Math.round(duration), waveform: parseWaveform(waveform) };
+};
+
+// Record that a recipient played a voice message.
+// Returns the voice_played payload, or null if it was already played.
+const markPlayed = async (userId, messageId) => {
+  const messageResult = await db.query(
+    'SELECT id, conversation_id, sender_id, message_type, recalled_at FROM messages WHERE id = $1',
+    [messageId]
+  );
+
+  if (messageResult.rows.length === 0) {
+    throw messageService.serviceError(404, 'Message not found');
+  }
+
+  const message = messageResult.rows[0];
+
+  if (!(await messageService.canAccessConversation(message.conversation_id, userId))) {
+    throw messageService.serviceError(403, 'Access denied to this conversation');
+  }
+
+  if (message.message_type !== 'voice' || message.recalled_at) {
+    throw messageService.serviceError(400, 'Only voice messages can be played');
+  }
+
+  if (message.sender_id === userId) {
+    throw messageService.serviceError(400, 'Your own voice messages are always played');
+  }
+
+  const result = await db.query(`
+    INSERT INTO voice_plays (message_id, user_id)
+    VALUES ($1, $2)
+    ON CONFLICT (message_id, user_id) DO NOTHING
+    RETURNING played_at
+  `, [message.id, userId]);
+
+  if (result.rows.length === 0) {
+    return null;
+  }
+
+  return {
+    messageId: message.id,
+    conversationId: message.conversation_id,
+    userId,
+    playedAt: result.rows[0].played_at
+  };
+};
+
+module.exports = {
+  MAX_VOICE_DURATION_MS,
+  validateVoiceUpload,
+  markPlayed
+};
@@ -1,5 +1,22 @@
 const jwt = require('jsonwebtoken');
 const db = require('../config/database');
+const messageService = require('../services/messageService');
+const syncService = require('../services/syncService');
+const receiptService = require('../services/receiptService');
+const reactionService = require('../services/reactionService');
+const mentionService = require('../services/mentionService');
+const chatHistoryService = require('../services/chatHistoryService');
+const draftService = require('../services/draftService');
+const userService = require('../services/userService');
+const linkPreviewService = require('../services/linkPreviewService');
+const formattingService = require('../services/formattingService');
+
+// Longest place label a location message can carry
+const MAX_LOCATION_LABEL_LENGTH = 200;
+
+// Helper: whether a value is a finite number within [min, max]
+const isCoordinate = (value, min, max) =>
+  typeof value === 'number' && Number.isFinite(value) && value >= min && value <= max;
 
 const socketHandler = (io) => {
   const connectedUsers = new Map(); // userId -> socketId mapping
@@ -122,12 +139,95 @@ const socketHandler = (io) => {
       }
 
       // Handle new message
-      socket.on('send_message', async (data) => {
+      socket.on('send_message', async (data, callback) => {
         try {
-          await handleSendMessage(socket, data);
+          const message = await handleSendMessage(socket, data);
+          acknowledge(callback, {
+            ok: true,
+            id: message.id,
+            clientMessageId: message.clientMessageId,
+            createdAt: message.createdAt
+          });
         } catch (error) {
-          console.error('Send message error:', error);
-          socket.emit('error', { message: 'Failed to send message' });
+          if (!error.status) {
+            console.error('Send message error:', error);
+          }
+          const message = error.status ? error.message : 'Failed to send message';
+          if (typeof callback === 'function') {
+            acknowledge(callback, { ok: false, error: message });
+          } else {
+            socket.emit('error', { message });
+          }
+        }
+      });
+
+      // Handle forwarding messages to other conversations
+      socket.on('forward_messages', async (data, callback) => {
+        try {
+          const forwarded = await handleForwardMessages(socket, data);
+          acknowledge(callback, {
+            ok: true,
+            messages: forwarded.map(message => ({ id: message.id, conversationId: message.conversationId }))
+          });
+        } catch (error) {
+          if (!error.status) {
+            console.error('Forward messages error:', error);
+          }
+          const message = error.status ? error.message : 'Failed to forward messages';
+          if (typeof callback === 'function') {
+            acknowledge(callback, { ok: false, error: message });
+          } else {
+            socket.emit('error', { message });
+          }
+        }
+      });
+
+      // Handle message edits
+      socket.on('edit_message', async (data) => {
+        try {
+          await handleEditMessage(socket, data);
+        } catch (error) {
+          console.error('Edit message error:', error);
+          socket.emit('error', { message: error.status ? error.message : 'Failed to edit message' });
+        }
+      });
+
+      // Handle message recalls
+      socket.on('recall_message', async (data) => {
+        try {
+          await handleRecallMessage(socket, data);
+        } catch (error) {
+          console.error('Recall message error:', error);
+          socket.emit('error', { message: error.status ? error.message : 'Failed to recall message' });
+        }
+      });
+
+      // Handle emoji reactions
+      socket.on('add_reaction', async (data) => {
+        try {
+          await handleAddReaction(socket, data);
+        } catch (error) {
+          console.error('Add reaction error:', error);
+          socket.emit('error', { message: error.status ? error.message : 'Failed to add reaction' });
+        }
+      });
+
+      socket.on('remove_reaction', async (data) => {
+        try {
+          await handleRemoveReaction(socket, data);
+        } catch (error) {
+          console.error('Remove reaction error:', error);
+          socket.emit('error', { message: error.status ? error.message : 'Failed to remove reaction' });
+        }
+      });
+
+      // Handle missed-message sync after (re)connecting
+      socket.on('sync', async (data) => {
+        try {
+          await handleSync(socket, data);
+        } catch (error) {
+          console.error('Sync error:', error);
+          socket.emit('error', { message: 'Failed to sync conversations' });
         }
       });
 
@@ -156,6 +256,15 @@ const socketHandler = (io) => {
         }
       });
 
+      // Handle message delivery status
+      socket.on('mark_messages_delivered', async (data) => {
+        try {
+          await handleMarkMessagesDelivered(socket, data);
+        } catch (error) {
+          console.error('Mark messages delivered error:', error);
+        }
+      });
+
       // Handle joining conversation
       socket.on('join_conversation', (conversationId) => {
         socket.join(`conversation_${conversationId}`);
@@ -194,19 +303,20 @@ const socketHandler = (io) => {
     }
   });
 
+  // Helper function to answer a client acknowledgement callback, if one was sent
+  function acknowledge(callback, payload) {
+    if (typeof callback === 'function') {
+      callback(payload);
+    }
+  }
+
   // Helper function to join user to their conversation rooms
   async function joinUserConversations(socket) {
     try {
-      const conversations = await db.query(`
-        SELECT DISTINCT c.id 
-        FROM conversations c
-        LEFT JOIN conversation_participants cp ON c.id = cp.conversation_id
-        LEFT JOIN group_members gm ON c.group_id = gm.group_id
-        WHERE cp.user_id = $1 OR gm.user_id = $1
-      `, [socket.userId]);
-
-      conversations.rows.forEach(conversation => {
-        socket.join(`conversation_${conversation.id}`);
+      const conversationIds = await syncService.getUserConversationIds(socket.userId);
+
+      conversationIds.forEach(conversationId => {
+        socket.join(`conversation_${conversationId}`);
       });
     } catch (error) {
       console.error('Error in joinUserConversations:', error);
@@ -215,68 +325,217 @@ const socketHandler = (io) => {
   }
 
   // Helper function to handle sending messages
+  // Returns the stored message so the caller can acknowledge it
   async function handleSendMessage(socket, data) {
-    const { conversationId, content, messageType = 'text', replyTo } = data;
+    const { conversationId, content, messageType = 'text', replyTo, clientMessageId, location, contactUserId } = data || {};
 
-    if (!conversationId || !content) {
-      socket.emit('error', { message: 'Conversation ID and content are required' });
-      return;
+    if (!conversationId || (messageType === 'text' && !content)) {
+      throw messageService.serviceError(400, 'Conversation ID and content are required');
+    }
+
+    if (messageType === 'text' && (typeof content !== 'string' || content.length > messageService.MAX_MESSAGE_LENGTH)) {
+      throw messageService.serviceError(400, `Messages must be text of at most ${messageService.MAX_MESSAGE_LENGTH} characters`);
+    }
+
+    // Attachments carry file columns and must go through the upload endpoint
+    if (!['text', 'location', 'contact_card'].includes(messageType)) {
+      throw messageService.serviceError(400, 'Unsupported message type');
+    }
+
+    // A location carries coordinates and an optional place label, stored as its content
+    let place = null;
+    let label = null;
+    if (messageType === 'location') {
+      const { latitude, longitude } = location || {};
+
+      if (!isCoordinate(latitude, -90, 90) || !isCoordinate(longitude, -180, 180)) {
+        throw messageService.serviceError(400, 'Latitude must be between -90 and 90 and longitude between -180 and 180');
+      }
+
+      if (location.label !== undefined && location.label !== null && typeof location.label !== 'string') {
+        throw messageService.serviceError(400, 'Place label must be text');
+      }
+
+      label = location.label ? location.label.trim() : '';
+      if (label.length > MAX_LOCATION_LABEL_LENGTH) {
+        throw messageService.serviceError(400, `Place label must be at most ${MAX_LOCATION_LABEL_LENGTH} characters`);
+      }
+
+      place = { latitude, longitude };
+    }
+
+    if (messageType === 'contact_card' && !Number.isInteger(contactUserId)) {
+      throw messageService.serviceError(400, 'Contact user ID is required');
+    }
+
+    if (clientMessageId !== undefined && (typeof clientMessageId !== 'string' || clientMessageId.length > 64)) {
+      throw messageService.serviceError(400, 'Invalid client message ID');
+    }
+
+    if (replyTo !== undefined && replyTo !== null && !Number.isInteger(replyTo)) {
+      throw messageService.serviceError(400, 'Invalid reply target');
     }
 
     // Verify user has access to this conversation
-    const accessCheck = await db.query(`
-      SELECT c.id 
-      FROM conversations c
-      LEFT JOIN conversation_participants cp ON c.id = cp.conversation_id
-      LEFT JOIN group_members gm ON c.group_id = gm.group_id
-      WHERE c.id = $1 AND (cp.user_id = $2 OR gm.user_id = $2)
-    `, [conversationId, socket.userId]);
-
-    if (accessCheck.rows.length === 0) {
-      socket.emit('error', { message: 'Access denied to this conversation' });
-      return;
+    if (!(await messageService.canAccessConversation(conversationId, socket.userId))) {
+      throw messageService.serviceError(403, 'Access denied to this conversation');
     }
 
-    // Insert message
-    const messageResult = await db.query(`
-      INSERT INTO messages (conversation_id, sender_id, content, message_type, reply_to)
-      VALUES ($1, $2, $3, $4, $5)
-      RETURNING id, created_at
-    `, [conversationId, socket.userId, content, messageType, replyTo]);
-
-    const message = messageResult.rows[0];
-
-    // Get sender info
-    const senderResult = await db.query(
-      'SELECT username, display_name, avatar_url FROM users WHERE id = $1',
-      [socket.userId]
-    );
-    const sender = senderResult.rows[0];
-
-    // Prepare message data
-    const messageData = {
-      id: message.id,
+    // Only your own contacts (or yourself) can be recommended
+    if (messageType === 'contact_card') {
+      const card = (await userService.getContactCards(socket.userId, [contactUserId])).get(contactUserId);
+      if (!card) {
+        throw messageService.serviceError(404, 'User not found');
+      }
+      if (card.id !== socket.userId && card.contact_status !== 'accepted') {
+        throw messageService.serviceError(403, 'Only your contacts can be shared');
+      }
+    }
+
+    // Only text is scanned for mentions, without its formatting so **@name** still counts
+    const mentions = messageType === 'text'
+      ? await mentionService.resolveMentions(conversationId, socket.userId, formattingService.toPlainText(content))
+      : { userIds: [], all: false };
+
+    const { duplicate, ...messageData } = await messageService.createMessage({
       conversationId,
       senderId: socket.userId,
-      sender: {
-        username: sender.username,
-        displayName: sender.display_name,
-        avatarUrl: sender.avatar_url
-      },
-      content,
+      content: messageType === 'text' ? content : label || null,
       messageType,
       replyTo,
-      createdAt: message.created_at
-    };
+      location: place,
+      cardUserId: messageType === 'contact_card' ? contactUserId : null,
+      clientMessageId
+    });
 
-    // Broadcast message to conversation room
-    io.to(`conversation_${conversationId}`).emit('new_message', messageData);
+    // A retried send was already stored and broadcast; just acknowledge it again
+    if (!duplicate) {
+      await mentionService.recordMentions(messageData.id, mentions.userIds);
+      io.to(`conversation_${conversationId}`).emit('new_message', messageData);
 
-    // Update conversation timestamp
-    await db.query(
-      'UPDATE conversations SET updated_at = CURRENT_TIMESTAMP WHERE id = $1',
-      [conversationId]
-    );
+      // Mentioned members hear about it wherever they are in the app
+      const mentionEvent = mentionService.toMentionEvent(messageData);
+      mentions.userIds.forEach(userId => {
+        io.to(`user_${userId}`).emit('mentioned', mentionEvent);
+      });
+
+      // Only a text message is the composer text; locations and contact cards leave the draft alone
+      if (messageType === 'text') {
+        const draft = await draftService.clearDraft(socket.userId, conversationId);
+        io.to(`user_${socket.userId}`).emit('draft_updated', draft);
+
+        attachLinkPreview(messageData.id, messageData.content);
+      }
+    }
+
+    return messageData;
+  }
+
+  // Helper function to handle forwarding messages
+  async function handleForwardMessages(socket, data) {
+    const { messageIds, conversationIds, merge } = data || {};
+
+    const forwarded = merge
+      ? await chatHistoryService.forwardChatHistory(socket.userId, messageIds, conversationIds)
+      : await messageService.forwardMessages(socket.userId, messageIds, conversationIds);
+
+    forwarded.forEach(messageData => {
+      io.to(`conversation_${messageData.conversationId}`).emit('new_message', messageData);
+    });
+
+    return forwarded;
+  }
+
+  // Helper function to handle editing messages
+  async function handleEditMessage(socket, data) {
+    const { messageId, content } = data || {};
+
+    if (!messageId || !content) {
+      socket.emit('error', { message: 'Message ID and content are required' });
+      return;
+    }
+
+    const edit = await messageService.editMessage(socket.userId, messageId, content);
+
+    // Broadcast the new content to everyone in the conversation
+    io.to(`conversation_${edit.conversationId}`).emit('message_edited', edit);
+
+    // The edit may have changed, added or removed the link
+    attachLinkPreview(edit.messageId, edit.content);
+  }
+
+  // Helper function to unfurl the first link in a message in the background.
+  // Fetching a page can take seconds, so the message goes out first and the
+  // preview follows as a link_preview event.
+  function attachLinkPreview(messageId, content) {
+    linkPreviewService.attachPreview(messageId, content)
+      .then(update => {
+        if (update) {
+          io.to(`conversation_${update.conversationId}`).emit('link_preview', update);
+        }
+      })
+      .catch(error => console.error('Link preview error:', error));
+  }
+
+  // Helper function to handle recalling messages
+  async function handleRecallMessage(socket, data) {
+    const { messageId } = data || {};
+
+    if (!messageId) {
+      socket.emit('error', { message: 'Message ID is required' });
+      return;
+    }
+
+    const recall = await messageService.recallMessage(socket.userId, messageId);
+
+    // Everyone in the conversation replaces the message with a tombstone
+    io.to(`conversation_${recall.conversationId}`).emit('message_recalled', recall);
+  }
+
+  // Helper function to handle reacting to a message
+  async function handleAddReaction(socket, data) {
+    const { messageId, emoji } = data || {};
+
+    if (!messageId || !emoji) {
+      socket.emit('error', { message: 'Message ID and emoji are required' });
+      return;
+    }
+
+    const update = await reactionService.addReaction(socket.userId, messageId, emoji);
+
+    io.to(`conversation_${update.conversationId}`).emit('reaction_added', update);
+  }
+
+  // Helper function to handle taking back a reaction
+  async function handleRemoveReaction(socket, data) {
+    const { messageId } = data || {};
+
+    if (!messageId) {
+      socket.emit('error', { message: 'Message ID is required' });
+      return;
+    }
+
+    const update = await reactionService.removeReaction(socket.userId, messageId);
+
+    io.to(`conversation_${update.conversationId}`).emit('reaction_removed', update);
+  }
+
+  // Helper function to replay events a reconnecting client missed
+  async function handleSync(socket, data) {
+    const { lastMessageIds, since } = data || {};
+
+    const sync = await syncService.buildSync(socket.userId, { lastMessageIds, since });
+
+    // Replay through the regular events so clients reuse their live handlers
+    sync.events.forEach(({ event, payload }) => {
+      socket.emit(event, payload);
+    });
+
+    socket.emit('sync_complete', {
+      syncedAt: sync.syncedAt,
+      unreadCounts: sync.unreadCounts,
+      truncated: sync.truncated
+    });
   }
 
   // Helper function to handle marking messages as read
@@ -287,23 +546,57 @@ const socketHandler = (io) => {
       return;
     }
 
+    if (!(await messageService.canAccessConversation(conversationId, socket.userId))) {
+      return;
+    }
+
     // Mark messages as read
-    for (const messageId of messageIds) {
-      await db.query(`
-        INSERT INTO message_reads (message_id, user_id)
-        VALUES ($1, $2)
-        ON CONFLICT (message_id, user_id) DO NOTHING
-      `, [messageId, socket.userId]);
+    const readBySender = await receiptService.markRead(socket.userId, conversationId, messageIds);
+    if (readBySender.size === 0) {
+      return;
     }
 
-    // Broadcast read status to conversation
-    socket.to(`conversation_${conversationId}`).emit('messages_read', {
+    // Who read a message is only the sender's business
+    readBySender.forEach((readIds, senderId) => {
+      io.to(`user_${senderId}`).emit('messages_read', {
+        userId: socket.userId,
+        messageIds: readIds,
+        conversationId
+      });
+    });
+
+    // The reader's other devices clear their unread badge too
+    socket.to(`user_${socket.userId}`).emit('conversation_read', {
       userId: socket.userId,
-      messageIds,
+      messageIds: [...readBySender.values()].flat(),
       conversationId
     });
   }
 
+  // Helper function to handle a client confirming it received messages
+  async function handleMarkMessagesDelivered(socket, data) {
+    const { conversationId, messageIds } = data || {};
+
+    if (!conversationId || !Array.isArray(messageIds)) {
+      return;
+    }
+
+    if (!(await messageService.canAccessConversation(conversationId, socket.userId))) {
+      return;
+    }
+
+    const deliveredBySender = await receiptService.markDelivered(socket.userId, conversationId, messageIds);
+
+    // Let the senders upgrade their ticks
+    deliveredBySender.forEach((deliveredIds, senderId) => {
+      io.to(`user_${senderId}`).emit('messages_delivered', {
+        userId: socket.userId,
+        messageIds: deliveredIds,
+        conversationId
+      });
+    });
+  }
+
   // Helper function to broadcast user status
   async function broadcastUserStatus(userId, status) {
     try {
@@ -0,0 +1,89 @@
+const test = require('node:test');
+const assert = require('node:assert');
+
+process.env.ATTACHMENT_URL_SECRET = 'test-secret';
+
+const db = require('../config/database');
+const chatHistoryService = require('../services/chatHistoryService');
+
+const VIEWER_ID = 1;
+const HISTORY_MESSAGE_ID = 500;
+const sentAt = new Date('2024-05-01T10:00:00Z');
+
+// One snapshot row of each message type, as chat_history_items stores them
+const item = (id, fields) => ({
+  id,
+  sender_id: 2,
+  sender_name: 'Alice',
+  sender_avatar: null,
+  content: null,
+  message_type: 'text',
+  file_url: null,
+  file_name: null,
+  file_size: null,
+  duration_ms: null,
+  waveform: null,
+  latitude: null,
+  longitude: null,
+  card_user_id: null,
+  sent_at: sentAt,
+  ...fields
+});
+
+const items = [
+  item(1, { content: 'Hello *there*' }),
+  item(2, { message_type: 'image', content: 'Sunset', file_url: '/uploads/a.png', file_name: 'a.png', file_size: 2048 }),
+  item(3, { message_type: 'file', file_url: '/uploads/b.bin', file_name: 'notes.pdf', file_size: 4096 }),
+  item(4, { message_type: 'voice', file_url: '/uploads/c.webm', file_name: 'voice.webm', duration_ms: 4200, waveform: [10, 60, 30] }),
+  item(5, { message_type: 'location', content: 'Central Park', latitude: 40.785091, longitude: -73.968285 }),
+  item(6, { message_type: 'contact_card', card_user_id: 3 }),
+  item(7, { message_type: 'contact_card', card_user_id: 4 })
+];
+
+// Answer the transcript's queries from fixed rows; user 4 no longer exists
+test.before(() => {
+  db.query = async (text) => {
+    if (text.includes('FROM chat_history_items')) {
+      return { rows: items };
+    }
+    if (text.includes('FROM messages m')) {
+      return { rows: [{ id: HISTORY_MESSAGE_ID, conversation_id: 9, content: 'Chat history of Alice and Bob', message_type: 'chat_history', recalled_at: null, hidden_id: null }] };
+    }
+    if (text.includes('FROM conversations c')) {
+      return { rows: [{ id: 9 }] };
+    }
+    if (text.includes('FROM users u')) {
+      return { rows: [{ id: 3, username: 'carol', display_name: 'Carol', avatar_url: null, status: 'online', bio: 'Hi', created_at: sentAt, contact_status: 'accepted' }] };
+    }
+    throw new Error(`Unexpected query: ${text}`);
+  };
+});
+
+test('transcript keeps what each message type needs to be shown', async () => {
+  const transcript = await chatHistoryService.getTranscript(VIEWER_ID, HISTORY_MESSAGE_ID);
+  assert.strictEqual(transcript.messageId, HISTORY_MESSAGE_ID);
+  assert.strictEqual(transcript.title, 'Chat history of Alice and Bob');
+
+  const [text, image, file, voice, location, card, missingCard] = transcript.items;
+
+  assert.strictEqual(text.content, 'Hello *there*');
+  assert.strictEqual(text.file_url, null);
+
+  // Attachments are served through signed links to the transcript item, never the stored path
+  for (const attachment of [image, file, voice]) {
+    assert.match(attachment.file_url, new RegExp(`^/api/messages/attachments/${HISTORY_MESSAGE_ID}/items/${attachment.id}\\?`));
+  }
+  assert.strictEqual(image.content, 'Sunset');
+  assert.strictEqual(file.file_name, 'notes.pdf');
+
+  assert.strictEqual(voice.duration_ms, 4200);
+  assert.deepStrictEqual(voice.waveform, [10, 60, 30]);
+
+  assert.strictEqual(location.content, 'Central Park');
+  assert.strictEqual(location.latitude, 40.785091);
+  assert.strictEqual(location.longitude, -73.968285);
+
+  assert.deepStrictEqual(card.contact_card, { id: 3, username: 'carol', display_name: 'Carol', avatar_url: null, contact_status: 'accepted' });
+  assert.strictEqual(missingCard.contact_card, null);
+  assert.strictEqual(text.contact_card, null);
+});
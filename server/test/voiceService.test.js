@@ -0,0 +1,153 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const voiceService = require('../services/voiceService');
+
+// Minimal recordings in the shapes browsers produce, built byte by byte
+
+const uint = (value, length) => {
+  const bytes = Buffer.alloc(length);
+  bytes.writeUIntBE(value, 0, length);
+  return bytes;
+};
+
+// WebM: EBML elements, with the Segment and Clusters of unknown size as MediaRecorder writes them
+const element = (id, body) => Buffer.concat([Buffer.from(id), Buffer.from([0x80 | body.length]), body]);
+const unknownSize = (id) => Buffer.from([...id, 0x01, 0xff, 0xff, 0xff, 0xff, 0xff, 0xff, 0xff]);
+const simpleBlock = (relativeTicks) => {
+  const body = Buffer.alloc(14);
+  body[0] = 0x81; // track 1
+  body.writeInt16BE(relativeTicks, 1);
+  return element([0xa3], body);
+};
+const webm = (durationMs) => Buffer.concat([
+  element([0x1a, 0x45, 0xdf, 0xa3], Buffer.from([0x42, 0x82, 0x84, ...Buffer.from('webm')])),
+  unknownSize([0x18, 0x53, 0x80, 0x67]),
+  element([0x15, 0x49, 0xa9, 0x66], element([0x2a, 0xd7, 0xb1], uint(1000000, 3))),
+  unknownSize([0x1f, 0x43, 0xb6, 0x75]),
+  element([0xe7], uint(0, 4)),
+  simpleBlock(0),
+  simpleBlock(20),
+  unknownSize([0x1f, 0x43, 0xb6, 0x75]),
+  element([0xe7], uint(durationMs - 1000, 4)),
+  simpleBlock(0),
+  simpleBlock(1000)
+]);
+
+// Ogg: an OpusHead page, then an audio page whose granule position counts 48kHz samples
+const oggPage = (granule, payload) => {
+  const header = Buffer.alloc(27);
+  header.write('OggS');
+  header.writeBigInt64LE(BigInt(granule), 6);
+  header[26] = 1;
+  return Buffer.concat([header, Buffer.from([payload.length]), payload]);
+};
+const opusHead = Buffer.alloc(19);
+opusHead.write('OpusHead');
+opusHead[8] = 1;
+opusHead[9] = 1;
+opusHead.writeUInt16LE(312, 10); // pre-skip
+const ogg = (durationMs) => Buffer.concat([oggPage(0, opusHead), oggPage(durationMs * 48 + 312, Buffer.alloc(10))]);
+
+// MP4: a movie header with a 1000 ticks per second timescale
+const box = (type, body) => {
+  const header = Buffer.alloc(8);
+  header.writeUInt32BE(8 + body.length);
+  header.write(type, 4);
+  return Buffer.concat([header, body]);
+};
+const mvhd = (durationMs) => {
+  const body = Buffer.alloc(100);
+  body.writeUInt32BE(1000, 12);
+  body.writeUInt32BE(durationMs, 16);
+  return box('mvhd', body);
+};
+const mp4 = (durationMs) => Buffer.concat([box('ftyp', Buffer.from('M4A isom')), box('moov', mvhd(durationMs))]);
+
+// Fragmented MP4, as Safari records: no movie duration, 1024-sample frames at 48kHz
+const fragmentedMp4 = (frames) => {
+  const mdhd = Buffer.alloc(24);
+  mdhd.writeUInt32BE(48000, 12);
+  const trun = Buffer.alloc(8 + 4 * frames);
+  trun.writeUIntBE(0x100, 1, 3); // sample durations present
+  trun.writeUInt32BE(frames, 4);
+  for (let i = 0; i < frames; i++) trun.writeUInt32BE(1024, 8 + 4 * i);
+  return Buffer.concat([
+    box('ftyp', Buffer.from('iso5')),
+    box('moov', Buffer.concat([mvhd(0), box('trak', box('mdia', box('mdhd', mdhd)))])),
+    box('moof', box('traf', box('trun', trun))),
+    box('mdat', Buffer.alloc(100))
+  ]);
+};
+
+let directory;
+let fileCount = 0;
+
+test.before(() => {
+  directory = fs.mkdtempSync(path.join(os.tmpdir(), 'voice-test-'));
+});
+
+test.after(() => {
+  fs.rmSync(directory, { recursive: true, force: true });
+});
+
+// Validate a recording the way the upload route does, with its detected type
+const validate = (data, mimeType) => {
+  const filePath = path.join(directory, `recording-${++fileCount}`);
+  fs.writeFileSync(filePath, data);
+  return voiceService.validateVoiceUpload({ path: filePath, size: data.length }, { mimeType }, { waveform: '[10,50,90]' });
+};
+
+const maxSeconds = voiceService.MAX_VOICE_DURATION_MS / 1000;
+const tooLong = { status: 400, message: `Voice messages can be at most ${maxSeconds} seconds long` };
+const notAudio = { status: 400, message: 'File is not valid audio' };
+const garbage = Buffer.from('<svg onload="alert(1)"></svg> not a recording at all');
+
+// Cutting off the last 12 bytes leaves a WebM stream playable up to its last complete block,
+// while the Ogg and MP4 recordings lose their only audio page and their movie header
+const formats = [
+  { name: 'WebM', mimeType: 'audio/webm', build: webm, truncatedMs: 4000 },
+  { name: 'Ogg', mimeType: 'audio/ogg', build: ogg, truncatedMs: null },
+  { name: 'MP4', mimeType: 'audio/mp4', build: mp4, truncatedMs: null }
+];
+
+for (const { name, mimeType, build, truncatedMs } of formats) {
+  test(`${name}: reads the length of a valid recording`, async () => {
+    const voice = await validate(build(5000), mimeType);
+    assert.deepStrictEqual(voice, { durationMs: 5000, waveform: [10, 50, 90] });
+  });
+
+  test(`${name}: reads only the complete part of a truncated recording`, async () => {
+    const data = build(5000);
+    const truncated = validate(data.subarray(0, data.length - 12), mimeType);
+    if (truncatedMs) {
+      assert.strictEqual((await truncated).durationMs, truncatedMs);
+    } else {
+      await assert.rejects(truncated, notAudio);
+    }
+  });
+
+  test(`${name}: rejects a recording over the length limit`, async () => {
+    await assert.rejects(validate(build(voiceService.MAX_VOICE_DURATION_MS + 30000), mimeType), tooLong);
+  });
+
+  test(`${name}: rejects garbage`, async () => {
+    await assert.rejects(validate(garbage, mimeType), notAudio);
+  });
+}
+
+test('MP4: sums the sample durations of a fragmented recording', async () => {
+  const voice = await validate(fragmentedMp4(47 * 5), 'audio/mp4');
+  assert.strictEqual(voice.durationMs, Math.round((47 * 5 * 1024 * 1000) / 48000));
+});
+
+test('rejects a recording padded beyond what its length allows', async () => {
+  const padded = Buffer.concat([webm(3000), Buffer.alloc(500000)]);
+  await assert.rejects(validate(padded, 'audio/webm'), { status: 400, message: 'Recording is larger than its length allows' });
+});
+
+test('rejects formats that are not voice recordings', async () => {
+  await assert.rejects(validate(webm(3000), 'audio/wav'), { status: 400, message: 'Unsupported audio format' });
+});